@@ -94,7 +94,8 @@ You are generating clinical procedure search keywords.
 - Include procedure names, CPT code descriptions, and common abbreviations
 - Include both the full name and common shorthand (e.g. "cataract extraction" and "phaco")
 - Include related procedure variants (unilateral, bilateral, with/without)
-- Example: "cataract surgery" should return: cataract, phacoemulsification, phaco, lens extraction, IOL, intraocular lens, extracapsular, intracapsular, etc.
+- Unlike other dictionaries, CPT and HCPCS codes ARE allowed here: they are matched against the code columns, not the text. Give a single code ("66984"), a prefix ("6698*") or an inclusive range ("66982-66984"), never a code inside a phrase, and only codes you are sure of
+- Example: "cataract surgery" should return: cataract, phacoemulsification, phaco, lens extraction, IOL, intraocular lens, extracapsular, intracapsular, 66982-66984, etc.
 - Example: "retinal procedures" should return: vitrectomy, photocoagulation, laser, retinal detachment repair, scleral buckle, intravitreal injection, anti-VEGF, etc.`
     };
 
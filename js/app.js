@@ -27,6 +27,15 @@ const DictApp = (function () {
     activeSystems: { dx: [], medication: [], lab: [], location: [], procedure: [] },
     keywords: { dx: [], medication: [], lab: [], location: [], procedure: [] },
     onDemandMatched: { dx: [], medication: [], lab: [], location: [], procedure: [] },
+    searchAllColumns: { dx: false, medication: false, lab: false, location: false, procedure: false },
+    matchMode: { dx: 'substring', medication: 'substring', lab: 'substring', location: 'substring', procedure: 'substring' },
+    chipModes: { dx: {}, medication: {}, lab: {}, location: {}, procedure: {} },  // per-chip overrides keyed by chip text
+    fuzzyThreshold: { dx: 0.8, medication: 0.8, lab: 0.8, location: 0.8, procedure: 0.8 },  // similarity fuzzy chips need (0–1)
+    onlyMatchedBy: { dx: '', medication: '', lab: '', location: '', procedure: '' },  // show rows no other chip matches
+    chipParents: { dx: {}, medication: {}, lab: {}, location: {}, procedure: {} },  // thesaurus child chip → the chip it expands
+    facets: { dx: {}, medication: {}, lab: {}, location: {}, procedure: {} },  // facet sidebar selections: column → [values]
+    systemOverrides: { dx: {}, medication: {}, lab: {}, location: {}, procedure: {} },  // badge clicks: system → true (forced on) / false (forced off)
+    mappedFrom: {},     // dx codes added from the ICD crosswalk: 'VOCAB:CODE' → the codes they map from
     aiConfig: {}
   };
 
@@ -36,7 +45,8 @@ const DictApp = (function () {
     setupDateListeners();
     setupKeywordInputs();
     loadAiConfig();
-    updateSystemsAndReload();
+    loadThesaurus();
+    Promise.all([loadSystemTimeline(), loadLocationCrosswalk()]).then(updateSystemsAndReload);
   }
 
   // ---- Tab Switching ----
@@ -51,6 +61,7 @@ const DictApp = (function () {
         if (state.tables[tab]) {
           state.tables[tab].columns.adjust().draw();
         }
+        renderSystemBadges();
       });
     });
   }
@@ -78,13 +89,15 @@ const DictApp = (function () {
         }
       });
 
-      // Enter or comma adds a keyword chip
+      // Enter or comma adds a keyword chip.
+      // Inside an open quote or parenthesis a comma is typed literally, so
+      // query phrases like "pregnancy, diet controlled" can be entered.
       input.addEventListener('keydown', (e) => {
+        if (e.key === ',' && hasOpenGroup(input.value)) return;
         if (e.key === 'Enter' || e.key === ',') {
           e.preventDefault();
-          const val = input.value.replace(/,/g, '').trim();
-          if (val) {
-            addKeyword(type, val);
+          const val = QueryParser.isQuery(input.value) ? input.value.trim() : input.value.replace(/,/g, '').trim();
+          if (val && addKeyword(type, val) !== false) {
             input.value = '';
           }
         }
@@ -94,21 +107,25 @@ const DictApp = (function () {
         }
       });
 
-      // Also support pasting comma-separated lists
+      // Also support pasting comma-separated lists.
+      // A pasted query is only split on newlines — its commas belong to phrases.
       input.addEventListener('paste', (e) => {
         e.preventDefault();
         const text = (e.clipboardData || window.clipboardData).getData('text');
-        const terms = text.split(/[,\n]+/).map(t => t.trim()).filter(t => t);
+        const separator = QueryParser.isQuery(text) ? /\n+/ : /[,\n]+/;
+        const terms = text.split(separator).map(t => t.trim()).filter(t => t);
         terms.forEach(t => addKeyword(type, t));
         input.value = '';
       });
 
       // If user types and pauses (no Enter), still use as live filter.
-      // Skip live filtering for large datasets — too slow to scan 200K rows per keypress.
-      // On large datasets, keywords must be committed as chips (Enter/comma) to trigger a search.
+      // Large datasets only live-filter once the background index is built —
+      // scanning 200K rows per keypress on the main thread is too slow, so
+      // until then keywords must be committed as chips (Enter/comma).
       let debounceTimer;
       input.addEventListener('input', () => {
-        if (isLarge(type)) return;
+        showKeywordError(type, typedKeywordError(type, input.value));
+        if (isLarge(type) && !SearchIndex.isReady(type)) return;
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
           applyKeywordFilter(type);
@@ -118,286 +135,2347 @@ const DictApp = (function () {
   }
 
   /**
-   * Add a keyword chip for a given tab type
+   * True while the typed text has an unclosed quote or parenthesis.
+   */
+  function hasOpenGroup(text) {
+    const quotes = (text.match(/"/g) || []).length;
+    const opens = (text.match(/\(/g) || []).length;
+    const closes = (text.match(/\)/g) || []).length;
+    return quotes % 2 === 1 || opens > closes;
+  }
+
+  /**
+   * Error for a chip with bad query syntax or an unknown field:value, or null.
+   */
+  function keywordError(type, keyword) {
+    return SearchEngine.validateKeyword(type, parseKeyword(keyword).text, detectDataColumns(type));
+  }
+
+  function typedKeywordError(type, text) {
+    return text.trim() ? keywordError(type, text) : null;
+  }
+
+  /**
+   * Show (or clear, when message is null) the error line under a chip input.
+   */
+  function showKeywordError(type, message) {
+    const el = document.getElementById('kw-error-' + type);
+    if (!el) return;
+    el.textContent = message || '';
+    el.classList.toggle('visible', !!message);
+  }
+
+  /**
+   * Add a keyword chip for a given tab type.
+   * Returns false when the chip is invalid (the error is shown
+   * under the input and the text is left for the user to fix).
    */
   function addKeyword(type, keyword) {
     const kw = keyword.trim();
     if (!kw) return;
 
+    const error = keywordError(type, kw);
+    if (error) {
+      showKeywordError(type, error);
+      return false;
+    }
+    showKeywordError(type, null);
+
     // Avoid duplicates
     if (state.keywords[type].some(k => k.toLowerCase() === kw.toLowerCase())) {
       showToast('Keyword "' + kw + '" already added');
       return;
     }
 
-    state.keywords[type].push(kw);
-    renderChips(type);
-    applyKeywordFilter(type);
+    state.keywords[type].push(kw);
+    // A new chip changes which rows are unique to a chip, so show all matches again
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Remove a keyword chip by index
+   */
+  function removeKeyword(type, index) {
+    const kw = state.keywords[type][index];
+    if (kw === undefined) return;
+    // A thesaurus-expanded chip takes its child chips with it
+    const removed = [kw].concat(getChildChips(type, kw));
+    state.keywords[type] = state.keywords[type].filter(k => removed.indexOf(k) === -1);
+    forgetChips(type, removed);
+    renderChips(type);
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Clear all keyword chips
+   */
+  function clearKeywords(type) {
+    state.keywords[type] = [];
+    state.chipModes[type] = {};
+    state.chipParents[type] = {};
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    showKeywordError(type, null);
+    if (isLarge(type)) {
+      // On-demand: clear DataTables and reset the matched set
+      SearchIndex.cancel(type);
+      state.onDemandMatched[type] = [];
+      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
+        function (fn) { return fn._kwFilterType !== type; }
+      );
+      if (state.tables[type]) state.tables[type].clear().draw();
+    } else {
+      // Standard: clear DataTables built-in search filter
+      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
+        function (fn) { return fn._kwFilterType !== type; }
+      );
+      if (state.tables[type]) state.tables[type].search('').draw();
+    }
+    updateClearButton(type);
+    updateStatusBar(type);
+  }
+
+  /**
+   * Render the visual chips
+   */
+  function renderChips(type) {
+    const container = document.getElementById('kw-chips-' + type);
+    if (!container) return;
+    container.innerHTML = '';
+
+    state.keywords[type].forEach((kw, idx) => {
+      const chip = document.createElement('span');
+      const term = parseKeyword(kw);
+      const isWildcard = kw.includes('*');
+      const isQuery = QueryParser.isQuery(term.text);
+      const range = CodeRange.parse(type, term.text);
+      const parent = state.chipParents[type][kw];
+      chip.className = 'keyword-chip' + (range ? ' code' : (isWildcard ? ' wildcard' : '')) +
+        (isQuery ? ' query' : '') + (term.exclude ? ' exclusion' : '') + (parent ? ' chip-child' : '');
+      if (parent) chip.title = 'Thesaurus synonym of "' + parent + '"';
+      const scoped = isQuery || range ? null : SearchEngine.parseScopedTerm(term.text);
+      const mode = getChipMode(type, kw);
+      const synonyms = parent ? [] : getChipSynonyms(type, kw);
+      chip.innerHTML =
+        (term.exclude ? '<span class="chip-not">NOT</span>'
+          : '<span class="chip-swatch hl-' + highlightColor(type, kw) + '" title="Highlight color in the table"></span>') +
+        (range ? '<span class="chip-field">' + escHtml(CodeRange.getSystemLabel(range.system)) + '</span>' : '') +
+        (scoped
+          ? '<span class="chip-field">' + escHtml(scoped.field) + '</span><span class="chip-text">' + escHtml(scoped.value) + '</span>'
+          : '<span class="chip-text">' + escHtml(range && range.vocabulary ? range.expression : term.text) + '</span>') +
+        // Code chips compare codes, not words, so the match mode doesn't apply
+        // to them — except a loose code, whose words are matched too
+        (range && !range.loose ? '' : '<button class="chip-mode mode-' + mode + '" onclick="DictApp.cycleChipMode(\'' + type + '\', ' + idx + ')" ' +
+          'title="Match mode — click to change">' + escHtml(SearchEngine.getMatchModeLabel(mode)) + '</button>') +
+        (synonyms.length > 0
+          ? '<button class="chip-expand" onclick="DictApp.expandChip(\'' + type + '\', ' + idx + ')" ' +
+            'title="Add thesaurus synonyms: ' + escAttr(synonyms.join(', ')) + '">+' + synonyms.length + '</button>'
+          : '') +
+        '<button class="chip-remove" onclick="DictApp.removeKeyword(\'' + type + '\', ' + idx + ')" ' +
+          'title="' + (getChildChips(type, kw).length > 0 ? 'Remove (and its synonyms)' : 'Remove') + '">&times;</button>';
+      container.appendChild(chip);
+    });
+
+    renderOnlyMatchedBy(type);
+    updateFuzzyControls(type);
+    updateClearButton(type);
+  }
+
+  /**
+   * Fill the "Only matched by" dropdown with the positive chips. It is shown
+   * once there are two or more, since with one chip every row is unique to it.
+   */
+  function renderOnlyMatchedBy(type) {
+    const select = document.getElementById('only-kw-' + type);
+    if (!select) return;
+    const positives = state.keywords[type].filter(kw => !isExclusion(kw));
+    if (positives.indexOf(state.onlyMatchedBy[type]) === -1) state.onlyMatchedBy[type] = '';
+
+    select.innerHTML = '<option value="">All matching rows</option>' +
+      positives.map(kw => '<option value="' + escAttr(kw) + '">Only matched by: ' + escHtml(kw) + '</option>').join('');
+    select.value = state.onlyMatchedBy[type];
+    select.style.display = positives.length > 1 ? '' : 'none';
+  }
+
+  /**
+   * Narrow the table to rows that this chip matches and no other chip does —
+   * the rows that would be lost if the chip were removed. '' shows all matches.
+   */
+  function setOnlyMatchedBy(type, keyword) {
+    state.onlyMatchedBy[type] = keyword || '';
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Toggle between searching only each source's key columns (default) and
+   * searching every column for unscoped chips, then re-run the filter.
+   */
+  function setSearchAllColumns(type, all) {
+    state.searchAllColumns[type] = !!all;
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Match mode a chip uses: its own override, else the tab's default.
+   */
+  function getChipMode(type, keyword) {
+    return state.chipModes[type][keyword] || state.matchMode[type];
+  }
+
+  /**
+   * Set the tab's default match mode (substring / word / prefix). Chips
+   * without their own override follow it.
+   */
+  function setMatchMode(type, mode) {
+    if (SearchEngine.MATCH_MODES.indexOf(mode) === -1) return;
+    state.matchMode[type] = mode;
+    renderChips(type);
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Set how similar fuzzy chips must be, from the tab's percentage box.
+   */
+  function setFuzzyThreshold(type, percent) {
+    const value = Math.min(100, Math.max(50, parseInt(percent, 10) || 80));
+    state.fuzzyThreshold[type] = value / 100;
+    const input = document.getElementById('fuzzy-threshold-' + type);
+    if (input) input.value = value;
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * The threshold box is only shown while the tab or one of its chips is fuzzy.
+   */
+  function updateFuzzyControls(type) {
+    const wrap = document.getElementById('fuzzy-wrap-' + type);
+    if (!wrap) return;
+    const fuzzy = state.matchMode[type] === 'fuzzy' ||
+      state.keywords[type].some(kw => getChipMode(type, kw) === 'fuzzy');
+    wrap.style.display = fuzzy ? '' : 'none';
+  }
+
+  /**
+   * Step one chip to the next match mode. Landing back on the tab default
+   * drops the override so the chip follows later default changes again.
+   */
+  function cycleChipMode(type, index) {
+    const kw = state.keywords[type][index];
+    if (kw === undefined) return;
+    const modes = SearchEngine.MATCH_MODES;
+    const next = modes[(modes.indexOf(getChipMode(type, kw)) + 1) % modes.length];
+    if (next === state.matchMode[type]) {
+      delete state.chipModes[type][kw];
+    } else {
+      state.chipModes[type][kw] = next;
+    }
+    renderChips(type);
+    applyKeywordFilter(type);
+  }
+
+  // ---- Thesaurus Expansion ----
+
+  /**
+   * Load data/thesaurus.csv. Chips are redrawn once it arrives so their
+   * expand buttons appear.
+   */
+  function loadThesaurus() {
+    loadCsv('data/thesaurus.csv').then(function (rows) {
+      Thesaurus.load(rows);
+      console.log('[DATA] Thesaurus: ' + Thesaurus.size() + ' synonym groups');
+      ['dx', 'medication', 'lab', 'location', 'procedure'].forEach(renderChips);
+      updateThesaurusStatus();
+    });
+  }
+
+  /**
+   * Chips the thesaurus would add for a chip, skipping ones already present.
+   * Queries, code chips and wildcards aren't expanded. Field scope and
+   * exclusion carry over: "-name:htn" gives "-name:hypertension".
+   */
+  function getChipSynonyms(type, keyword) {
+    const term = parseKeyword(keyword);
+    if (term.text.includes('*') || QueryParser.isQuery(term.text) || CodeRange.parse(type, term.text)) return [];
+    const scoped = SearchEngine.parseScopedTerm(term.text);
+    const prefix = (term.exclude ? '-' : '') + (scoped ? scoped.field + ':' : '');
+    const existing = state.keywords[type].map(k => k.toLowerCase());
+    return Thesaurus.lookup(type, scoped ? scoped.value : term.text)
+      .map(syn => prefix + syn)
+      .filter(kw => existing.indexOf(kw.toLowerCase()) === -1 && !keywordError(type, kw));
+  }
+
+  function getChildChips(type, keyword) {
+    return state.keywords[type].filter(k => state.chipParents[type][k] === keyword);
+  }
+
+  /**
+   * Drop the per-chip settings of chips that were removed. Children left
+   * behind by a removed parent become ordinary chips.
+   */
+  function forgetChips(type, keywords) {
+    const parents = state.chipParents[type];
+    keywords.forEach(kw => {
+      delete state.chipModes[type][kw];
+      delete parents[kw];
+    });
+    Object.keys(parents).forEach(child => {
+      if (keywords.indexOf(parents[child]) !== -1) delete parents[child];
+    });
+  }
+
+  /**
+   * Add a chip's thesaurus synonyms as child chips right after it (and any
+   * children it already has). Children use the parent's match mode, except
+   * that short abbreviations like "mi" match whole words only so they don't
+   * hit every word containing them.
+   * @returns {number} Chips added
+   */
+  function addSynonymChips(type, keyword) {
+    const synonyms = getChipSynonyms(type, keyword);
+    if (synonyms.length === 0) return 0;
+    const keywords = state.keywords[type];
+    let at = keywords.indexOf(keyword) + 1;
+    while (at < keywords.length && state.chipParents[type][keywords[at]] === keyword) at++;
+
+    const parentMode = getChipMode(type, keyword);
+    synonyms.forEach(kw => {
+      keywords.splice(at++, 0, kw);
+      state.chipParents[type][kw] = keyword;
+      const text = parseKeyword(kw).text;
+      const scoped = SearchEngine.parseScopedTerm(text);
+      const bare = Thesaurus.normalize(scoped ? scoped.value : text);
+      const mode = parentMode === 'substring' && /^[a-z0-9]{1,3}$/.test(bare) ? 'word' : parentMode;
+      if (mode !== state.matchMode[type]) state.chipModes[type][kw] = mode;
+    });
+    return synonyms.length;
+  }
+
+  function expandChip(type, index) {
+    const kw = state.keywords[type][index];
+    if (kw === undefined || !addSynonymChips(type, kw)) return;
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
+  }
+
+  /**
+   * Expand every chip that isn't itself a thesaurus synonym.
+   */
+  function expandAllChips(type) {
+    const parents = state.keywords[type].filter(kw => !state.chipParents[type][kw]);
+    const added = parents.reduce((n, kw) => n + addSynonymChips(type, kw), 0);
+    if (added === 0) {
+      showToast('The thesaurus has no new synonyms for these keywords');
+      return;
+    }
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
+    showToast('Added ' + added + ' synonym' + (added === 1 ? '' : 's') + ' from the thesaurus');
+  }
+
+  function updateThesaurusStatus() {
+    document.querySelectorAll('.thesaurus-count').forEach(el => {
+      el.textContent = Thesaurus.size() + ' synonym groups loaded';
+    });
+  }
+
+  /**
+   * Add the suggested synonym groups for this session and push them to the
+   * repo for review (projects/thesaurus-contributions/), the same way
+   * "Send to CRDW" pushes project files.
+   */
+  async function submitThesaurusSuggestions(type) {
+    const input = document.getElementById('thesaurus-input-' + type);
+    const statusEl = document.getElementById('thesaurus-status-' + type);
+    const parsed = Thesaurus.parseSuggestions(input.value);
+    if (parsed.invalid.length > 0) {
+      statusEl.className = 'ai-status error';
+      statusEl.textContent = 'Line ' + parsed.invalid.join(', ') + ': give at least two terms separated by |';
+      return;
+    }
+    if (parsed.groups.length === 0) {
+      showToast('Enter synonyms first, e.g. cabg | coronary artery bypass');
+      return;
+    }
+
+    Thesaurus.addGroups(type, parsed.groups);
+    renderChips(type);
+    updateThesaurusStatus();
+
+    if (!GitHubPush.isConfigured()) {
+      statusEl.className = 'ai-status';
+      statusEl.textContent = 'Added for this session. Enter your Worker URL and OU email in Settings to submit them to the shared thesaurus.';
+      return;
+    }
+
+    statusEl.className = 'ai-status loading';
+    statusEl.textContent = 'Submitting...';
+    try {
+      const path = Thesaurus.getContributionPath(type);
+      const csv = Thesaurus.buildContributionContent(type, parsed.groups, 'suggested by ' + (state.aiConfig.email || 'unknown'));
+      await GitHubPush.pushFile('crdw-sweep-specify', path, csv, 'Suggest ' + parsed.groups.length + ' ' + type + ' thesaurus entries via CRDW Sweep & Specify');
+      input.value = '';
+      statusEl.className = 'ai-status success';
+      statusEl.textContent = 'Submitted to ' + path + ' for review. Added for this session.';
+    } catch (err) {
+      statusEl.className = 'ai-status error';
+      statusEl.textContent = 'Added for this session, but submitting failed: ' + err.message;
+      console.error('[Thesaurus] Failed to push suggestions:', err);
+    }
+  }
+
+  /**
+   * Show/hide the "Clear" button
+   */
+  function updateClearButton(type) {
+    const btn = document.getElementById('btn-clear-kw-' + type);
+    if (btn) {
+      btn.style.display = state.keywords[type].length > 0 ? '' : 'none';
+    }
+  }
+
+  /**
+   * Split a chip into its search text and polarity (see SearchEngine.parseKeyword).
+   */
+  function parseKeyword(keyword) {
+    return SearchEngine.parseKeyword(keyword);
+  }
+
+  function isExclusion(keyword) {
+    return parseKeyword(keyword).exclude;
+  }
+
+  /**
+   * Split a list of chips into positive and exclusion matchers.
+   */
+  function buildTermMatchers(type, keywords) {
+    const includes = [];
+    const excludes = [];
+    keywords.forEach(kw => {
+      const term = parseKeyword(kw);
+      const entry = { keyword: term.raw, matcher: buildMatcher(type, term.text, getChipMode(type, term.raw)) };
+      (term.exclude ? excludes : includes).push(entry);
+    });
+    return { includes: includes, excludes: excludes };
+  }
+
+  /**
+   * Values unscoped chips search in: the key columns for the row's source
+   * system (SearchEngine.getSearchColumns), or every column when the tab's
+   * "Search all columns" box is ticked.
+   */
+  function getRowValues(type, row) {
+    return state.searchAllColumns[type]
+      ? SearchEngine.getRowValues(row)
+      : SearchEngine.getSearchValues(type, row);
+  }
+
+  /**
+   * A row is in the matched set when any positive chip hits it and no
+   * exclusion chip does. With no positive chips nothing is matched.
+   */
+  function rowMatches(terms, rowValues, row) {
+    if (terms.excludes.some(t => t.matcher(rowValues, row))) return false;
+    return terms.includes.some(t => t.matcher(rowValues, row));
+  }
+
+  /**
+   * Every positive chip that hits a row, in chip order; empty when an
+   * exclusion chip hits it.
+   */
+  function matchingKeywords(terms, rowValues, row) {
+    if (terms.excludes.some(t => t.matcher(rowValues, row))) return [];
+    return terms.includes.filter(t => t.matcher(rowValues, row)).map(t => t.keyword);
+  }
+
+  /**
+   * Should a row matched by these chips be shown, given the "Only matched by" choice?
+   */
+  function passesOnlyMatchedBy(type, keywords) {
+    const only = state.onlyMatchedBy[type];
+    return !only || (keywords.length === 1 && keywords[0] === only);
+  }
+
+  /**
+   * Convert a keyword to a matcher function (see SearchEngine.compileKeyword
+   * for the wildcard, multi-word, field:value, query and match mode rules).
+   */
+  function buildMatcher(type, keyword, mode) {
+    return SearchEngine.compileKeyword(type, keyword, detectDataColumns(type), mode, { fuzzyThreshold: state.fuzzyThreshold[type] });
+  }
+
+  /**
+   * Apply the current keyword chips + typed text as a DataTables custom filter.
+   * Uses OR logic: a row matches if ANY keyword matches ANY column, minus rows
+   * hit by an exclusion chip.
+   * When keywords are active, auto-checks "desired" for all matching rows and
+   * unchecks any row an exclusion chip hits.
+   */
+  function applyKeywordFilter(type) {
+    scheduleYieldRefresh(type);
+    scheduleSuggestions(type);
+    scheduleFacetRefresh(type);
+
+    // Large datasets use a different code path: native Array.filter() populates
+    // DataTables with only the matched rows instead of filtering an all-rows table.
+    if (isLarge(type)) {
+      applyKeywordFilterOnDemand(type);
+      return;
+    }
+
+    const table = state.tables[type];
+    if (!table) return;
+
+    const input = document.getElementById('search-' + type);
+    const typedText = input ? input.value.trim() : '';
+    const allTerms = [...state.keywords[type]];
+    // A half-typed query (e.g. an open parenthesis) is left out until it parses
+    if (typedText && !typedKeywordError(type, typedText)) allTerms.push(typedText);
+
+    // If no keywords at all, clear the filter → show everything
+    if (allTerms.length === 0) {
+      // Remove our custom filter
+      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
+        fn => fn._kwFilterType !== type
+      );
+      delete _chipTests[type];
+      table.draw();
+      updateStatusBar(type);
+      return;
+    }
+
+    // Build matchers for all keywords
+    const terms = buildTermMatchers(type, allTerms);
+
+    // Remove any previous keyword filter for this type
+    $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
+      fn => fn._kwFilterType !== type
+    );
+
+    // Match against the row's own values (same as the on-demand path) rather
+    // than the rendered cells, so exclusions and auto-uncheck agree with the view.
+    // Kept for the facet counts, which need the chip matches before facets apply.
+    const chipTest = function (row) {
+      const rowText = getRowValues(type, row);
+
+      // Only exclusion chips: browse everything that isn't excluded
+      if (terms.includes.length === 0) {
+        return !terms.excludes.some(t => t.matcher(rowText, row));
+      }
+      // OR logic across chips; within a multi-word chip, AND logic across words
+      if (!state.onlyMatchedBy[type]) return rowMatches(terms, rowText, row);
+      const hits = matchingKeywords(terms, rowText, row);
+      return hits.length > 0 && passesOnlyMatchedBy(type, hits);
+    };
+    _chipTests[type] = chipTest;
+
+    // Add custom search filter
+    const filterFn = function (settings, searchData, dataIndex) {
+      if (settings.nTable.id !== 'table-' + type) return true;
+      const row = state.data[type][dataIndex];
+      return !!row && chipTest(row);
+    };
+    filterFn._kwFilterType = type;
+    $.fn.dataTable.ext.search.push(filterFn);
+
+    // Exclusions only act once committed as chips — not while "-fam..." is being typed
+    uncheckExcluded(type, buildTermMatchers(type, state.keywords[type]).excludes);
+
+    const scorers = buildFuzzyScorers(type, allTerms);
+    showScoreColumn(type, !!scorers);
+    table.draw();
+
+    // Auto-check "desired" for all visible (matched) rows when positive chips are present
+    if (state.keywords[type].some(kw => !isExclusion(kw))) {
+      autoDesireVisible(type, terms.includes, scorers);
+    }
+
+    updateStatusBar(type);
+  }
+
+  /**
+   * On-demand keyword filter for large datasets (> LARGE_DATASET_THRESHOLD rows).
+   * Scans the in-memory data natively, then populates DataTables with only the
+   * matching rows. Bypasses DataTables' built-in search entirely, which is what
+   * causes the DOM freeze on 200K-row datasets. Once the background index is
+   * built the search runs in the worker instead (applyKeywordFilterInWorker).
+   */
+  function applyKeywordFilterOnDemand(type) {
+    var table = state.tables[type];
+    if (!table) return;
+
+    if (SearchIndex.isReady(type)) {
+      applyKeywordFilterInWorker(type);
+      return;
+    }
+
+    // Only use committed keyword chips — live-typed text is not applied here
+    // because scanning 200K rows per keypress is too slow.
+    var allTerms = state.keywords[type].slice();
+
+    if (allTerms.length === 0) {
+      state.onDemandMatched[type] = [];
+      table.clear().draw();
+      updateStatusBar(type);
+      return;
+    }
+
+    var terms = buildTermMatchers(type, allTerms);
+    var scorers = buildFuzzyScorers(type, allTerms);
+    showScoreColumn(type, !!scorers);
+
+    // Rows an exclusion chip hits are unchecked even if they are not displayed
+    uncheckExcluded(type, terms.excludes);
+
+    // Fast native scan — ~50ms for 200K rows. Each row's values are read once;
+    // every positive chip that hits it is recorded in keyword_matched.
+    var matched = [];
+    state.data[type].forEach(function (row) {
+      var rowValues = getRowValues(type, row);
+      var hits = matchingKeywords(terms, rowValues, row);
+      if (hits.length === 0) return;
+      recordMatch(type, row, hits, scorers, rowValues);
+      if (passesOnlyMatchedBy(type, hits)) matched.push(row);
+    });
+
+    // Store for select-all / deselect / status bar / download
+    state.onDemandMatched[type] = matched;
+
+    // Populate DataTables with only matched rows
+    var rowArrays = matched.map(function (row) { return buildRowArray(type, row); });
+    table.clear().rows.add(rowArrays).draw();
+
+    updateStatusBar(type);
+  }
+
+  /**
+   * Worker-backed version of the on-demand filter (see SearchIndex). Typed text
+   * is searched live alongside the chips, and matches are added to the table
+   * block by block as the worker streams them back.
+   */
+  function applyKeywordFilterInWorker(type) {
+    var table = state.tables[type];
+    var input = document.getElementById('search-' + type);
+    var typedText = input ? input.value.trim() : '';
+    var allTerms = state.keywords[type].slice();
+    var committedCount = allTerms.length;
+    // A half-typed query (e.g. an open parenthesis) is left out until it parses
+    if (typedText && !typedKeywordError(type, typedText)) allTerms.push(typedText);
+
+    if (allTerms.length === 0) {
+      SearchIndex.cancel(type);
+      state.onDemandMatched[type] = [];
+      table.clear().draw();
+      updateStatusBar(type);
+      return;
+    }
+
+    // As in standard mode, rows are only auto-desired once a positive chip is committed
+    var autoDesire = state.keywords[type].some(function (kw) { return !isExclusion(kw); });
+    var request = {
+      terms: allTerms.map(function (kw, i) {
+        var term = parseKeyword(kw);
+        return { text: term.text, exclude: term.exclude, mode: getChipMode(type, kw), committed: i < committedCount };
+      }),
+      allColumns: state.searchAllColumns[type],
+      dataColumns: detectDataColumns(type),
+      fuzzyThreshold: state.fuzzyThreshold[type]
+    };
+    var scorers = buildFuzzyScorers(type, allTerms);
+    showScoreColumn(type, !!scorers);
+
+    var matched = null;
+    SearchIndex.search(type, request, function (block) {
+      // The previous results stay on screen until the first block arrives
+      if (!matched) {
+        matched = [];
+        state.onDemandMatched[type] = matched;
+        table.clear();
+      }
+
+      block.unchecked.forEach(function (idx) { uncheckRow(type, state.data[type][idx]); });
+
+      var rows = [];
+      block.rows.forEach(function (idx, i) {
+        var row = state.data[type][idx];
+        var hits = block.chips[i].map(function (c) { return allTerms[c]; });
+        if (autoDesire) {
+          recordMatch(type, row, hits, scorers);
+        } else {
+          row._fuzzyScore = fuzzyScore(type, scorers, row, hits);
+        }
+        if (!passesOnlyMatchedBy(type, hits)) return;
+        matched.push(row);
+        rows.push(buildRowArray(type, row));
+      });
+      if (rows.length > 0) table.rows.add(rows);
+      if (rows.length > 0 || block.done) table.draw(false);
+      if (block.done) {
+        updateStatusBar(type);
+        scheduleFacetRefresh(type);
+      }
+    }, function (message) {
+      // The worker is gone or refused the search — redo it on the main thread
+      console.warn('[Search] Falling back to main-thread search for ' + type + ':', message);
+      if (!SearchIndex.isReady(type)) applyKeywordFilterOnDemand(type);
+    });
+  }
+
+  /**
+   * Mark a row desired and record every keyword that matched it.
+   */
+  function markKeywordMatched(type, row, keywords) {
+    row.desired = true;
+    if (keywords.length > 0) row.keyword_matched = SearchEngine.joinMatchedKeywords(keywords);
+    state.desired[type][row._rowKey] = true;
+    state.keywordMatched[type][row._rowKey] = row.keyword_matched;
+  }
+
+  /**
+   * Record a matched row. Rows only fuzzy chips found, with a score below 1,
+   * get their keywords and score but are never auto-desired — the user
+   * reviews them and ticks the real ones.
+   */
+  function recordMatch(type, row, keywords, scorers, rowValues) {
+    row._fuzzyScore = fuzzyScore(type, scorers, row, keywords, rowValues);
+    if (row._fuzzyScore === undefined || row._fuzzyScore >= 1) {
+      markKeywordMatched(type, row, keywords);
+      return;
+    }
+    row.keyword_matched = SearchEngine.joinMatchedKeywords(keywords);
+    state.keywordMatched[type][row._rowKey] = row.keyword_matched;
+  }
+
+  /**
+   * Scorers for the positive fuzzy chips among these chips, keyed by chip
+   * text, or null when none of them is fuzzy.
+   */
+  function buildFuzzyScorers(type, keywords) {
+    var scorers = null;
+    keywords.forEach(function (kw) {
+      var term = parseKeyword(kw);
+      if (term.exclude || getChipMode(type, kw) !== 'fuzzy') return;
+      scorers = scorers || {};
+      scorers[kw] = SearchEngine.compileFuzzyScorer(type, term.text, detectDataColumns(type), { fuzzyThreshold: state.fuzzyThreshold[type] });
+    });
+    return scorers;
+  }
+
+  /**
+   * A matched row's score for the Score column: 1 when a non-fuzzy chip hit
+   * it, else the best score of the fuzzy chips that did. Undefined when no
+   * chip is fuzzy.
+   */
+  function fuzzyScore(type, scorers, row, keywords, rowValues) {
+    if (!scorers) return undefined;
+    if (keywords.some(function (kw) { return !scorers[kw]; })) return 1;
+    var values = rowValues || getRowValues(type, row);
+    return keywords.reduce(function (best, kw) { return Math.max(best, scorers[kw](values, row)); }, 0);
+  }
+
+  /**
+   * Show the Score column (last) while fuzzy chips are in play, sorted best
+   * first; hide it and go back to file order when they're gone.
+   */
+  function showScoreColumn(type, show) {
+    var table = state.tables[type];
+    if (!table) return;
+    var col = getColumnDefs(type).length - 1;
+    if (table.column(col).visible() !== show) table.column(col).visible(show, false);
+    var order = table.order();
+    var sortedByScore = order.length > 0 && order[0][0] === col;
+    if (show && !sortedByScore) table.order([col, 'desc']);
+    if (!show && sortedByScore) table.order([]);
+  }
+
+  /**
+   * Clear a row's Desired box and keyword attribution (an exclusion chip hit it).
+   * Returns false when the row wasn't desired.
+   */
+  function uncheckRow(type, row) {
+    if (!row || !row.desired) return false;
+    row.desired = false;
+    row.keyword_matched = '';
+    state.desired[type][row._rowKey] = false;
+    state.keywordMatched[type][row._rowKey] = '';
+    return true;
+  }
+
+  /**
+   * Uncheck every desired row hit by an exclusion chip, so rows picked up by an
+   * earlier search don't stay in the export after being excluded.
+   * Returns the number of rows unchecked.
+   */
+  function uncheckExcluded(type, excludes) {
+    if (excludes.length === 0) return 0;
+    var table = state.tables[type];
+    var large = isLarge(type);
+    var count = 0;
+    state.data[type].forEach(function (row, idx) {
+      if (!row.desired) return;
+      var rowValues = getRowValues(type, row);
+      if (!excludes.some(function (t) { return t.matcher(rowValues, row); })) return;
+      uncheckRow(type, row);
+      // Standard mode keeps every row in DataTables — refresh the stored cells
+      // so the checkbox is correct if the row is shown again later.
+      if (table && !large) table.row(idx).data(buildRowArray(type, row, idx));
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Per-chip yield over the whole dictionary (see SearchEngine.computeYield),
+   * counted with the same matchers and columns as the table.
+   */
+  function getKeywordYield(type) {
+    return SearchEngine.computeYield(
+      buildTermMatchers(type, state.keywords[type]),
+      state.data[type],
+      function (row) { return getRowValues(type, row); }
+    );
+  }
+
+  /**
+   * match_count of every chip for the search-terms manifest: rows matched,
+   * or for an exclusion chip the matched rows it removed.
+   */
+  function getMatchCounts(type) {
+    var result = getKeywordYield(type);
+    var counts = {};
+    result.includes.concat(result.excludes).forEach(function (y) { counts[y.keyword] = y.matches; });
+    return counts;
+  }
+
+  /**
+   * Match mode of every chip, for the match_mode column of the manifest.
+   */
+  function getMatchModes(type) {
+    var modes = {};
+    state.keywords[type].forEach(function (kw) {
+      var mode = getChipMode(type, kw);
+      // Fuzzy results depend on the threshold, so record it with the mode
+      modes[kw] = mode === 'fuzzy' ? mode + ':' + state.fuzzyThreshold[type] : mode;
+    });
+    return modes;
+  }
+
+  /**
+   * Auto-check "desired" for all rows currently visible after a keyword filter
+   * (except fuzzy-only hits, see recordMatch). Also sets the keyword_matched
+   * field so users can see every keyword that hit.
+   */
+  function autoDesireVisible(type, matchers, scorers) {
+    const table = state.tables[type];
+    if (!table) return;
+
+    table.rows({ search: 'applied' }).every(function (rowIdx) {
+      const row = state.data[type][rowIdx];
+      if (!row) return;
+
+      const rowValues = getRowValues(type, row);
+      const hits = matchers.filter(t => t.matcher(rowValues, row)).map(t => t.keyword);
+      recordMatch(type, row, hits, scorers, rowValues);
+    });
+
+    // Update DataTable internal data for visible rows so checkboxes re-render
+    table.rows({ search: 'applied' }).every(function (rowIdx) {
+      var row = state.data[type][rowIdx];
+      if (row) {
+        this.data(buildRowArray(type, row, rowIdx));
+      }
+    });
+    table.draw(false);
+    updateStatusBar(type);
+  }
+
+  // ---- Keyword Yield Panel ----
+  var _yieldTimers = {};
+
+  function toggleYieldPanel(type) {
+    var panel = document.getElementById('yield-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshYieldPanel(type);
+  }
+
+  function isYieldPanelOpen(type) {
+    var panel = document.getElementById('yield-panel-' + type);
+    return !!panel && panel.classList.contains('visible');
+  }
+
+  /**
+   * Called whenever the chips or their options change. Small dictionaries are
+   * recounted shortly after; large ones are only marked out of date, since a
+   * full recount scans every row once per chip.
+   */
+  function scheduleYieldRefresh(type) {
+    if (!isYieldPanelOpen(type)) return;
+    if (isLarge(type)) {
+      var note = document.getElementById('yield-stale-' + type);
+      if (note) note.style.display = '';
+      return;
+    }
+    clearTimeout(_yieldTimers[type]);
+    _yieldTimers[type] = setTimeout(function () { refreshYieldPanel(type); }, 300);
+  }
+
+  /**
+   * Recount every chip and redraw the panel: per-chip matches, unique rows,
+   * desired rows and the overlap matrix. Zero-hit chips are flagged.
+   */
+  function refreshYieldPanel(type) {
+    var panel = document.getElementById('yield-panel-' + type);
+    if (!panel) return;
+
+    if (state.keywords[type].length === 0) {
+      panel.innerHTML = '<div class="yield-empty">Add keywords to see how many rows each one finds.</div>';
+      return;
+    }
+
+    panel.innerHTML = '<div class="yield-empty">Counting matches for ' + state.keywords[type].length + ' keywords&hellip;</div>';
+    // Let the message paint before a long count on a large dictionary
+    setTimeout(function () {
+      panel.innerHTML = buildYieldHtml(type, getKeywordYield(type));
+    }, 0);
+  }
+
+  function buildYieldHtml(type, result) {
+    var chipIndex = function (kw) { return state.keywords[type].indexOf(kw); };
+    var zeroHit = result.includes.concat(result.excludes).filter(function (y) { return y.matches === 0; });
+    var removeBtn = function (kw) {
+      return '<button class="yield-remove" onclick="DictApp.removeKeyword(\'' + type + '\', ' + chipIndex(kw) + ')" title="Remove this keyword">&times;</button>';
+    };
+
+    var html = '<div class="yield-header">' +
+      '<strong>Keyword yield</strong>' +
+      '<span class="yield-note">Counted over the whole dictionary with the same matching as the table.</span>' +
+      '<span class="yield-stale" id="yield-stale-' + type + '" style="display:none">Keywords changed &mdash; counts are out of date.</span>' +
+      '<button class="btn btn-secondary" onclick="DictApp.refreshYieldPanel(\'' + type + '\')">&#8635; Refresh</button>' +
+      (zeroHit.length > 0
+        ? '<button class="btn btn-secondary yield-remove-zero" onclick="DictApp.removeZeroHitKeywords(\'' + type + '\')">Remove ' +
+          zeroHit.length + ' with no hits</button>'
+        : '') +
+      '</div>';
+
+    html += '<table class="yield-table"><thead><tr>' +
+      '<th>#</th><th>Keyword</th>' +
+      '<th title="Rows this keyword matches (and no exclusion removes)">Matches</th>' +
+      '<th title="Rows no other keyword matches — lost if this keyword is removed">Unique</th>' +
+      '<th title="Of this keyword\'s rows, how many are still checked">Desired</th><th></th>' +
+      '</tr></thead><tbody>';
+    result.includes.forEach(function (y, i) {
+      html += '<tr' + (y.matches === 0 ? ' class="zero-hit" title="No rows match this keyword"' : '') + '>' +
+        '<td class="yield-num">' + (i + 1) + '</td>' +
+        '<td><span class="chip-swatch hl-' + highlightColor(type, y.keyword) + '"></span> ' + escHtml(y.keyword) + '</td>' +
+        '<td class="yield-num">' + y.matches.toLocaleString() + '</td>' +
+        '<td class="yield-num">' + y.unique.toLocaleString() + '</td>' +
+        '<td class="yield-num">' + y.desired.toLocaleString() + '</td>' +
+        '<td>' + removeBtn(y.keyword) + '</td></tr>';
+    });
+    result.excludes.forEach(function (y) {
+      html += '<tr class="yield-exclusion' + (y.matches === 0 ? ' zero-hit' : '') + '">' +
+        '<td></td><td>' + escHtml(y.keyword) + '</td>' +
+        '<td class="yield-num" colspan="3">removes ' + y.matches.toLocaleString() + ' ' + (y.matches === 1 ? 'row' : 'rows') + '</td>' +
+        '<td>' + removeBtn(y.keyword) + '</td></tr>';
+    });
+    html += '</tbody></table>';
+
+    // Overlap matrix: rows matched by both keyword i and keyword j
+    if (result.includes.length > 1) {
+      html += '<details class="yield-overlap"><summary>Overlap between keywords</summary><div class="yield-overlap-scroll"><table><thead><tr><th></th>';
+      result.includes.forEach(function (y, j) {
+        html += '<th title="' + escAttr(y.keyword) + '">' + (j + 1) + '</th>';
+      });
+      html += '</tr></thead><tbody>';
+      result.overlap.forEach(function (counts, i) {
+        html += '<tr><th title="' + escAttr(result.includes[i].keyword) + '">' + (i + 1) + '</th>';
+        counts.forEach(function (n, j) {
+          var cls = i === j ? 'overlap-self' : (n === 0 ? 'overlap-zero' : '');
+          html += '<td class="' + cls + '" title="' + escAttr(result.includes[i].keyword + ' & ' + result.includes[j].keyword) + '">' +
+            n.toLocaleString() + '</td>';
+        });
+        html += '</tr>';
+      });
+      html += '</tbody></table></div></details>';
+    }
+
+    return html;
+  }
+
+  /**
+   * Remove every chip that matches no rows (common after AI expansion) in one go.
+   */
+  function removeZeroHitKeywords(type) {
+    var result = getKeywordYield(type);
+    var zero = {};
+    result.includes.concat(result.excludes).forEach(function (y) {
+      if (y.matches === 0) zero[y.keyword] = true;
+    });
+    var before = state.keywords[type].length;
+    state.keywords[type] = state.keywords[type].filter(function (kw) { return !zero[kw]; });
+    forgetChips(type, Object.keys(zero));
+    var removed = before - state.keywords[type].length;
+    if (removed === 0) return;
+    renderChips(type);
+    applyKeywordFilter(type);
+    refreshYieldPanel(type);
+    showToast('Removed ' + removed + ' keyword' + (removed === 1 ? '' : 's') + ' with no hits');
+  }
+
+  // ---- ICD Crosswalk Panel ----
+  // ICD-9 / ICD-10 equivalents (see IcdCrosswalk) of the checked dx rows, for
+  // study windows that straddle 2015-10-01. Adding a proposal adds its code as
+  // a chip and records where it was mapped from (state.mappedFrom), which the
+  // dx rows carry as mapped_from into ss-dx.csv.
+  var _crosswalkProposals = [];   // as last rendered (for the checkbox indices)
+
+  function toggleCrosswalkPanel(type) {
+    var panel = document.getElementById('crosswalk-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshCrosswalkPanel(type);
+  }
+
+  function crosswalkKey(vocabulary, code) {
+    return vocabulary + ':' + CodeRange.normalize(code);
+  }
+
+  /**
+   * Propose the mapped codes of every desired dx row and redraw the panel.
+   */
+  function refreshCrosswalkPanel(type) {
+    var panel = document.getElementById('crosswalk-panel-' + type);
+    if (!panel) return;
+
+    if (IcdCrosswalk.size() === 0) {
+      panel.innerHTML = '<div class="yield-empty">The crosswalk file (data/icd-gem.csv) is not loaded.</div>';
+      return;
+    }
+    var desired = state.data[type].filter(function (row) { return row.desired; });
+    if (desired.length === 0) {
+      panel.innerHTML = '<div class="yield-empty">Check some diagnosis rows to see their mapped ICD-9 / ICD-10 codes.</div>';
+      return;
+    }
+
+    var loaded = {};
+    state.data[type].forEach(function (row) { loaded[crosswalkKey(row.vocabulary_id, row.icd_code)] = row; });
+    _crosswalkProposals = IcdCrosswalk.propose(desired, function (vocabulary, code) {
+      return loaded[crosswalkKey(vocabulary, code)];
+    });
+    panel.innerHTML = buildCrosswalkHtml(type, desired.length);
+  }
+
+  function buildCrosswalkHtml(type, desiredCount) {
+    var chips = {};
+    state.keywords[type].forEach(function (kw) { chips[kw.toLowerCase()] = true; });
+    var missing = _crosswalkProposals.filter(function (p) { return !p.row; }).length;
+
+    var html = '<div class="yield-header">' +
+      '<strong>Mapped ICD codes</strong>' +
+      '<span class="yield-note">' + _crosswalkProposals.length + (_crosswalkProposals.length === 1 ? ' code maps' : ' codes map') + ' to or from the ' +
+        desiredCount.toLocaleString() + ' checked ' + (desiredCount === 1 ? 'row' : 'rows') + ' (CMS GEMs, both directions).</span>' +
+      '<button class="btn btn-secondary" onclick="DictApp.refreshCrosswalkPanel(\'' + type + '\')">&#8635; Refresh</button>' +
+      (_crosswalkProposals.length > 0
+        ? '<button class="btn btn-primary" onclick="DictApp.addMappedCodes(\'' + type + '\')">Add Selected as Keywords</button>'
+        : '') +
+      '</div>';
+    if (missing > 0) {
+      html += '<div class="crosswalk-missing">' + missing + ' of these codes are not loaded &mdash; include ' +
+        (_crosswalkProposals.some(function (p) { return !p.row && p.vocabulary === 'ICD9CM'; }) ? 'ICD-9-CM' : 'ICD-10-CM') +
+        ' in Active Systems (study dates or the system badges) to add them.</div>';
+    }
+    if (_crosswalkProposals.length === 0) {
+      return html + '<div class="yield-empty">No mapped codes beyond the rows already checked.</div>';
+    }
+
+    html += '<table class="yield-table crosswalk-table"><thead><tr>' +
+      '<th></th><th>Code</th><th>Vocabulary</th><th>Description</th>' +
+      '<th title="The checked codes that map to this one, and how closely">Mapped from</th>' +
+      '</tr></thead><tbody>';
+    _crosswalkProposals.forEach(function (p, i) {
+      var added = !!chips[p.code.toLowerCase()];
+      html += '<tr class="' + (p.row ? '' : 'crosswalk-unloaded') + '">' +
+        '<td><input type="checkbox" class="crosswalk-pick" data-index="' + i + '"' +
+          (p.row && !added ? ' checked' : ' disabled') + '></td>' +
+        '<td><code>' + escHtml(p.code) + '</code>' + (added ? ' <span class="crosswalk-flag added">added</span>' : '') + '</td>' +
+        '<td>' + escHtml(p.vocabulary) + '</td>' +
+        '<td>' + (p.row ? escHtml(p.row.icd_description || '') : '<em>not loaded</em>') + '</td>' +
+        '<td>' + p.from.map(function (f) {
+          var flags = IcdCrosswalk.describeFlags(f.mapping);
+          return '<code>' + escHtml(f.code) + '</code> ' +
+            '<span class="crosswalk-flag">' + f.mapping.direction + '</span>' +
+            (flags ? ' <span class="crosswalk-flag warn">' + escHtml(flags) + '</span>' : '');
+        }).join('<br>') + '</td></tr>';
+    });
+    return html + '</tbody></table>';
+  }
+
+  /**
+   * Add the ticked proposals as code chips (which check their rows) and
+   * annotate those rows with the codes they were mapped from.
+   */
+  function addMappedCodes(type) {
+    var panel = document.getElementById('crosswalk-panel-' + type);
+    if (!panel) return;
+    var picked = Array.from(panel.querySelectorAll('.crosswalk-pick:checked')).map(function (box) {
+      return _crosswalkProposals[+box.dataset.index];
+    });
+    if (picked.length === 0) {
+      showToast('Tick the mapped codes to add');
+      return;
+    }
+
+    var byKey = {};
+    state.data[type].forEach(function (row) { byKey[crosswalkKey(row.vocabulary_id, row.icd_code)] = row; });
+    var added = 0;
+    picked.forEach(function (p) {
+      var key = crosswalkKey(p.vocabulary, p.code);
+      state.mappedFrom[key] = IcdCrosswalk.describeSources(p);
+      if (byKey[key]) byKey[key].mapped_from = state.mappedFrom[key];
+      if (state.keywords[type].some(function (k) { return k.toLowerCase() === p.code.toLowerCase(); })) return;
+      state.keywords[type].push(p.code);
+      added++;
+    });
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
+    refreshCrosswalkPanel(type);
+    showToast('Added ' + added + ' mapped code' + (added === 1 ? '' : 's') + ' as keywords');
+  }
+
+  // ---- ICD Tree Panel ----
+  // The dx rows as ICD-10-CM and ICD-9-CM hierarchies (see IcdTree), with
+  // checked / total counts at every level. Ticking a node checks every code
+  // under it; a node only partly checked shows a dash in its box.
+  var _icdTrees = {};             // type → IcdTree.build result, built once per load
+  var _icdTreeVocabulary = '';    // tree shown; '' = the first loaded
+  var _icdTreeExpanded = {};      // node id → true
+  var _icdTreeTimer = null;
+  var ICD_TREE_CHILDREN_SHOWN = 200;
+
+  function getIcdTree(type) {
+    if (!_icdTrees[type]) {
+      _icdTrees[type] = IcdTree.build(state.data[type]);
+      _icdTreeExpanded = {};
+    }
+    return _icdTrees[type];
+  }
+
+  function toggleIcdTreePanel(type) {
+    var panel = document.getElementById('icd-tree-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshIcdTreePanel(type);
+  }
+
+  /**
+   * Called whenever rows are checked or unchecked: recount the open tree, so
+   * chip selections show up in it.
+   */
+  function scheduleIcdTreeRefresh(type) {
+    var panel = document.getElementById('icd-tree-panel-' + type);
+    if (!panel || !panel.classList.contains('visible')) return;
+    clearTimeout(_icdTreeTimer);
+    _icdTreeTimer = setTimeout(function () { refreshIcdTreePanel(type); }, 300);
+  }
+
+  function setIcdTreeVocabulary(type, vocabulary) {
+    _icdTreeVocabulary = vocabulary;
+    refreshIcdTreePanel(type);
+  }
+
+  function toggleIcdNode(type, id) {
+    if (_icdTreeExpanded[id]) delete _icdTreeExpanded[id];
+    else _icdTreeExpanded[id] = true;
+    refreshIcdTreePanel(type);
+  }
+
+  /**
+   * Open every branch holding a checked code.
+   */
+  function expandCheckedIcdNodes(type) {
+    getIcdTree(type).nodes.forEach(function (node) {
+      if (node.children.length > 0 && node.all.some(function (r) { return r.desired; })) _icdTreeExpanded[node.id] = true;
+    });
+    refreshIcdTreePanel(type);
+  }
+
+  function refreshIcdTreePanel(type) {
+    var panel = document.getElementById('icd-tree-panel-' + type);
+    if (!panel) return;
+    panel.innerHTML = buildIcdTreeHtml(type, getIcdTree(type));
+    panel.querySelectorAll('.tree-check[data-partial]').forEach(function (box) { box.indeterminate = true; });
+  }
+
+  function buildIcdTreeHtml(type, tree) {
+    var vocabularies = tree.vocabularies;
+    if (vocabularies.indexOf(_icdTreeVocabulary) === -1) _icdTreeVocabulary = vocabularies[0] || '';
+
+    var html = '<div class="yield-header">' +
+      '<strong>ICD tree</strong>' +
+      '<span class="yield-note">' +
+        (IcdTree.size() > 0 ? 'Chapters and blocks from data/icd-chapters.csv.' : 'The chapter file (data/icd-chapters.csv) is not loaded &mdash; codes start at their category.') +
+        (tree.skipped > 0 ? ' ' + tree.skipped.toLocaleString() + ' rows without an ICD-9-CM or ICD-10-CM code are left out.' : '') +
+      '</span>';
+    if (vocabularies.length > 1) {
+      html += '<select onchange="DictApp.setIcdTreeVocabulary(\'' + type + '\', this.value)">' +
+        vocabularies.map(function (v) {
+          return '<option value="' + v + '"' + (v === _icdTreeVocabulary ? ' selected' : '') + '>' + escHtml(IcdTree.getLabel(v)) + '</option>';
+        }).join('') + '</select>';
+    }
+    html += '<button class="btn btn-secondary" onclick="DictApp.expandCheckedIcdNodes(\'' + type + '\')" title="Open every branch with a checked code">Expand Checked</button>' +
+      '</div>';
+
+    var root = tree.trees[_icdTreeVocabulary];
+    if (!root) return html + '<div class="yield-empty">No diagnosis codes are loaded.</div>';
+
+    var renderChildren = function (node, depth) {
+      var out = '';
+      node.children.slice(0, ICD_TREE_CHILDREN_SHOWN).forEach(function (child) {
+        var s = IcdTree.status(child);
+        var open = !!_icdTreeExpanded[child.id];
+        out += '<div class="tree-node' + (s.isPartial ? ' tree-partial' : '') + '" style="padding-left:' + (depth * 1.25) + 'rem">' +
+          (child.children.length > 0
+            ? '<button class="tree-toggle" onclick="DictApp.toggleIcdNode(\'' + type + '\', ' + child.id + ')">' + (open ? '&#9662;' : '&#9656;') + '</button>'
+            : '<span class="tree-toggle"></span>') +
+          '<input type="checkbox" class="tree-check"' + (s.checked === s.total ? ' checked' : '') + (s.isPartial ? ' data-partial' : '') +
+            ' onchange="DictApp.setIcdNodeDesired(\'' + type + '\', ' + child.id + ', this.checked)" title="Check or uncheck every code under ' + escAttr(child.code) + '">' +
+          '<span class="tree-code">' + escHtml(child.code) + '</span>' +
+          '<span class="tree-title">' + escHtml(child.title) + '</span>' +
+          '<span class="tree-count">' + s.checked.toLocaleString() + ' / ' + s.total.toLocaleString() + '</span>' +
+          '</div>';
+        if (open) out += renderChildren(child, depth + 1);
+      });
+      if (node.children.length > ICD_TREE_CHILDREN_SHOWN) {
+        out += '<div class="yield-empty" style="padding-left:' + (depth * 1.25) + 'rem">Showing the first ' + ICD_TREE_CHILDREN_SHOWN +
+          ' of ' + node.children.length.toLocaleString() + ' &mdash; search for the code to narrow the table instead.</div>';
+      }
+      return out;
+    };
+    return html + '<div class="tree-list">' + renderChildren(root, 0) + '</div>';
+  }
+
+  /**
+   * Check or uncheck every code under a node. Codes the current keywords
+   * don't find would be left out of the download, so checking first adds
+   * the node's code (or chapter / block range) as a chip; unchecking takes
+   * it away again so the next search doesn't check the codes back.
+   */
+  function setIcdNodeDesired(type, id, checked) {
+    var node = getIcdTree(type).nodes[id];
+    if (!node) return;
+
+    if (checked) {
+      var matched = new Set(chipMatchedRows(type));
+      var chip = IcdTree.chipFor(node);
+      var missing = chip && node.all.some(function (row) { return !matched.has(row); });
+      var present = missing && state.keywords[type].some(function (k) { return k.toUpperCase() === chip.toUpperCase(); });
+      if (missing && !present) {
+        state.keywords[type].push(chip);
+        state.onlyMatchedBy[type] = '';
+        renderChips(type);
+        applyKeywordFilter(type);
+        showToast('Added ' + chip + ' to keep every code under it in the download');
+      }
+    } else {
+      releaseNodeChips(type, node, IcdTree.chipFor, node.code, function (n) { return [n.code]; });
+    }
+
+    setRowsDesired(type, node.all, checked);
+    refreshIcdTreePanel(type);
+  }
+
+  // ---- Lab Equivalence Panel ----
+  // Lab rows of different source systems linked by LOINC (see LabEquivalence),
+  // with gaps — checked in one system, not in its equivalent — flagged here
+  // and again before download or Send to CRDW.
+  var _labGroups = [];                  // as last rendered (for the onclick indices)
+  var _equivalenceFilter = 'checked';   // gaps / checked / all
+  var _equivalenceTimer = null;
+
+  function toggleEquivalencePanel(type) {
+    var panel = document.getElementById('equivalence-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshEquivalencePanel(type);
+  }
+
+  function isEquivalencePanelOpen(type) {
+    var panel = document.getElementById('equivalence-panel-' + type);
+    return !!panel && panel.classList.contains('visible');
+  }
+
+  /**
+   * Called whenever rows are checked or unchecked.
+   */
+  function scheduleEquivalenceRefresh(type) {
+    if (!isEquivalencePanelOpen(type)) return;
+    clearTimeout(_equivalenceTimer);
+    _equivalenceTimer = setTimeout(function () { refreshEquivalencePanel(type); }, 300);
+  }
+
+  function setEquivalenceFilter(type, value) {
+    _equivalenceFilter = value;
+    refreshEquivalencePanel(type);
+  }
+
+  function refreshEquivalencePanel(type) {
+    var panel = document.getElementById('equivalence-panel-' + type);
+    if (!panel) return;
+    var groups = LabEquivalence.group(state.data[type]);
+    _labGroups = groups.filter(function (g) {
+      var s = LabEquivalence.status(g);
+      if (_equivalenceFilter === 'gaps') return s.isGap;
+      if (_equivalenceFilter === 'checked') return s.selectedIn.length > 0;
+      return true;
+    });
+    panel.innerHTML = buildEquivalenceHtml(type, groups);
+  }
+
+  function buildEquivalenceHtml(type, groups) {
+    var gapCount = LabEquivalence.gaps(groups).length;
+    var sources = [];
+    groups.forEach(function (g) {
+      Object.keys(g.sources).forEach(function (s) { if (sources.indexOf(s) === -1) sources.push(s); });
+    });
+    sources.sort();
+
+    var option = function (value, label) {
+      return '<option value="' + value + '"' + (_equivalenceFilter === value ? ' selected' : '') + '>' + label + '</option>';
+    };
+    var html = '<div class="yield-header">' +
+      '<strong>Lab equivalence</strong>' +
+      '<span class="yield-note">' + groups.length + ' tests found in more than one system, linked by LOINC (or name when LOINC is missing).</span>' +
+      (gapCount > 0
+        ? '<span class="equivalence-gap-count">' + gapCount + (gapCount === 1 ? ' test is' : ' tests are') +
+          ' checked in one system but not its equivalent</span>'
+        : '') +
+      '<select onchange="DictApp.setEquivalenceFilter(\'' + type + '\', this.value)">' +
+        option('gaps', 'Gaps only') + option('checked', 'Tests with a checked row') + option('all', 'All linked tests') +
+      '</select>' +
+      '</div>';
+
+    if (_labGroups.length === 0) {
+      return html + '<div class="yield-empty">' +
+        (_equivalenceFilter === 'all' ? 'No tests are shared between the loaded systems.' : 'Nothing to show &mdash; check some lab rows, or show all linked tests.') +
+        '</div>';
+    }
+
+    html += '<table class="yield-table equivalence-table"><thead><tr><th>Test</th><th>LOINC</th>';
+    sources.forEach(function (s) { html += '<th>' + escHtml(SystemLogic.getSystemLabel(s)) + '</th>'; });
+    html += '<th></th></tr></thead><tbody>';
+    _labGroups.forEach(function (g, i) {
+      var s = LabEquivalence.status(g);
+      html += '<tr' + (s.isGap ? ' class="equivalence-gap" title="Checked in ' + escAttr(s.selectedIn.map(SystemLogic.getSystemLabel).join(', ')) +
+        ', not in ' + escAttr(s.missingIn.map(SystemLogic.getSystemLabel).join(', ')) + '"' : '') + '>' +
+        '<td>' + escHtml(g.name) + '</td>' +
+        '<td>' + (g.loinc ? '<code>' + escHtml(g.loinc) + '</code>' : '<em>by name</em>') + '</td>';
+      sources.forEach(function (source) {
+        html += '<td>' + g.members.filter(function (m) { return m.row._source === source; }).map(function (m) {
+          return '<span class="equivalence-member' + (m.row.desired ? ' checked' : '') + '"' +
+            (m.via === 'name' ? ' title="No LOINC — linked by name"' : '') + '>' +
+            (m.row.desired ? '&#10003; ' : '') + escHtml(LabEquivalence.nameOf(m.row)) + (m.via === 'name' ? '*' : '') + '</span>';
+        }).join('<br>') + '</td>';
+      });
+      html += '<td>' + (s.isGap
+        ? '<button class="btn btn-secondary" onclick="DictApp.selectEquivalents(\'' + type + '\', ' + i + ')" title="Add keywords that check this test in every system">Select equivalents</button>'
+        : '') + '</td></tr>';
+    });
+    return html + '</tbody></table>';
+  }
+
+  /**
+   * Close a gap: add a whole-word loinc: chip for the group's LOINC, plus a
+   * phrase chip for each unchecked row linked only by name. The chips check
+   * the rows and keep them in the download.
+   */
+  function selectEquivalents(type, index) {
+    var g = _labGroups[index];
+    if (!g) return;
+    var missing = LabEquivalence.status(g).missingIn;
+    var chips = [];
+    if (g.loinc) chips.push('loinc:' + g.loinc);
+    g.members.forEach(function (m) {
+      if (missing.indexOf(m.row._source) === -1 || LabEquivalence.loincOf(m.row)) return;
+      var phrase = '"' + LabEquivalence.nameOf(m.row).replace(/"/g, '') + '"';
+      if (chips.indexOf(phrase) === -1) chips.push(phrase);
+    });
+
+    var added = 0;
+    chips.forEach(function (kw) {
+      if (state.keywords[type].some(function (k) { return k.toLowerCase() === kw.toLowerCase(); })) return;
+      state.keywords[type].push(kw);
+      // "loinc:4548-4" must not hit 14548-4
+      if (kw.indexOf('loinc:') === 0 && state.matchMode[type] !== 'word') state.chipModes[type][kw] = 'word';
+      added++;
+    });
+    if (added === 0) {
+      showToast('The keywords for ' + g.name + ' are already added');
+      return;
+    }
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
+    refreshEquivalencePanel(type);
+    showToast('Added ' + chips.join(', '));
+  }
+
+  /**
+   * Before a lab download or push: when any test is checked in one system
+   * but not in its equivalent, show the gaps and ask whether to go ahead.
+   * @returns {boolean} true to continue
+   */
+  function confirmLabGaps(type, action) {
+    if (type !== 'lab') return true;
+    var gaps = LabEquivalence.gaps(LabEquivalence.group(state.data[type]));
+    if (gaps.length === 0) return true;
+
+    _equivalenceFilter = 'gaps';
+    var panel = document.getElementById('equivalence-panel-' + type);
+    if (panel) panel.classList.add('visible');
+    refreshEquivalencePanel(type);
+
+    var lines = gaps.slice(0, 10).map(function (g) {
+      var s = LabEquivalence.status(g);
+      return '  ' + g.name + (g.loinc ? ' (' + g.loinc + ')' : '') + ': checked in ' +
+        s.selectedIn.map(SystemLogic.getSystemLabel).join(', ') + ', not ' + s.missingIn.map(SystemLogic.getSystemLabel).join(', ');
+    });
+    if (gaps.length > 10) lines.push('  ...and ' + (gaps.length - 10) + ' more (see Lab Equivalence)');
+    return window.confirm(gaps.length + (gaps.length === 1 ? ' lab test is' : ' lab tests are') +
+      ' checked in one system but not its equivalent in another:\n\n' + lines.join('\n') + '\n\n' + action + ' anyway?');
+  }
+
+  // ---- Ingredient Groups Panel ----
+  // Medication rows of Epic, Meditech and Centricity clustered by ingredient
+  // (see MedLinking). Checking a group checks every member in every system;
+  // groups only partly checked are listed in a review banner on the tab.
+  var _medGroups = {};                 // type → groups, built once per load
+  var _ingredientView = [];            // as last rendered (for the onclick indices)
+  var _ingredientFilter = 'partial';   // partial / checked / all
+  var _ingredientTimer = null;
+  var INGREDIENT_ROWS_SHOWN = 200;
+
+  function getMedGroups(type) {
+    if (!_medGroups[type]) _medGroups[type] = MedLinking.group(state.data[type]);
+    return _medGroups[type];
+  }
+
+  function toggleIngredientPanel(type) {
+    var panel = document.getElementById('ingredient-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshIngredientPanel(type);
+  }
+
+  /**
+   * Called whenever rows are checked or unchecked: recount the review banner,
+   * and the panel when it's open.
+   */
+  function scheduleIngredientRefresh(type) {
+    if (type !== 'medication') return;
+    clearTimeout(_ingredientTimer);
+    _ingredientTimer = setTimeout(function () {
+      renderIngredientWarning(type);
+      var panel = document.getElementById('ingredient-panel-' + type);
+      if (panel && panel.classList.contains('visible')) refreshIngredientPanel(type);
+    }, 300);
+  }
+
+  function renderIngredientWarning(type) {
+    var banner = document.getElementById('ingredient-warning-' + type);
+    if (!banner) return;
+    var partial = MedLinking.partial(getMedGroups(type));
+    banner.classList.toggle('visible', partial.length > 0);
+    if (partial.length === 0) return;
+    var names = partial.slice(0, 5).map(function (g) { return escHtml(g.name); }).join(', ') +
+      (partial.length > 5 ? ', &hellip;' : '');
+    banner.innerHTML = '<strong>Review:</strong> ' + partial.length + ' ingredient ' + (partial.length === 1 ? 'group is' : 'groups are') +
+      ' only partly checked (' + names + ') &mdash; some strengths, forms or systems of the same drug are left out.' +
+      '<button class="btn btn-secondary" onclick="DictApp.showPartialIngredients(\'' + type + '\')">Review Groups</button>';
+  }
+
+  function showPartialIngredients(type) {
+    _ingredientFilter = 'partial';
+    var panel = document.getElementById('ingredient-panel-' + type);
+    if (panel) panel.classList.add('visible');
+    refreshIngredientPanel(type);
+  }
+
+  function setIngredientFilter(type, value) {
+    _ingredientFilter = value;
+    refreshIngredientPanel(type);
+  }
+
+  function refreshIngredientPanel(type) {
+    var panel = document.getElementById('ingredient-panel-' + type);
+    if (!panel) return;
+    var groups = getMedGroups(type);
+    _ingredientView = groups.filter(function (g) {
+      var s = MedLinking.status(g);
+      if (_ingredientFilter === 'partial') return s.isPartial;
+      if (_ingredientFilter === 'checked') return s.checked > 0;
+      return true;
+    });
+    panel.innerHTML = buildIngredientHtml(type, groups);
+    // A partly checked group shows a dash in its box
+    panel.querySelectorAll('.ingredient-check[data-partial]').forEach(function (box) { box.indeterminate = true; });
+  }
+
+  function buildIngredientHtml(type, groups) {
+    var sources = [];
+    groups.forEach(function (g) {
+      Object.keys(g.sources).forEach(function (s) { if (sources.indexOf(s) === -1) sources.push(s); });
+    });
+    sources.sort();
+
+    var option = function (value, label) {
+      return '<option value="' + value + '"' + (_ingredientFilter === value ? ' selected' : '') + '>' + label + '</option>';
+    };
+    var html = '<div class="yield-header">' +
+      '<strong>Ingredient groups</strong>' +
+      '<span class="yield-note">' + groups.length.toLocaleString() + ' groups, linked by generic name, NDC (labeler + product) and GPI drug name.</span>' +
+      '<select onchange="DictApp.setIngredientFilter(\'' + type + '\', this.value)">' +
+        option('partial', 'Partly checked') + option('checked', 'Groups with a checked row') + option('all', 'All groups') +
+      '</select>' +
+      '</div>';
+
+    if (_ingredientView.length === 0) {
+      return html + '<div class="yield-empty">' +
+        (_ingredientFilter === 'partial' ? 'No group is partly checked.' : 'Nothing to show &mdash; check some rows, or show all groups.') +
+        '</div>';
+    }
+
+    html += '<table class="yield-table ingredient-table"><thead><tr><th></th><th>Ingredient</th><th>Linked by</th>';
+    sources.forEach(function (s) { html += '<th>' + escHtml(SystemLogic.getSystemLabel(s)) + '</th>'; });
+    html += '</tr></thead><tbody>';
+    _ingredientView.slice(0, INGREDIENT_ROWS_SHOWN).forEach(function (g, i) {
+      var s = MedLinking.status(g);
+      html += '<tr' + (s.isPartial ? ' class="ingredient-partial"' : '') + '>' +
+        '<td><input type="checkbox" class="ingredient-check"' + (s.checked === s.total ? ' checked' : '') +
+          (s.isPartial ? ' data-partial' : '') +
+          ' onchange="DictApp.setGroupDesired(\'' + type + '\', ' + i + ', this.checked)" title="Check or uncheck every row of this group"></td>' +
+        '<td><details><summary>' + escHtml(g.name) + '</summary>' +
+          g.members.map(function (r) {
+            return '<div class="ingredient-member' + (r.desired ? ' checked' : '') + '">' + (r.desired ? '&#10003; ' : '') +
+              escHtml(MedLinking.nameOf(r)) + ' <span class="crosswalk-flag">' + escHtml(SystemLogic.getSystemLabel(r._source)) + '</span></div>';
+          }).join('') +
+        '</details></td>' +
+        '<td>' + ['generic', 'ndc', 'gpi'].filter(function (k) { return g.linkedBy[k]; }).map(function (k) {
+          return '<span class="crosswalk-flag">' + (k === 'generic' ? 'generic' : k.toUpperCase()) + '</span>';
+        }).join(' ') + '</td>';
+      sources.forEach(function (source) {
+        var rows = g.sources[source] || [];
+        var checked = rows.filter(function (r) { return r.desired; }).length;
+        html += '<td class="yield-num">' + (rows.length ? checked + ' / ' + rows.length : '') + '</td>';
+      });
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    if (_ingredientView.length > INGREDIENT_ROWS_SHOWN) {
+      html += '<div class="yield-empty">Showing the first ' + INGREDIENT_ROWS_SHOWN + ' of ' + _ingredientView.length.toLocaleString() + ' groups.</div>';
+    }
+    return html;
+  }
+
+  /**
+   * Check or uncheck every member of a group. Members the current keywords
+   * don't find would be left out of the download, so checking a group first
+   * adds a whole-word generic: chip for its ingredient (and a phrase chip
+   * for each member with a different generic name); unchecking takes those
+   * chips away again so the next search doesn't check the members back.
+   */
+  function setGroupDesired(type, index, checked) {
+    var g = _ingredientView[index];
+    if (!g) return;
+
+    if (checked) {
+      var matched = new Set(chipMatchedRows(type));
+      var chips = [];
+      g.members.forEach(function (row) {
+        if (matched.has(row)) return;
+        var chip = groupChipFor(g, row);
+        if (chips.indexOf(chip) === -1) chips.push(chip);
+      });
+      chips = chips.filter(function (kw) {
+        return !state.keywords[type].some(function (k) { return k.toLowerCase() === kw.toLowerCase(); });
+      });
+      if (chips.length > 0) {
+        chips.forEach(function (kw) {
+          state.keywords[type].push(kw);
+          if (kw.indexOf('generic:') === 0 && state.matchMode[type] !== 'word') state.chipModes[type][kw] = 'word';
+        });
+        state.onlyMatchedBy[type] = '';
+        renderChips(type);
+        applyKeywordFilter(type);
+        showToast('Added ' + chips.join(', ') + ' to keep every ' + g.name + ' row in the download');
+      }
+    } else {
+      var own = g.members.map(function (row) { return groupChipFor(g, row).toLowerCase(); });
+      replaceChips(type, state.keywords[type].filter(function (k) { return own.indexOf(k.toLowerCase()) !== -1; }), [], g.name);
+    }
+
+    setRowsDesired(type, g.members, checked);
+    refreshIngredientPanel(type);
+  }
+
+  /**
+   * The chip setGroupDesired adds for a member of a group.
+   */
+  function groupChipFor(g, row) {
+    return MedLinking.genericOf(row) === g.name
+      ? 'generic:' + g.name
+      : '"' + MedLinking.nameOf(row).replace(/"/g, '') + '"';
+  }
+
+  // ---- Medication Class Tree Panel ----
+  // Epic's therapeutic class → pharmaceutical class → subclass (see
+  // MedClassTree) with checked / total counts per class. Ticking a class
+  // adds its class chip, so the selection is in the manifest and picks up
+  // the class's new products when the dictionary is refreshed.
+  var _classTrees = {};          // type → MedClassTree.build result, built once per load
+  var _classTreeExpanded = {};   // node id → true
+  var _classTreeTimer = null;
+
+  function getClassTree(type) {
+    if (!_classTrees[type]) {
+      _classTrees[type] = MedClassTree.build(state.data[type]);
+      _classTreeExpanded = {};
+    }
+    return _classTrees[type];
+  }
+
+  function toggleClassTreePanel(type) {
+    var panel = document.getElementById('class-tree-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshClassTreePanel(type);
+  }
+
+  function scheduleClassTreeRefresh(type) {
+    var panel = document.getElementById('class-tree-panel-' + type);
+    if (!panel || !panel.classList.contains('visible')) return;
+    clearTimeout(_classTreeTimer);
+    _classTreeTimer = setTimeout(function () { refreshClassTreePanel(type); }, 300);
+  }
+
+  function toggleClassNode(type, id) {
+    if (_classTreeExpanded[id]) delete _classTreeExpanded[id];
+    else _classTreeExpanded[id] = true;
+    refreshClassTreePanel(type);
+  }
+
+  function refreshClassTreePanel(type) {
+    var panel = document.getElementById('class-tree-panel-' + type);
+    if (!panel) return;
+    panel.innerHTML = buildClassTreeHtml(type, getClassTree(type));
+    panel.querySelectorAll('.tree-check[data-partial]').forEach(function (box) { box.indeterminate = true; });
+  }
+
+  function buildClassTreeHtml(type, tree) {
+    var html = '<div class="yield-header">' +
+      '<strong>Drug classes</strong>' +
+      '<span class="yield-note">Epic therapeutic class &rarr; pharmaceutical class &rarr; subclass.' +
+        (tree.skipped > 0 ? ' ' + tree.skipped.toLocaleString() + ' rows without a therapeutic class (other systems) are left out.' : '') +
+      '</span>' +
+      '</div>';
+    if (tree.roots.length === 0) {
+      return html + '<div class="yield-empty">No loaded rows carry a therapeutic class &mdash; the class columns come from Epic.</div>';
+    }
+
+    var renderNodes = function (list, depth) {
+      var out = '';
+      list.forEach(function (node) {
+        var s = MedClassTree.status(node);
+        var open = !!_classTreeExpanded[node.id];
+        out += '<div class="tree-node' + (s.isPartial ? ' tree-partial' : '') + '" style="padding-left:' + (depth * 1.25) + 'rem">' +
+          (node.children.length > 0
+            ? '<button class="tree-toggle" onclick="DictApp.toggleClassNode(\'' + type + '\', ' + node.id + ')">' + (open ? '&#9662;' : '&#9656;') + '</button>'
+            : '<span class="tree-toggle"></span>') +
+          '<input type="checkbox" class="tree-check"' + (s.checked === s.total ? ' checked' : '') + (s.isPartial ? ' data-partial' : '') +
+            ' onchange="DictApp.setClassNodeDesired(\'' + type + '\', ' + node.id + ', this.checked)" title="Check or uncheck every ' + escAttr(node.name) + ' row">' +
+          '<span class="tree-title" title="' + escAttr(MedClassTree.getLevelLabel(node.level)) + '">' + escHtml(node.name) + '</span>' +
+          '<span class="tree-count">' + s.checked.toLocaleString() + ' / ' + s.total.toLocaleString() + '</span>' +
+          '</div>';
+        if (open) out += renderNodes(node.children, depth + 1);
+      });
+      return out;
+    };
+    return html + '<div class="tree-list">' + renderNodes(tree.roots, 0) + '</div>';
+  }
+
+  /**
+   * Check or uncheck every row of a class. Checking adds the class chip
+   * unless it's there already, which also keeps rows the other keywords
+   * don't find in the download; unchecking takes it away again.
+   */
+  function setClassNodeDesired(type, id, checked) {
+    var node = getClassTree(type).nodes[id];
+    if (!node) return;
+
+    if (checked) {
+      var chip = MedClassTree.chipFor(node);
+      var present = state.keywords[type].some(function (k) { return k.toLowerCase() === chip.toLowerCase(); });
+      if (!present) {
+        state.keywords[type].push(chip);
+        state.onlyMatchedBy[type] = '';
+        renderChips(type);
+        applyKeywordFilter(type);
+        showToast('Added ' + node.path.join(' > ') + ' as a keyword — a dictionary refresh picks up its new products');
+      }
+    } else {
+      releaseNodeChips(type, node, MedClassTree.chipFor, node.path.join(' > '));
+    }
+
+    setRowsDesired(type, node.all, checked);
+    refreshClassTreePanel(type);
+  }
+
+  // ---- Location Crosswalk Panel ----
+  // Confirmed links between Epic, GECB and Meditech locations (see
+  // LocationCrosswalk) and suggested new ones. Linked rows carry the link
+  // name in location_link, so one link: chip finds the place in every system.
+  var _locationLinkNames = [];     // link names as last rendered (for the onclick indices)
+  var _locationSuggestions = [];   // as last rendered
+  var _dismissedSuggestions = {};  // anchor system:key → true, for this session
+  var _confirmedLinks = [];        // rows confirmed this session, not yet submitted
+
+  /**
+   * Load data/location-crosswalk.csv. Resolves once loaded (or missing), so
+   * location rows are annotated on their first load.
+   */
+  function loadLocationCrosswalk() {
+    return loadCsv('data/location-crosswalk.csv').then(function (rows) {
+      var count = LocationCrosswalk.load(rows);
+      console.log('[DATA] Location crosswalk: ' + count + ' linked locations');
+    });
+  }
+
+  function toggleLocationLinksPanel(type) {
+    var panel = document.getElementById('location-links-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshLocationLinksPanel(type);
+  }
+
+  function suggestionKey(proposal) {
+    var anchor = proposal.members[0].row;
+    return anchor._source + ':' + LocationCrosswalk.keyOf(anchor);
+  }
+
+  function refreshLocationLinksPanel(type) {
+    var panel = document.getElementById('location-links-panel-' + type);
+    if (!panel) return;
+    _locationSuggestions = LocationCrosswalk.suggest(state.data[type]).filter(function (p) {
+      return !_dismissedSuggestions[suggestionKey(p)];
+    });
+    panel.innerHTML = buildLocationLinksHtml(type);
+  }
+
+  function buildLocationLinksHtml(type) {
+    var byLink = {};
+    state.data[type].forEach(function (row) {
+      if (row.location_link) (byLink[row.location_link] || (byLink[row.location_link] = [])).push(row);
+    });
+    var names = Object.keys(byLink).sort(function (a, b) { return a.localeCompare(b); });
+    var member = function (row, score) {
+      return '<div class="ingredient-member">' + escHtml(LocationCrosswalk.nameOf(row)) +
+        ' <span class="crosswalk-flag">' + escHtml(SystemLogic.getSystemLabel(row._source)) + '</span>' +
+        (score !== undefined && score < 1 ? ' <span class="crosswalk-flag warn">' + Math.round(score * 100) + '% similar</span>' : '') +
+        '</div>';
+    };
+
+    var html = '<div class="yield-header">' +
+      '<strong>Location crosswalk</strong>' +
+      '<span class="yield-note">' + names.length + ' linked places among the loaded locations (data/location-crosswalk.csv).</span>' +
+      (_confirmedLinks.length > 0
+        ? '<button class="btn btn-primary" onclick="DictApp.submitLocationLinks(\'' + type + '\')">Submit ' +
+          _confirmedLinks.length + ' Confirmed Row' + (_confirmedLinks.length === 1 ? '' : 's') + '</button>'
+        : '') +
+      '<span class="ai-status" id="location-links-status-' + type + '"></span>' +
+      '</div>';
+
+    if (names.length > 0) {
+      html += '<table class="yield-table location-links-table"><thead><tr><th>Link</th><th>Locations</th><th></th></tr></thead><tbody>';
+      names.forEach(function (name, i) {
+        html += '<tr><td>' + escHtml(name) + '</td><td>' +
+          byLink[name].map(function (row) { return member(row); }).join('') + '</td>' +
+          '<td><button class="btn btn-secondary" onclick="DictApp.selectLocationLink(\'' + type + '\', ' + i + ')" title="Add a link: keyword that checks this place in every system">Select</button></td></tr>';
+      });
+      html += '</tbody></table>';
+    }
+    _locationLinkNames = names;
+
+    html += '<h4 class="location-links-heading">Suggested links</h4>';
+    if (_locationSuggestions.length === 0) {
+      return html + '<div class="yield-empty">No unlinked locations in different systems look alike.</div>';
+    }
+    html += '<table class="yield-table location-links-table"><thead><tr><th>Link name</th><th>Locations</th><th></th></tr></thead><tbody>';
+    _locationSuggestions.forEach(function (p, i) {
+      html += '<tr><td><input type="text" class="location-link-name" id="location-link-name-' + i + '" value="' + escAttr(p.name) + '"></td>' +
+        '<td>' + p.members.map(function (m) { return member(m.row, m.score); }).join('') + '</td>' +
+        '<td><button class="btn btn-secondary" onclick="DictApp.confirmLocationLink(\'' + type + '\', ' + i + ')">Confirm</button> ' +
+        '<button class="yield-remove" onclick="DictApp.dismissLocationLink(\'' + type + '\', ' + i + ')" title="Not the same place">&times;</button></td></tr>';
+    });
+    return html + '</tbody></table>';
   }
 
   /**
-   * Remove a keyword chip by index
+   * Confirm a suggestion under the (possibly edited) name in its input: the
+   * link applies for this session and is queued for submitting.
    */
-  function removeKeyword(type, index) {
-    state.keywords[type].splice(index, 1);
-    renderChips(type);
-    applyKeywordFilter(type);
+  function confirmLocationLink(type, index) {
+    var proposal = _locationSuggestions[index];
+    var input = document.getElementById('location-link-name-' + index);
+    if (!proposal || !input) return;
+    var name = input.value.trim();
+    if (!name) {
+      showToast('Give the link a name first, e.g. Cardiology clinic');
+      return;
+    }
+    var rows = LocationCrosswalk.toLinkRows(name, proposal.members.map(function (m) { return m.row; }),
+      'confirmed by ' + (state.aiConfig.email || 'unknown'));
+    LocationCrosswalk.addLinks(rows);
+    _confirmedLinks = _confirmedLinks.concat(rows);
+    relinkLocations(type);
+    refreshLocationLinksPanel(type);
+    showToast('Linked ' + rows.length + ' locations as "' + name + '"');
+  }
+
+  function dismissLocationLink(type, index) {
+    var proposal = _locationSuggestions[index];
+    if (!proposal) return;
+    _dismissedSuggestions[suggestionKey(proposal)] = true;
+    refreshLocationLinksPanel(type);
   }
 
   /**
-   * Clear all keyword chips
+   * Refresh location_link on the loaded rows after the crosswalk changed.
    */
-  function clearKeywords(type) {
-    state.keywords[type] = [];
-    renderChips(type);
-    if (isLarge(type)) {
-      // On-demand: clear DataTables and reset the matched set
-      state.onDemandMatched[type] = [];
-      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
-        function (fn) { return fn._kwFilterType !== type; }
-      );
-      if (state.tables[type]) state.tables[type].clear().draw();
-    } else {
-      // Standard: clear DataTables built-in search filter
-      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
-        function (fn) { return fn._kwFilterType !== type; }
-      );
-      if (state.tables[type]) state.tables[type].search('').draw();
+  function relinkLocations(type) {
+    state.data[type].forEach(function (row) { row.location_link = LocationCrosswalk.linkOf(row); });
+    if (isLarge(type)) SearchIndex.build(type, state.data[type]);
+    var table = state.tables[type];
+    if (table && !isLarge(type)) {
+      table.rows().every(function (rowIdx) { this.data(buildRowArray(type, state.data[type][rowIdx], rowIdx)); });
     }
-    updateClearButton(type);
-    updateStatusBar(type);
+    if (state.keywords[type].length > 0) applyKeywordFilter(type);
+    else if (table) table.draw(false);
   }
 
   /**
-   * Render the visual chips
+   * Check a linked place in every system by adding a link:"name" chip.
    */
-  function renderChips(type) {
-    const container = document.getElementById('kw-chips-' + type);
-    if (!container) return;
-    container.innerHTML = '';
-
-    state.keywords[type].forEach((kw, idx) => {
-      const chip = document.createElement('span');
-      const isWildcard = kw.includes('*');
-      chip.className = 'keyword-chip' + (isWildcard ? ' wildcard' : '');
-      chip.innerHTML =
-        '<span class="chip-text">' + escHtml(kw) + '</span>' +
-        '<button class="chip-remove" onclick="DictApp.removeKeyword(\'' + type + '\', ' + idx + ')" title="Remove">&times;</button>';
-      container.appendChild(chip);
-    });
-
-    updateClearButton(type);
+  function selectLocationLink(type, index) {
+    var name = _locationLinkNames[index];
+    if (!name) return;
+    addKeyword(type, 'link:"' + name.replace(/"/g, '') + '"');
   }
 
   /**
-   * Show/hide the "Clear" button
+   * Push this session's confirmed links for review, the same way thesaurus
+   * suggestions are submitted.
    */
-  function updateClearButton(type) {
-    const btn = document.getElementById('btn-clear-kw-' + type);
-    if (btn) {
-      btn.style.display = state.keywords[type].length > 0 ? '' : 'none';
+  async function submitLocationLinks(type) {
+    var statusEl = document.getElementById('location-links-status-' + type);
+    if (!GitHubPush.isConfigured()) {
+      showToast('Enter your Worker URL and OU email in Settings to submit links. They apply for this session.');
+      return;
+    }
+    statusEl.className = 'ai-status loading';
+    statusEl.textContent = 'Submitting...';
+    try {
+      var path = LocationCrosswalk.getContributionPath();
+      await GitHubPush.pushFile('crdw-sweep-specify', path, LocationCrosswalk.buildContributionContent(_confirmedLinks),
+        'Suggest ' + _confirmedLinks.length + ' location crosswalk rows via CRDW Sweep & Specify');
+      _confirmedLinks = [];
+      refreshLocationLinksPanel(type);
+      showToast('Submitted to ' + path + ' for review');
+    } catch (err) {
+      statusEl.className = 'ai-status error';
+      statusEl.textContent = 'Submitting failed: ' + err.message;
+      console.error('[Location crosswalk] Failed to push links:', err);
+    }
+  }
+
+  // ---- Location Hierarchy Panel ----
+  // Each system's locations as facility → department → room/bed (see
+  // LocationHierarchy), with checked / total counts. Ticking a facility or
+  // department adds its chip and checks its rows; bed and room rows can be
+  // hidden with one tick (a facet selection on is_bed / is_room).
+  var _locationTrees = {};          // type → LocationHierarchy.build result, built once per load
+  var _locationTreeExpanded = {};   // node id → true
+  var _locationTreeTimer = null;
+
+  function getLocationTree(type) {
+    if (!_locationTrees[type]) {
+      _locationTrees[type] = LocationHierarchy.build(state.data[type]);
+      _locationTreeExpanded = {};
     }
+    return _locationTrees[type];
+  }
+
+  function toggleLocationTreePanel(type) {
+    var panel = document.getElementById('location-tree-panel-' + type);
+    if (!panel) return;
+    panel.classList.toggle('visible');
+    if (panel.classList.contains('visible')) refreshLocationTreePanel(type);
+  }
+
+  function scheduleLocationTreeRefresh(type) {
+    var panel = document.getElementById('location-tree-panel-' + type);
+    if (!panel || !panel.classList.contains('visible')) return;
+    clearTimeout(_locationTreeTimer);
+    _locationTreeTimer = setTimeout(function () { refreshLocationTreePanel(type); }, 300);
+  }
+
+  function toggleLocationNode(type, id) {
+    if (_locationTreeExpanded[id]) delete _locationTreeExpanded[id];
+    else _locationTreeExpanded[id] = true;
+    refreshLocationTreePanel(type);
   }
 
   /**
-   * Convert a keyword (which may contain * wildcards) to a matcher function.
-   * - "breast"  → contains "breast"  (LIKE '%breast%')
-   * - "ovar*"   → starts with "ovar" (LIKE 'ovar%')
-   * - "*itis"   → ends with "itis"   (LIKE '%itis')
-   * - "*card*"  → contains "card"    (same as no wildcard)
+   * Rows the tree counts and checks: all of them, or only department-level
+   * rows while beds and rooms are hidden.
    */
-  function buildMatcher(keyword) {
-    const kw = keyword.toLowerCase().trim();
-    const core = kw.replace(/^\*+|\*+$/g, '');
+  function locationTreeFilter(type) {
+    if (!LocationHierarchy.hidesBedRooms(state.facets[type])) return null;
+    return function (row) { return !LocationHierarchy.isBedOrRoom(row); };
+  }
 
-    if (!core) return () => false;
+  function refreshLocationTreePanel(type) {
+    var panel = document.getElementById('location-tree-panel-' + type);
+    if (!panel) return;
+    panel.innerHTML = buildLocationTreeHtml(type, getLocationTree(type));
+    panel.querySelectorAll('.tree-check[data-partial]').forEach(function (box) { box.indeterminate = true; });
+  }
 
-    // Multi-word phrase: split on whitespace and require ALL words to appear
-    // somewhere in the row (AND logic across words, OR logic across cells).
-    // e.g. "neoplasm breast" matches any row containing both words.
-    const words = core.split(/\s+/).filter(w => w);
-    if (words.length > 1) {
-      return function (rowValues) {
-        return words.every(function (word) {
-          return rowValues.some(function (val) { return val.includes(word); });
+  function buildLocationTreeHtml(type, tree) {
+    var visible = locationTreeFilter(type);
+    var html = '<div class="yield-header">' +
+      '<strong>Location hierarchy</strong>' +
+      '<span class="yield-note">Facility &rarr; department &rarr; room/bed, per system.' +
+        (tree.skipped > 0 ? ' ' + tree.skipped.toLocaleString() + ' rows without a facility or department are left out.' : '') +
+      '</span>' +
+      '<label class="location-tree-hide"><input type="checkbox"' + (visible ? ' checked' : '') +
+        ' onchange="DictApp.setHideBedRooms(\'' + type + '\', this.checked)"> Hide bed/room rows</label>' +
+      '</div>';
+    if (tree.roots.length === 0) return html + '<div class="yield-empty">No locations are loaded.</div>';
+
+    var nodeHtml = function (node, depth) {
+      var s = LocationHierarchy.status(node, visible);
+      if (s.total === 0) return '';
+      var rows = visible ? node.rows.filter(visible) : node.rows;
+      var expandable = node.level === 'facility' ||
+        rows.length > 1 || rows.some(function (r) { return LocationHierarchy.isBedOrRoom(r); });
+      var open = !!_locationTreeExpanded[node.id];
+      var out = '<div class="tree-node' + (s.isPartial ? ' tree-partial' : '') + '" style="padding-left:' + (depth * 1.25) + 'rem">' +
+        (expandable
+          ? '<button class="tree-toggle" onclick="DictApp.toggleLocationNode(\'' + type + '\', ' + node.id + ')">' + (open ? '&#9662;' : '&#9656;') + '</button>'
+          : '<span class="tree-toggle"></span>') +
+        '<input type="checkbox" class="tree-check"' + (s.checked === s.total ? ' checked' : '') + (s.isPartial ? ' data-partial' : '') +
+          ' onchange="DictApp.setLocationNodeDesired(\'' + type + '\', ' + node.id + ', this.checked)" title="Check or uncheck every row of ' + escAttr(node.name) + '">' +
+        '<span class="tree-title">' + escHtml(node.name) + '</span>' +
+        '<span class="tree-count">' + s.checked.toLocaleString() + ' / ' + s.total.toLocaleString() + '</span>' +
+        '</div>';
+      if (!open) return out;
+      if (node.level === 'facility') {
+        node.children.forEach(function (child) { out += nodeHtml(child, depth + 1); });
+      } else {
+        rows.forEach(function (row) {
+          var kind = LocationHierarchy.kindOf(row);
+          out += '<div class="tree-node tree-leaf" style="padding-left:' + ((depth + 1) * 1.25 + 1) + 'rem">' +
+            '<span class="tree-code">' + (row.desired ? '&#10003; ' : '') + escHtml(LocationCrosswalk.keyOf(row)) + '</span>' +
+            '<span class="tree-title">' + escHtml(LocationCrosswalk.nameOf(row)) + '</span>' +
+            (kind ? '<span class="crosswalk-flag">' + kind + '</span>' : '') +
+            '</div>';
         });
-      };
+      }
+      return out;
+    };
+
+    html += '<div class="tree-list">';
+    tree.roots.forEach(function (root) {
+      var s = LocationHierarchy.status(root, visible);
+      html += '<div class="tree-source">' + escHtml(SystemLogic.getSystemLabel(root.source)) +
+        ' <span class="tree-count">' + s.checked.toLocaleString() + ' / ' + s.total.toLocaleString() + '</span></div>';
+      root.children.forEach(function (facility) { html += nodeHtml(facility, 0); });
+    });
+    return html + '</div>';
+  }
+
+  /**
+   * Check or uncheck every (shown) row of a facility or department. Checking
+   * adds the node's chip unless it's there already; unchecking takes it away.
+   */
+  function setLocationNodeDesired(type, id, checked) {
+    var node = getLocationTree(type).nodes[id];
+    if (!node) return;
+    var visible = locationTreeFilter(type);
+    var rows = visible ? node.all.filter(visible) : node.all;
+
+    if (checked) {
+      var chip = LocationHierarchy.chipFor(node);
+      var present = state.keywords[type].some(function (k) { return k.toLowerCase() === chip.toLowerCase(); });
+      if (chip && !present) {
+        state.keywords[type].push(chip);
+        state.onlyMatchedBy[type] = '';
+        renderChips(type);
+        applyKeywordFilter(type);
+        showToast('Added ' + chip + ' as a keyword');
+      }
+    } else {
+      releaseNodeChips(type, node, LocationHierarchy.chipFor, node.name);
     }
 
-    // Single word — check if any cell in the row contains it
-    return function (rowValues) {
-      return rowValues.some(function (val) { return val.includes(core); });
-    };
+    setRowsDesired(type, rows, checked);
+    refreshLocationTreePanel(type);
   }
 
   /**
-   * Apply the current keyword chips + typed text as a DataTables custom filter.
-   * Uses OR logic: a row matches if ANY keyword matches ANY column.
-   * When keywords are active, auto-checks "desired" for all matching rows.
+   * Hide (or show again) the bed- and room-level rows, by selecting the
+   * non-flag values of is_bed / is_room in the facets.
    */
-  function applyKeywordFilter(type) {
-    // Large datasets use a different code path: native Array.filter() populates
-    // DataTables with only the matched rows instead of filtering an all-rows table.
-    if (isLarge(type)) {
-      applyKeywordFilterOnDemand(type);
-      return;
+  function setHideBedRooms(type, hide) {
+    LocationHierarchy.getBedRoomColumns().forEach(function (column) { delete state.facets[type][column]; });
+    if (hide) {
+      var selections = LocationHierarchy.departmentOnlySelections(state.data[type]);
+      if (Object.keys(selections).length === 0) showToast('No loaded location is marked as a bed or room');
+      Object.keys(selections).forEach(function (column) { state.facets[type][column] = selections[column]; });
     }
+    applyFacetFilter(type);
+    refreshLocationTreePanel(type);
+  }
 
-    const table = state.tables[type];
-    if (!table) return;
+  // ---- Facet Sidebar ----
+  // Low-cardinality data columns (see Facets) listed with value counts over
+  // the rows the current chips match. Ticking values filters the table
+  // (OR within a column, AND across columns) in both table modes.
+  var _facetColumns = {};   // type → facet columns, detected once per load
+  var _facetView = {};      // type → [{ column, values }] as last rendered (for the onclick indices)
+  var _chipTests = {};      // type → row test of the current chips (standard mode)
+  var _facetTimers = {};
+
+  function toggleFacets(type) {
+    var sidebar = document.getElementById('facets-' + type);
+    if (!sidebar) return;
+    sidebar.classList.toggle('visible');
+    if (sidebar.classList.contains('visible')) refreshFacets(type);
+    if (state.tables[type]) state.tables[type].columns.adjust();
+  }
 
-    const input = document.getElementById('search-' + type);
-    const typedText = input ? input.value.trim() : '';
-    const allTerms = [...state.keywords[type]];
-    if (typedText) allTerms.push(typedText);
+  function isFacetsOpen(type) {
+    var sidebar = document.getElementById('facets-' + type);
+    return !!sidebar && sidebar.classList.contains('visible');
+  }
 
-    // If no keywords at all, clear the filter → show everything
-    if (allTerms.length === 0) {
-      // Remove our custom filter
-      $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
-        fn => fn._kwFilterType !== type
-      );
-      table.draw();
-      updateStatusBar(type);
-      return;
+  function getFacetColumns(type) {
+    if (!_facetColumns[type]) {
+      var columns = Facets.detect(state.data[type], detectDataColumns(type));
+      // Procedures always get the CPT section, however few rows they have
+      if (type === 'procedure' && state.data[type].length > 0 && columns.indexOf('cpt_section') === -1) {
+        columns.unshift('cpt_section');
+      }
+      _facetColumns[type] = columns;
     }
+    return _facetColumns[type];
+  }
 
-    // Build matchers for all keywords
-    const matchers = allTerms.map(buildMatcher);
-
-    // Remove any previous keyword filter for this type
-    $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
-      fn => fn._kwFilterType !== type
-    );
+  /**
+   * Rows the chips match, before the filter bar and facets: the matched subset
+   * in on-demand mode, otherwise every row passing the chip test.
+   */
+  function chipMatchedRows(type) {
+    if (isLarge(type)) return state.onDemandMatched[type];
+    var test = _chipTests[type];
+    return test ? state.data[type].filter(test) : state.data[type];
+  }
 
-    // Add custom search filter
-    const filterFn = function (settings, searchData) {
-      if (settings.nTable.id !== 'table-' + type) return true;
+  /**
+   * Called whenever the chips, the filter bar or the facets change.
+   */
+  function scheduleFacetRefresh(type) {
+    if (!isFacetsOpen(type)) return;
+    clearTimeout(_facetTimers[type]);
+    _facetTimers[type] = setTimeout(function () { refreshFacets(type); }, 300);
+  }
 
-      // searchData is an array of the rendered column values (strings)
-      const rowText = searchData.map(s => (s || '').toLowerCase());
+  function refreshFacets(type) {
+    var sidebar = document.getElementById('facets-' + type);
+    if (!sidebar) return;
+    var columns = getFacetColumns(type);
+    var selections = state.facets[type];
 
-      // OR logic across chips; within a multi-word chip, AND logic across words
-      return matchers.some(matcher => matcher(rowText));
-    };
-    filterFn._kwFilterType = type;
-    $.fn.dataTable.ext.search.push(filterFn);
+    if (columns.length === 0) {
+      _facetView[type] = [];
+      sidebar.innerHTML = '<div class="facet-empty">No columns with a short list of values to filter by.</div>';
+      return;
+    }
 
-    table.draw();
+    // Medication's filter bar narrows the counts too
+    var rows = chipMatchedRows(type);
+    if (type === 'medication') rows = rows.filter(passesMedFilters);
+    var counts = Facets.count(rows, columns, selections);
 
-    // Auto-check "desired" for all visible (matched) rows when chips are present
-    if (state.keywords[type].length > 0) {
-      autoDesireVisible(type, allTerms);
+    var html = '';
+    if (isLarge(type) && state.keywords[type].length === 0) {
+      html += '<div class="facet-empty">Add a keyword to count rows per value.</div>';
+    }
+    if (Facets.isActive(selections)) {
+      html += '<button class="btn btn-secondary facet-clear" onclick="DictApp.clearFacets(\'' + type + '\')">Clear facet filters</button>';
     }
 
-    updateStatusBar(type);
+    _facetView[type] = columns.map(function (column, c) {
+      var selected = selections[column] || [];
+      // Selected values stay listed at 0 so they can be unticked
+      var values = Object.keys(counts[column]);
+      selected.forEach(function (v) { if (values.indexOf(v) === -1) values.push(v); });
+      values.sort(function (a, b) {
+        return (counts[column][b] || 0) - (counts[column][a] || 0) || a.localeCompare(b);
+      });
+
+      html += '<div class="facet-group"><div class="facet-title">' + escHtml(colTitle(column)) + '</div>';
+      values.forEach(function (value, v) {
+        var n = counts[column][value] || 0;
+        var isSelected = selected.indexOf(value) !== -1;
+        html += '<div class="facet-value' + (n === 0 ? ' facet-zero' : '') + '">' +
+          '<label><input type="checkbox"' + (isSelected ? ' checked' : '') +
+          ' onchange="DictApp.toggleFacetValue(\'' + type + '\', ' + c + ', ' + v + ', this.checked)"> ' +
+          (value ? escHtml(value) : '<em>(blank)</em>') + '</label>' +
+          '<span class="facet-count">' + n.toLocaleString() + '</span>' +
+          (n > 0 ? '<button class="facet-select" title="Check all ' + n.toLocaleString() + ' rows with this value"' +
+            ' onclick="DictApp.checkFacetRows(\'' + type + '\', ' + c + ', ' + v + ')">&#10003;</button>' : '') +
+          '</div>';
+      });
+      html += '</div>';
+      return { column: column, values: values };
+    });
+
+    sidebar.innerHTML = html;
   }
 
   /**
-   * On-demand keyword filter for large datasets (> LARGE_DATASET_THRESHOLD rows).
-   * Uses fast native Array.filter() on the in-memory data, then populates
-   * DataTables with only the matching rows. Bypasses DataTables' built-in search
-   * entirely, which is what causes the DOM freeze on 200K-row datasets.
+   * Tick or untick one facet value (indices into the rendered sidebar).
    */
-  function applyKeywordFilterOnDemand(type) {
-    var table = state.tables[type];
-    if (!table) return;
+  function toggleFacetValue(type, c, v, checked) {
+    var facet = _facetView[type] && _facetView[type][c];
+    if (!facet) return;
+    var value = facet.values[v];
+    var selected = (state.facets[type][facet.column] || []).filter(function (x) { return x !== value; });
+    if (checked) selected.push(value);
+    if (selected.length > 0) {
+      state.facets[type][facet.column] = selected;
+    } else {
+      delete state.facets[type][facet.column];
+    }
+    applyFacetFilter(type);
+  }
 
-    // Only use committed keyword chips — live-typed text is not applied here
-    // because scanning 200K rows per keypress is too slow.
-    var allTerms = state.keywords[type].slice();
+  function clearFacets(type) {
+    state.facets[type] = {};
+    applyFacetFilter(type);
+  }
 
-    if (allTerms.length === 0) {
-      state.onDemandMatched[type] = [];
-      table.clear().draw();
-      updateStatusBar(type);
-      return;
+  /**
+   * Install (or remove) the DataTables filter for a type's facet selections.
+   */
+  function applyFacetFilter(type) {
+    $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
+      function (fn) { return fn._facetFilterType !== type; }
+    );
+    if (Facets.isActive(state.facets[type])) {
+      var filterFn = function (settings, rowData, dataIndex) {
+        if (settings.nTable.id !== 'table-' + type) return true;
+        var row = rowForTableData(type, rowData, dataIndex);
+        return !row || Facets.passes(row, state.facets[type]);
+      };
+      filterFn._facetFilterType = type;
+      $.fn.dataTable.ext.search.push(filterFn);
     }
 
-    var matchers = allTerms.map(buildMatcher);
-
-    // Fast native scan — ~50ms for 200K rows
-    var matched = state.data[type].filter(function (row) {
-      var rowValues = Object.keys(row)
-        .filter(function (k) {
-          return !k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched';
-        })
-        .map(function (k) { return (row[k] || '').toString().toLowerCase(); });
-      return matchers.some(function (matcher) { return matcher(rowValues); });
-    });
+    if (state.tables[type]) state.tables[type].draw();
+    updateStatusBar(type);
+    updateHeaderCheckbox(type);
+    refreshFacets(type);
+  }
 
-    // Auto-desire every matched row and record which keyword triggered the match
-    var kwMatchers = allTerms.map(function (kw) {
-      return { keyword: kw, matcher: buildMatcher(kw) };
-    });
-    matched.forEach(function (row) {
-      var rowValues = Object.keys(row)
-        .filter(function (k) {
-          return !k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched';
-        })
-        .map(function (k) { return (row[k] || '').toString().toLowerCase(); });
-      var matchedKw = '';
-      for (var i = 0; i < kwMatchers.length; i++) {
-        if (kwMatchers[i].matcher(rowValues)) {
-          matchedKw = kwMatchers[i].keyword;
-          break;
-        }
-      }
-      row.desired = true;
-      row.keyword_matched = matchedKw || row.keyword_matched;
-      state.desired[type][row._rowKey] = true;
-      state.keywordMatched[type][row._rowKey] = row.keyword_matched;
+  /**
+   * Mark desired every row counted under a facet value: rows the chips match
+   * that have the value and pass the filter bar and the other facets.
+   */
+  function checkFacetRows(type, c, v) {
+    var facet = _facetView[type] && _facetView[type][c];
+    if (!facet) return;
+    var value = facet.values[v];
+    var rows = chipMatchedRows(type).filter(function (row) {
+      return Facets.valueOf(row, facet.column) === value &&
+        Facets.passes(row, state.facets[type], facet.column) &&
+        (type !== 'medication' || passesMedFilters(row));
     });
+    setRowsDesired(type, rows, true);
+    showToast('Checked ' + rows.length.toLocaleString() + ' rows with ' + colTitle(facet.column) + ' = ' + (value || '(blank)'));
+  }
 
-    // Store for select-all / deselect / status bar / download
-    state.onDemandMatched[type] = matched;
+  // ---- Did You Mean ----
+  var _vocabulary = {};        // type → Map of key-column token → rows containing it
+  var _chipSuggestions = {};   // type → { chipSuggestionKey → { rows, respellings } }
+  var _suggestTimers = {};
+  var _suggestions = {};       // type → [{ index, text, mode }] behind the suggestion buttons
 
-    // Populate DataTables with only matched rows
-    var rowArrays = matched.map(function (row) { return buildRowArray(type, row); });
-    table.clear().rows.add(rowArrays).draw();
+  /**
+   * Every token in the rows' key columns with the number of rows holding it.
+   * Built on first use and dropped when the dictionary reloads.
+   */
+  function getVocabulary(type) {
+    if (!_vocabulary[type]) {
+      _vocabulary[type] = SearchEngine.buildVocabulary(state.data[type], function (row) {
+        return SearchEngine.getSearchValues(type, row);
+      });
+    }
+    return _vocabulary[type];
+  }
 
-    updateStatusBar(type);
+  /**
+   * A chip's zero-hit check and respellings depend on its text, match mode
+   * and scope, so they are cached under all of them.
+   */
+  function chipSuggestionKey(type, keyword) {
+    return keyword + '\n' + getChipMode(type, keyword) + '\n' + state.fuzzyThreshold[type] + '\n' + state.searchAllColumns[type];
   }
 
   /**
-   * Auto-check "desired" for all rows currently visible after a keyword filter.
-   * Also sets the keyword_matched field so users can see which keyword hit.
+   * Queries and code chips get no respellings.
    */
-  function autoDesireVisible(type, keywords) {
-    const table = state.tables[type];
-    if (!table) return;
+  function canRespell(type, keyword) {
+    var text = parseKeyword(keyword).text;
+    return !QueryParser.isQuery(text) && !CodeRange.parse(type, text);
+  }
 
-    const matchers = keywords.map(kw => ({ keyword: kw, matcher: buildMatcher(kw) }));
+  /**
+   * Look for zero-hit chips shortly after the chips change, off the typing path.
+   */
+  function scheduleSuggestions(type) {
+    clearTimeout(_suggestTimers[type]);
+    _suggestTimers[type] = setTimeout(function () { renderSuggestions(type); }, 300);
+  }
 
-    table.rows({ search: 'applied' }).every(function (rowIdx) {
-      const row = state.data[type][rowIdx];
-      if (!row) return;
+  /**
+   * How many rows a chip matches and, when none, its respellings that match
+   * rows (with their row counts): counted here by scanning the rows, cached
+   * per chip, mode and scope. Large indexed dictionaries are counted by the
+   * search worker instead (see renderSuggestions).
+   * @returns {{rows: number, respellings: Array<{text: string, rows: number}>}}
+   */
+  function chipSuggestions(type, keyword) {
+    var cache = _chipSuggestions[type] || (_chipSuggestions[type] = {});
+    var key = chipSuggestionKey(type, keyword);
+    if (cache[key]) return cache[key];
+
+    var mode = getChipMode(type, keyword);
+    var countRows = function (text) {
+      var matcher = buildMatcher(type, text, mode);
+      return state.data[type].filter(function (row) { return matcher(getRowValues(type, row), row); }).length;
+    };
+    var text = parseKeyword(keyword).text;
+    var result = { rows: countRows(text), respellings: [] };
+    if (result.rows === 0 && canRespell(type, keyword)) {
+      var scoped = SearchEngine.parseScopedTerm(text);
+      SearchEngine.respell((scoped ? scoped.value : text).toLowerCase(), getVocabulary(type), 3).forEach(function (value) {
+        var chip = (scoped ? scoped.field + ':' : '') + value;
+        if (keywordError(type, chip)) return;
+        var rows = countRows(chip);
+        if (rows > 0) result.respellings.push({ text: chip, rows: rows });
+      });
+    }
+    cache[key] = result;
+    return result;
+  }
 
-      // Find which keyword matched this row
-      const rowValues = Object.values(row).map(v => (v || '').toString().toLowerCase());
-      let matchedKw = '';
-      for (const { keyword, matcher } of matchers) {
-        if (matcher(rowValues)) {
-          matchedKw = keyword;
-          break;
-        }
+  /**
+   * Under the chip input, list each positive chip that matches no rows with
+   * "did you mean" respellings from the loaded dictionary, plus a one-click
+   * switch to fuzzy matching. On a large indexed dictionary the chips not
+   * checked yet are first sent to the search worker, so the page never scans
+   * the whole dictionary for them.
+   */
+  function renderSuggestions(type) {
+    var positive = state.keywords[type].filter(function (kw) { return !isExclusion(kw); });
+    if (isLarge(type) && SearchIndex.isReady(type)) {
+      var cache = _chipSuggestions[type] || (_chipSuggestions[type] = {});
+      var unchecked = positive.filter(function (kw) { return !cache[chipSuggestionKey(type, kw)]; });
+      if (unchecked.length > 0) {
+        var keys = unchecked.map(function (kw) { return chipSuggestionKey(type, kw); });
+        SearchIndex.suggest(type, {
+          chips: unchecked.map(function (kw) {
+            return { text: parseKeyword(kw).text, mode: getChipMode(type, kw), respell: canRespell(type, kw) };
+          }),
+          allColumns: state.searchAllColumns[type],
+          dataColumns: detectDataColumns(type),
+          fuzzyThreshold: state.fuzzyThreshold[type]
+        }, function (results) {
+          results.forEach(function (result, i) { cache[keys[i]] = result; });
+          renderSuggestions(type);
+        }, function () {
+          // The worker went away: count on the page as for a small dictionary
+          if (!SearchIndex.isReady(type)) renderSuggestions(type);
+        });
+        return;
       }
+    }
 
-      row.desired = true;
-      row.keyword_matched = matchedKw || row.keyword_matched;
-      state.desired[type][row._rowKey] = true;
-      state.keywordMatched[type][row._rowKey] = row.keyword_matched;
-    });
-
-    // Update DataTable internal data for visible rows so checkboxes re-render
-    table.rows({ search: 'applied' }).every(function (rowIdx) {
-      var row = state.data[type][rowIdx];
-      if (row) {
-        this.data(buildRowArray(type, row, rowIdx));
+    var el = document.getElementById('kw-suggest-' + type);
+    if (!el) return;
+    var html = '';
+    var actions = [];
+
+    state.keywords[type].forEach(function (kw, idx) {
+      if (isExclusion(kw)) return;
+      var found = chipSuggestions(type, kw);
+      if (found.rows > 0) return;
+      var buttons = found.respellings.map(function (s) {
+        actions.push({ index: idx, text: s.text });
+        return '<button class="kw-suggestion" onclick="DictApp.applySuggestion(\'' + type + '\', ' + (actions.length - 1) + ')">' +
+          escHtml(s.text) + ' <span class="kw-suggestion-count">' + s.rows.toLocaleString() + '</span></button>';
+      });
+      if (getChipMode(type, kw) !== 'fuzzy' && canRespell(type, kw)) {
+        actions.push({ index: idx, mode: 'fuzzy' });
+        buttons.push('<button class="kw-suggestion kw-suggestion-fuzzy" onclick="DictApp.applySuggestion(\'' + type + '\', ' + (actions.length - 1) + ')" ' +
+          'title="Keep this keyword but allow near spellings">match fuzzily</button>');
       }
+      html += '<div>No rows match <strong>' + escHtml(kw) + '</strong>.' +
+        (buttons.length > 0 ? ' Did you mean ' + buttons.join(' ') : '') + '</div>';
     });
-    table.draw(false);
-    updateStatusBar(type);
+
+    _suggestions[type] = actions;
+    el.innerHTML = html;
+    el.classList.toggle('visible', html !== '');
+  }
+
+  /**
+   * Replace a zero-hit chip with a suggested respelling, or switch it to fuzzy.
+   */
+  function applySuggestion(type, n) {
+    var action = (_suggestions[type] || [])[n];
+    var kw = action && state.keywords[type][action.index];
+    if (kw === undefined) return;
+
+    if (action.mode) {
+      state.chipModes[type][kw] = action.mode;
+    } else if (state.keywords[type].some(function (k) { return k.toLowerCase() === action.text.toLowerCase(); })) {
+      state.keywords[type].splice(action.index, 1);
+      forgetChips(type, [kw]);
+    } else {
+      state.keywords[type][action.index] = action.text;
+      if (state.chipModes[type][kw]) state.chipModes[type][action.text] = state.chipModes[type][kw];
+      forgetChips(type, [kw]);
+    }
+    state.onlyMatchedBy[type] = '';
+    renderChips(type);
+    applyKeywordFilter(type);
   }
 
   // ---- AI Config ----
@@ -510,6 +2588,17 @@ const DictApp = (function () {
   }
 
   // ---- System Detection & Data Loading ----
+  /**
+   * Source-system coverage periods (see SystemLogic); systems are chosen
+   * only once they have loaded.
+   */
+  function loadSystemTimeline() {
+    return loadCsv('data/system-timeline.csv').then(function (rows) {
+      var count = SystemLogic.loadTimeline(rows);
+      console.log('[DATA] System timeline: ' + count + ' coverage periods');
+    });
+  }
+
   function getDateRange() {
     const start = document.getElementById('date-start').value;
     const end = document.getElementById('date-end').value;
@@ -519,40 +2608,251 @@ const DictApp = (function () {
     };
   }
 
-  function getVisitContext() {
-    return {
-      outpatient: document.getElementById('ctx-outpatient').checked,
-      inpatient: document.getElementById('ctx-inpatient').checked
-    };
+  function getVisitContext() {
+    return {
+      outpatient: document.getElementById('ctx-outpatient').checked,
+      inpatient: document.getElementById('ctx-inpatient').checked
+    };
+  }
+
+  function updateSystemsAndReload() {
+    const dates = getDateRange();
+    const ctx = getVisitContext();
+    ['dx', 'medication', 'lab', 'location', 'procedure'].forEach(type => {
+      state.activeSystems[type] = applySystemOverrides(type, getDateBasedSystems(type));
+      renderOverrideBanner(type);
+    });
+    renderSystemBadges();
+    renderSystemTimeline(dates, ctx);
+    loadAllData();
+  }
+
+  /**
+   * Systems the study dates and visit context select for a type (see SystemLogic).
+   */
+  function getDateBasedSystems(type) {
+    const dates = getDateRange();
+    const ctx = getVisitContext();
+    return SystemLogic.getActiveSystems(type, dates.start, dates.end, ctx.outpatient, ctx.inpatient);
+  }
+
+  /**
+   * The date-based systems with the badge overrides applied: forced-off
+   * systems removed, forced-on ones added.
+   */
+  function applySystemOverrides(type, dateBased) {
+    const overrides = state.systemOverrides[type];
+    const systems = dateBased.filter(s => overrides[s] !== false);
+    Object.keys(overrides).forEach(s => {
+      if (overrides[s] && systems.indexOf(s) === -1) systems.push(s);
+    });
+    return systems;
   }
 
-  function updateSystemsAndReload() {
+  /**
+   * Overrides that currently change the result, with why the dates disagree:
+   * [{ system, include, reason }]. An override the dates now agree with is
+   * kept (it applies again if the dates change back) but not reported.
+   */
+  function getSystemOverrides(type) {
+    const dateBased = getDateBasedSystems(type);
     const dates = getDateRange();
     const ctx = getVisitContext();
-    ['dx', 'medication', 'lab', 'location', 'procedure'].forEach(type => {
-      state.activeSystems[type] = SystemLogic.getActiveSystems(
-        type, dates.start, dates.end, ctx.outpatient, ctx.inpatient
-      );
+    const overrides = state.systemOverrides[type];
+    return Object.keys(overrides).filter(system => {
+      return overrides[system] !== (dateBased.indexOf(system) !== -1);
+    }).map(system => {
+      if (!overrides[system]) return { system, include: false, reason: 'the study dates select it' };
+      const statuses = SystemLogic.getTimeline(type).filter(p => p.system === system)
+        .map(p => SystemLogic.evaluatePeriod(p, dates.start, dates.end, ctx.outpatient, ctx.inpatient));
+      let reason = 'it is not in the system timeline';
+      if (statuses.indexOf('outside-context') !== -1) reason = 'it does not cover the ticked visit context';
+      else if (statuses.length > 0) reason = 'its coverage is outside the study dates';
+      return { system, include: true, reason };
     });
-    renderSystemBadges();
-    loadAllData();
   }
 
+  /**
+   * Overrides as text for the search-terms manifest: "+meditech; -centricity".
+   */
+  function describeSystemOverrides(type) {
+    return getSystemOverrides(type).map(o => (o.include ? '+' : '-') + o.system).join('; ');
+  }
+
+  function getActiveTab() {
+    const btn = document.querySelector('.tab-btn.active');
+    return btn ? btn.dataset.tab : 'dx';
+  }
+
+  /**
+   * Badges for the current tab: every system in its timeline, on or off,
+   * each clickable to override the date-based choice.
+   */
   function renderSystemBadges() {
+    const type = getActiveTab();
     const container = document.getElementById('active-systems');
     container.innerHTML = '';
-    const allSystems = new Set();
-    Object.values(state.activeSystems).forEach(systems => {
-      systems.forEach(s => allSystems.add(s));
+    const tabLabel = document.getElementById('active-systems-tab');
+    if (tabLabel) tabLabel.textContent = '(' + TIMELINE_TYPE_LABELS[type] + ')';
+
+    const active = state.activeSystems[type];
+    const overridden = getSystemOverrides(type).map(o => o.system);
+    const systems = [];
+    SystemLogic.getTimeline(type).concat(active.map(system => ({ system }))).forEach(p => {
+      if (systems.indexOf(p.system) === -1) systems.push(p.system);
     });
-    allSystems.forEach(system => {
-      const badge = document.createElement('span');
-      badge.className = 'system-badge ' + system;
+    systems.forEach(system => {
+      const isOn = active.indexOf(system) !== -1;
+      const isOverridden = overridden.indexOf(system) !== -1;
+      const badge = document.createElement('button');
+      badge.type = 'button';
+      badge.className = 'system-badge ' + system + (isOn ? '' : ' off') + (isOverridden ? ' overridden' : '');
       badge.textContent = SystemLogic.getSystemLabel(system);
+      badge.title = (isOn ? 'Included' : 'Excluded') + (isOverridden ? ' by override' : ' by the study dates') +
+        ' — click to ' + (isOn ? 'exclude' : 'include');
+      badge.addEventListener('click', () => toggleSystem(type, system));
       container.appendChild(badge);
     });
   }
 
+  /**
+   * Include or exclude a system for one tab, whatever the dates say, and
+   * reload just that tab.
+   */
+  async function toggleSystem(type, system) {
+    const active = state.activeSystems[type];
+    const isOn = active.indexOf(system) !== -1;
+    if (isOn && active.length === 1) {
+      showToast('At least one source system must stay active.');
+      return;
+    }
+    const dateBased = getDateBasedSystems(type);
+    // A click that agrees with the dates just removes the override
+    if (!isOn === (dateBased.indexOf(system) !== -1)) {
+      delete state.systemOverrides[type][system];
+    } else {
+      state.systemOverrides[type][system] = !isOn;
+    }
+    state.activeSystems[type] = applySystemOverrides(type, dateBased);
+    renderSystemBadges();
+    renderOverrideBanner(type);
+
+    showLoading(true);
+    try {
+      await loadTypeData(type);
+    } catch (err) {
+      console.error('Error loading data:', err);
+      showToast('Error loading dictionary data: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  }
+
+  /**
+   * Drop a tab's overrides and go back to the date-based systems.
+   */
+  function resetSystemOverrides(type) {
+    state.systemOverrides[type] = {};
+    const dateBased = getDateBasedSystems(type);
+    const changed = dateBased.join() !== state.activeSystems[type].join();
+    state.activeSystems[type] = dateBased;
+    renderSystemBadges();
+    renderOverrideBanner(type);
+    if (!changed) return;
+    showLoading(true);
+    loadTypeData(type).catch(err => {
+      console.error('Error loading data:', err);
+      showToast('Error loading dictionary data: ' + err.message);
+    }).finally(() => showLoading(false));
+  }
+
+  /**
+   * Warn on a tab whose systems contradict the date-based logic, so a
+   * reviewer can see the override was deliberate.
+   */
+  function renderOverrideBanner(type) {
+    const banner = document.getElementById('override-banner-' + type);
+    if (!banner) return;
+    const overrides = getSystemOverrides(type);
+    banner.classList.toggle('visible', overrides.length > 0);
+    if (overrides.length === 0) {
+      banner.innerHTML = '';
+      return;
+    }
+    const items = overrides.map(o =>
+      '<strong>' + escHtml(SystemLogic.getSystemLabel(o.system)) + '</strong> ' +
+      (o.include ? 'included although ' : 'excluded although ') + escHtml(o.reason)
+    );
+    banner.innerHTML = '&#9888; Source systems overridden for this tab: ' + items.join('; ') +
+      '. Recorded in the search-terms manifest. ' +
+      '<button class="btn btn-secondary" onclick="DictApp.resetSystemOverrides(\'' + type + '\')">Use date-based systems</button>';
+  }
+
+  var TIMELINE_TYPE_LABELS = {
+    dx: 'Diagnoses', medication: 'Medications', lab: 'Labs', location: 'Locations', procedure: 'Procedures'
+  };
+  var TIMELINE_STATUS_NOTES = {
+    'outside-window': 'outside the study dates',
+    'outside-context': 'not in the ticked visit context'
+  };
+
+  /**
+   * Draw each type's coverage periods on one time axis with the study window
+   * laid over them; periods that make a system active are shown solid.
+   */
+  function renderSystemTimeline(dates, ctx) {
+    var container = document.getElementById('system-timeline');
+    if (!container) return;
+
+    var bounds = [dates.start.getTime(), dates.end.getTime(), Date.now()];
+    SystemLogic.TYPES.forEach(function (type) {
+      SystemLogic.getTimeline(type).forEach(function (p) {
+        if (p.start) bounds.push(p.start.getTime());
+        if (p.end) bounds.push(p.end.getTime());
+      });
+    });
+    var firstYear = new Date(Math.min.apply(null, bounds)).getUTCFullYear();
+    var lastYear = new Date(Math.max.apply(null, bounds)).getUTCFullYear() + 1;
+    var axisStart = Date.UTC(firstYear, 0, 1);
+    var axisSpan = Date.UTC(lastYear, 0, 1) - axisStart;
+    function pct(time) {
+      return Math.max(0, Math.min(100, (time - axisStart) / axisSpan * 100)).toFixed(2) + '%';
+    }
+    function day(date) { return date.toISOString().slice(0, 10); }
+
+    var windowStyle = 'left:' + pct(dates.start.getTime()) + ';right:' +
+      (100 - parseFloat(pct(dates.end.getTime()))).toFixed(2) + '%';
+    var step = lastYear - firstYear > 15 ? 5 : 1;
+    var html = '<div class="timeline-row timeline-axis"><span class="timeline-label"></span><div class="timeline-track">';
+    for (var year = firstYear; year <= lastYear; year += step) {
+      html += '<span class="timeline-tick" style="left:' + pct(Date.UTC(year, 0, 1)) + '">' + year + '</span>';
+    }
+    html += '</div></div>';
+
+    SystemLogic.TYPES.forEach(function (type) {
+      var periods = SystemLogic.getTimeline(type);
+      if (periods.length === 0) return;
+      html += '<div class="timeline-type">' + TIMELINE_TYPE_LABELS[type] + '</div>';
+      periods.forEach(function (p) {
+        var status = SystemLogic.evaluatePeriod(p, dates.start, dates.end, ctx.outpatient, ctx.inpatient);
+        var label = SystemLogic.getSystemLabel(p.system) + (p.facility !== 'all' ? ' · ' + p.facility : '');
+        var contexts = [p.inpatient ? 'inpatient' : '', p.outpatient ? 'outpatient' : ''].filter(Boolean).join(' + ');
+        var title = label + ': ' + (p.start ? day(p.start) : 'earliest records') + ' to ' +
+          (p.end ? day(p.end) : 'present') + ', ' + contexts + (p.partial ? ', partial data' : '') +
+          (p.note ? ' — ' + p.note : '') + (TIMELINE_STATUS_NOTES[status] ? ' (' + TIMELINE_STATUS_NOTES[status] + ')' : '');
+        var left = p.start ? pct(p.start.getTime()) : '0%';
+        var right = p.end ? (100 - parseFloat(pct(p.end.getTime() + 86400000))).toFixed(2) + '%' : '0%';
+        html += '<div class="timeline-row"><span class="timeline-label">' + escHtml(label) + '</span>' +
+          '<div class="timeline-track">' +
+          '<div class="timeline-span system-badge ' + escAttr(p.system) + ' timeline-' + status +
+            (p.partial ? ' timeline-partial' : '') + '" style="left:' + left + ';right:' + right + '" title="' + escAttr(title) + '"></div>' +
+          '<div class="timeline-window" style="' + windowStyle + '"></div>' +
+          '</div></div>';
+      });
+    });
+    container.innerHTML = html;
+  }
+
   // ---- Data Loading ----
   async function loadAllData() {
     showLoading(true);
@@ -569,20 +2869,45 @@ const DictApp = (function () {
     }
   }
 
+  // type → number of the latest loadTypeData call: a load overtaken by a later
+  // one (a system toggle, or a changed file from applyUpdatedCsv) while it
+  // waits on its files drops its rows instead of rendering over the newer ones
+  var _loadGenerations = {};
+
   async function loadTypeData(type) {
+    const generation = _loadGenerations[type] = (_loadGenerations[type] || 0) + 1;
     const systems = state.activeSystems[type];
     const csvFiles = SystemLogic.getSystemCsvFiles(type, systems);
 
-    // Load each CSV file (cache in rawData)
+    // Load each CSV file (cache in rawData); rows put there meanwhile are newer
     const loadPromises = csvFiles.map(async file => {
       if (!state.rawData[file]) {
-        state.rawData[file] = await loadCsv('data/' + file);
+        const rows = await loadCsv('data/' + file, {
+          cache: true,
+          onChange: function (rows) { return applyUpdatedCsv(file, rows); }
+        });
+        if (!state.rawData[file]) state.rawData[file] = rows;
       }
       return { file, data: state.rawData[file] };
     });
 
     const results = await Promise.all(loadPromises);
 
+    // The ICD-9 / ICD-10 crosswalk is loaded alongside the dx dictionary
+    if (type === 'dx' && !state.rawData['icd-gem.csv']) {
+      state.rawData['icd-gem.csv'] = await loadCsv('data/icd-gem.csv');
+      IcdCrosswalk.load(state.rawData['icd-gem.csv']);
+    }
+    // ...and the chapters and blocks of the ICD tree
+    if (type === 'dx' && !state.rawData['icd-chapters.csv']) {
+      state.rawData['icd-chapters.csv'] = await loadCsv('data/icd-chapters.csv');
+      IcdTree.loadChapters(state.rawData['icd-chapters.csv']);
+    }
+    if (generation !== _loadGenerations[type]) {
+      console.log('[' + type + '] Dropped a load overtaken by a newer one');
+      return;
+    }
+
     // Process and merge data with source system annotation
     const merged = [];
     results.forEach(({ file, data }) => {
@@ -612,7 +2937,8 @@ const DictApp = (function () {
         // _origIdx is stored so buildRowArray can always reference the correct
         // state.data index even when DataTables only holds a filtered subset.
         const origIdx = merged.length;
-        merged.push({
+        // Medication / lab names also get hidden _norm_* copies the chips search (see Normalizer)
+        const mergedRow = Normalizer.normalizeRow(type, {
           ...row,
           _source: rowSource,
           _rowKey: rowKey,
@@ -621,15 +2947,36 @@ const DictApp = (function () {
           category: state.categories[type][rowKey] || row.category || '',
           keyword_matched: state.keywordMatched[type][rowKey] || ''
         });
+        // ...and medications their parsed strength / dose form / route for the filter bar
+        if (type === 'medication') MedAttributes.annotate(mergedRow);
+        // ...and diagnoses the codes they were mapped from, if added from the crosswalk
+        if (type === 'dx') mergedRow.mapped_from = state.mappedFrom[crosswalkKey(row.vocabulary_id, row.icd_code)] || '';
+        // ...and locations the place they're linked to in the other systems
+        if (type === 'location') mergedRow.location_link = LocationCrosswalk.linkOf(mergedRow);
+        // ...and procedures their CPT section and a CPT4 / HCPCS vocabulary_id
+        if (type === 'procedure') ProcedureCodes.annotate(mergedRow);
+        merged.push(mergedRow);
       });
     });
 
     state.data[type] = merged;
-    // Clear cached column detection so it re-scans from new data
+    // Clear cached column, facet, ingredient-group and tree detection so they re-scan the new data
     _detectedCols[type] = null;
+    _facetColumns[type] = null;
+    _medGroups[type] = null;
+    _icdTrees[type] = null;
+    _classTrees[type] = null;
+    _locationTrees[type] = null;
+    // ...and the "did you mean" vocabulary and zero-hit checks built from the old rows
+    _vocabulary[type] = null;
+    _chipSuggestions[type] = {};
+    // Large dictionaries are searched by the background worker once indexed
+    if (merged.length > LARGE_DATASET_THRESHOLD) SearchIndex.build(type, merged);
     renderTable(type, merged);
     updateBadge(type, merged.length);
     updateStatusBar(type);
+    scheduleFacetRefresh(type);
+    renderDictVersion(type);
 
     // Re-apply keyword filter if keywords are active
     if (state.keywords[type].length > 0) {
@@ -671,14 +3018,37 @@ const DictApp = (function () {
   /**
    * Load a CSV file.
    * Priority order:
+   *   0. DictionaryCache, for dictionaries (options.cache) cached by an
+   *      earlier visit — checked against the server in the background
    *   1. fetch() from data/ directory  (works on HTTP / GitHub Pages)
    *   2. EMBEDDED_DATA fallback         (works on file:// with no server)
    *   3. PapaParse download fallback    (last resort)
    *
    * This ensures that when you update a CSV, the app picks it up on
-   * refresh (via fetch) instead of always showing stale embedded data.
+   * refresh (via fetch) instead of always showing stale embedded data; a
+   * cached dictionary is replaced once the check finds it changed.
+   *
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean}  [options.cache]    - Keep the parsed rows in DictionaryCache
+   * @param {Function} [options.onChange] - Called with the new rows when a cached
+   *   copy turns out to be out of date; returns whether they were used
    */
-  function loadCsv(url) {
+  function loadCsv(url, options) {
+    var filename = url.split('/').pop();
+    var opts = options || {};
+    if (!opts.cache || !DictionaryCache.isAvailable()) return fetchCsv(url, opts);
+
+    return DictionaryCache.getRows(filename).then(function (cached) {
+      if (!cached) return fetchCsv(url, opts);
+      console.log('[DATA] Loaded ' + filename + ' from the dictionary cache: ' + cached.rows.length + ' rows');
+      setDictVersion(filename, cached.version, 'cache', 'checking');
+      revalidateCsv(url, cached.version, opts.onChange);
+      return cached.rows;
+    });
+  }
+
+  function fetchCsv(url, opts) {
     var filename = url.split('/').pop();
 
     return new Promise(function (resolve) {
@@ -686,11 +3056,18 @@ const DictApp = (function () {
       fetch(url)
         .then(function (response) {
           if (!response.ok) throw new Error('HTTP ' + response.status);
-          return response.text();
+          return response.text().then(function (text) {
+            return { response: response, text: text };
+          });
         })
-        .then(function (text) {
-          var data = parseCsvText(text, filename);
+        .then(function (fetched) {
+          var data = parseCsvText(fetched.text, filename);
           console.log('[DATA] Fetched ' + filename + ': ' + data.length + ' rows');
+          if (opts.cache) {
+            var version = newDictVersion(filename, fetched.response, DictionaryCache.hash(fetched.text), data.length, null);
+            setDictVersion(filename, version, 'server', 'current');
+            DictionaryCache.putRows(version, data);
+          }
           resolve(data);
         })
         .catch(function (err) {
@@ -700,6 +3077,7 @@ const DictApp = (function () {
           if (typeof EMBEDDED_DATA !== 'undefined' && EMBEDDED_DATA[filename]) {
             var data = EMBEDDED_DATA[filename];
             console.log('[DATA] Loaded ' + filename + ' from embedded data: ' + data.length + ' rows');
+            if (opts.cache) setDictVersion(filename, { rowCount: data.length }, 'embedded', 'current');
             resolve(data);
             return;
           }
@@ -713,6 +3091,7 @@ const DictApp = (function () {
             dynamicTyping: false,
             complete: function (results) {
               console.log('[DATA] PapaParse loaded ' + filename + ': ' + results.data.length + ' rows');
+              if (opts.cache) setDictVersion(filename, { rowCount: results.data.length }, 'download', 'current');
               resolve(results.data);
             },
             error: function () {
@@ -728,6 +3107,180 @@ const DictApp = (function () {
     });
   }
 
+  // ---- Dictionary Cache ----
+  // Dictionaries come from DictionaryCache when an earlier visit stored them.
+  // The server is then asked whether the file changed — by ETag /
+  // Last-Modified, else by the hash of its text — and only a changed file is
+  // parsed again. Each tab's status bar shows the version it is using.
+
+  var _dictVersions = {};   // file name → { hash, rowCount, changedAt, checkedAt, origin, status }
+
+  /**
+   * A DictionaryCache version record for CSV text just fetched; changedAt
+   * carries over from the previous record when the text is the same.
+   */
+  function newDictVersion(filename, response, hash, rowCount, previous) {
+    var now = new Date().toISOString();
+    return {
+      file: filename,
+      hash: hash,
+      etag: response.headers.get('ETag') || '',
+      lastModified: response.headers.get('Last-Modified') || '',
+      rowCount: rowCount,
+      changedAt: previous && previous.hash === hash ? previous.changedAt : now,
+      checkedAt: now
+    };
+  }
+
+  /**
+   * Ask the server whether a cached dictionary is still current, in the
+   * background. Unchanged: only checkedAt is updated. Changed: the new text
+   * is parsed, cached and handed to onChange.
+   */
+  function revalidateCsv(url, cached, onChange) {
+    var filename = cached.file;
+    var headers = {};
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    return fetch(url, { headers: headers, cache: 'no-store' })
+      .then(function (response) {
+        if (response.status === 304) {
+          var confirmed = Object.assign({}, cached, { checkedAt: new Date().toISOString() });
+          setDictVersion(filename, confirmed, 'cache', 'current');
+          return DictionaryCache.putFile(confirmed);
+        }
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text().then(function (text) {
+          var hash = DictionaryCache.hash(text);
+          if (hash === cached.hash) {
+            var same = newDictVersion(filename, response, hash, cached.rowCount, cached);
+            setDictVersion(filename, same, 'cache', 'current');
+            return DictionaryCache.putFile(same);
+          }
+          var data = parseCsvText(text, filename);
+          var version = newDictVersion(filename, response, hash, data.length, cached);
+          console.log('[DATA] ' + filename + ' changed on the server: ' + data.length + ' rows');
+          return DictionaryCache.putRows(version, data).then(function () {
+            // The note shows the version in use: the cached one until the new rows are loaded
+            if (onChange && onChange(data)) setDictVersion(filename, version, 'server', 'updated');
+            else setDictVersion(filename, cached, 'cache', 'pending');
+          });
+        });
+      })
+      .catch(function (err) {
+        console.warn('[DATA] Could not check ' + filename + ' for updates: ' + err.message);
+        setDictVersion(filename, cached, 'cache', 'offline');
+      });
+  }
+
+  /**
+   * A dictionary file that changed on the server replaces the cached copy
+   * straight away unless keywords or checks were already made on its tab:
+   * row keys are positions in the file, so the checks would land on other
+   * rows. Then the new copy waits in the cache for the next page load.
+   * @returns {boolean} Whether the new rows were loaded
+   */
+  function applyUpdatedCsv(file, rows) {
+    var types = ['dx', 'medication', 'lab', 'location', 'procedure'].filter(function (type) {
+      return dictionaryFilesOf(type).indexOf(file) !== -1;
+    });
+    var inUse = types.some(function (type) {
+      return state.keywords[type].length > 0 || Object.keys(state.desired[type]).length > 0;
+    });
+    if (inUse) {
+      showToast('A newer ' + file + ' has been downloaded — reload the page to use it.');
+      return false;
+    }
+    state.rawData[file] = rows;
+    types.forEach(function (type) {
+      loadTypeData(type).catch(function (err) {
+        console.error('Error loading data:', err);
+        showToast('Error loading dictionary data: ' + err.message);
+      });
+    });
+    return true;
+  }
+
+  function dictionaryFilesOf(type) {
+    return SystemLogic.getSystemCsvFiles(type, state.activeSystems[type]);
+  }
+
+  function setDictVersion(filename, version, origin, status) {
+    _dictVersions[filename] = {
+      hash: version.hash || '',
+      rowCount: version.rowCount,
+      changedAt: version.changedAt || '',
+      checkedAt: version.checkedAt || '',
+      origin: origin,
+      status: status
+    };
+    ['dx', 'medication', 'lab', 'location', 'procedure'].forEach(function (type) {
+      if (dictionaryFilesOf(type).indexOf(filename) !== -1) renderDictVersion(type);
+    });
+  }
+
+  function formatDictTime(iso) {
+    if (!iso) return '';
+    var d = new Date(iso);
+    return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' }) + ' ' +
+      d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /**
+   * The "dictionary version / last refreshed" note in a tab's status bar:
+   * each file's version (the start of its hash) and the oldest time one was
+   * confirmed with the server; the tooltip has the details per file.
+   */
+  function renderDictVersion(type) {
+    var el = document.getElementById('dict-version-' + type);
+    if (!el) return;
+    var files = dictionaryFilesOf(type).filter(function (f) { return _dictVersions[f]; });
+    if (files.length === 0) {
+      el.textContent = '';
+      el.title = '';
+      return;
+    }
+
+    var ORIGINS = { cache: 'cached copy', server: 'downloaded', embedded: 'built-in copy', download: 'downloaded' };
+    var STATUSES = {
+      checking: 'checking for updates…',
+      updated: 'updated from the server',
+      pending: 'newer version downloaded — reload to use it',
+      offline: 'could not check for updates'
+    };
+    var versions = files.map(function (f) {
+      var v = _dictVersions[f];
+      var label = files.length > 1 ? f.replace(/^dictionary-/, '').replace(/\.csv$/, '') + ' ' : '';
+      return label + (v.hash ? 'v' + v.hash.slice(0, 7) : ORIGINS[v.origin]);
+    });
+    var checked = files.map(function (f) { return _dictVersions[f].checkedAt; }).filter(Boolean).sort()[0];
+    var status = ['pending', 'offline', 'checking', 'updated'].filter(function (s) {
+      return files.some(function (f) { return _dictVersions[f].status === s; });
+    })[0];
+
+    el.textContent = 'Dictionary ' + versions.join(', ') +
+      (checked ? ' · refreshed ' + formatDictTime(checked) : '') +
+      (status ? ' · ' + STATUSES[status] : '');
+    el.className = 'stat dict-version' + (status === 'pending' || status === 'offline' ? ' stale' : '');
+    el.title = files.map(function (f) {
+      var v = _dictVersions[f];
+      return f + ': ' + (v.hash ? 'version ' + v.hash : ORIGINS[v.origin]) +
+        (v.rowCount !== undefined ? ', ' + v.rowCount.toLocaleString() + ' rows' : '') +
+        (v.changedAt ? ', changed ' + formatDictTime(v.changedAt) : '') +
+        (v.checkedAt ? ', last checked ' + formatDictTime(v.checkedAt) : '') +
+        ' (' + ORIGINS[v.origin] + ')';
+    }).join('\n');
+  }
+
+  function clearDictionaryCache() {
+    DictionaryCache.clear().then(function (cleared) {
+      showToast(cleared
+        ? 'Cached dictionaries cleared — they will be downloaded again on the next page load.'
+        : 'No dictionary cache in this browser.');
+    });
+  }
+
   // ---- Table Rendering ----
   function renderTable(type, data) {
     // Destroy existing table if any
@@ -766,17 +3319,16 @@ const DictApp = (function () {
       deferRender: true,
       search: { smart: true, regex: false, caseInsensitive: true },
       createdRow: function (tr, rowData, dataIndex) {
-        // In on-demand mode, dataIndex is 0-based within the matched subset,
-        // not the _origIdx. Extract the correct index from the checkbox onclick.
-        var origIdx = dataIndex;
-        if (rowData && rowData[0]) {
-          var m = rowData[0].match(/toggleDesired\('[^']+',\s*(\d+),/);
-          if (m) origIdx = parseInt(m[1], 10);
-        }
-        var rowObj = state.data[type][origIdx];
+        var rowObj = rowForTableData(type, rowData, dataIndex);
         if (rowObj && rowObj.desired) $(tr).addClass('desired-row');
         if (rowObj && rowObj.keyword_matched) $(tr).addClass('ai-matched');
       },
+      // Runs for the displayed page only (deferRender), so highlighting
+      // costs the same on a 200-row and a 200K-row dictionary.
+      rowCallback: function (tr, rowData, displayNum, displayIndex, dataIndex) {
+        var rowObj = rowForTableData(type, rowData, dataIndex);
+        if (rowObj) highlightRow(type, tr, rowObj);
+      },
       language: {
         emptyTable: large
           ? 'Enter a keyword above to search ' + data.length.toLocaleString() + ' entries.'
@@ -800,10 +3352,123 @@ const DictApp = (function () {
     });
   }
 
+  /**
+   * The state.data row behind a DataTables row. In on-demand mode, dataIndex is
+   * 0-based within the matched subset, not the _origIdx, so the correct index
+   * is read from the checkbox onclick.
+   */
+  function rowForTableData(type, rowData, dataIndex) {
+    var origIdx = dataIndex;
+    if (rowData && rowData[0]) {
+      var m = rowData[0].match(/toggleDesired\('[^']+',\s*(\d+),/);
+      if (m) origIdx = parseInt(m[1], 10);
+    }
+    return state.data[type][origIdx];
+  }
+
+  // ---- Match Highlighting ----
+  var HIGHLIGHT_COLORS = 8;     // .hl-0 … .hl-7 in style.css, assigned in chip order
+  var _highlighters = {};       // type → { key, list } for the current chips
+
+  /**
+   * Highlighters for the positive chips (plus valid typed text), rebuilt only
+   * when the chips, their match modes or the typed text change.
+   */
+  function getHighlighters(type) {
+    var input = document.getElementById('search-' + type);
+    var typedText = input ? input.value.trim() : '';
+    var chips = state.keywords[type].slice();
+    if (typedText && !typedKeywordError(type, typedText) && !(isLarge(type) && !SearchIndex.isReady(type))) {
+      chips.push(typedText);
+    }
+    var modes = chips.map(function (kw) { return getChipMode(type, kw); });
+    var key = chips.join('\n') + '\n\n' + modes.join(',') + '\n' + state.fuzzyThreshold[type];
+    if (_highlighters[type] && _highlighters[type].key === key) return _highlighters[type].list;
+
+    var dataCols = detectDataColumns(type);
+    var list = [];
+    chips.forEach(function (kw, i) {
+      var term = parseKeyword(kw);
+      if (term.exclude) return;
+      list.push({
+        color: highlightColor(type, kw),
+        matcher: buildMatcher(type, term.text, modes[i]),
+        highlight: SearchEngine.compileHighlighter(type, term.text, dataCols, modes[i], { fuzzyThreshold: state.fuzzyThreshold[type] })
+      });
+    });
+    _highlighters[type] = { key: key, list: list };
+    return list;
+  }
+
+  /**
+   * Color slot for a positive chip: its position among the positive chips
+   * (typed text takes the next slot), so chip swatches and cell marks agree.
+   */
+  function highlightColor(type, keyword) {
+    var positives = state.keywords[type].filter(function (kw) { return !isExclusion(kw); });
+    var pos = positives.indexOf(keyword);
+    return (pos === -1 ? positives.length : pos) % HIGHLIGHT_COLORS;
+  }
+
+  /**
+   * Mark the matched spans of every chip that hit this row in its data cells.
+   * Chips that didn't match the row leave no marks, even if some of their
+   * words appear in it.
+   */
+  function highlightRow(type, tr, row) {
+    var rowValues = getRowValues(type, row);
+    var highlighters = getHighlighters(type).filter(function (h) { return h.matcher(rowValues, row); });
+    var dataCols = detectDataColumns(type);
+    var offset = type === 'dx' ? 1 : 2;   // Desired (+ Source) come first
+
+    // Unscoped words mark the columns they searched (see getRowValues)
+    var unscoped = dataCols;
+    if (!state.searchAllColumns[type]) {
+      var keyCols = SearchEngine.getSearchColumns(type, row._source).filter(function (col) { return col in row; });
+      if (keyCols.length > 0) unscoped = keyCols;
+    }
+
+    dataCols.forEach(function (col, i) {
+      var cell = tr.cells[offset + i];
+      if (!cell) return;
+      var value = String(row[col] || '');
+      var spans = [];
+      if (value) {
+        highlighters.forEach(function (h) {
+          h.highlight(col, value, row, unscoped).forEach(function (span) {
+            spans.push([span[0], span[1], h.color]);
+          });
+        });
+      }
+      if (spans.length > 0) {
+        cell.innerHTML = markSpans(value, spans);
+      } else if (cell.getElementsByTagName('mark').length > 0) {
+        cell.innerHTML = escHtml(value);
+      }
+    });
+  }
+
+  /**
+   * Escape a value and wrap the given [start, end, color] spans in <mark>.
+   * Where chips overlap, the earlier-starting (then longer) span wins.
+   */
+  function markSpans(value, spans) {
+    spans.sort(function (a, b) { return a[0] - b[0] || b[1] - a[1]; });
+    var html = '';
+    var pos = 0;
+    spans.forEach(function (span) {
+      if (span[0] < pos) return;
+      html += escHtml(value.slice(pos, span[0])) +
+        '<mark class="kw-hl hl-' + span[2] + '">' + escHtml(value.slice(span[0], span[1])) + '</mark>';
+      pos = span[1];
+    });
+    return html + escHtml(value.slice(pos));
+  }
+
   /**
    * Auto-detect data columns from the loaded data.
    * Returns the list of column keys found in the data, excluding internal
-   * fields (_source, _rowKey, desired, category, keyword_matched).
+   * fields (_source, _rowKey, desired, category, keyword_matched, mapped_from).
    * Caches per type so we only scan once.
    */
   var _detectedCols = {};
@@ -818,7 +3483,7 @@ const DictApp = (function () {
     for (var i = 0; i < scanLimit; i++) {
       var row = data[i];
       Object.keys(row).forEach(function (k) {
-        if (!k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched') {
+        if (!k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched' && k !== 'mapped_from') {
           if (!colSet[k]) {
             colSet[k] = true;
             colOrder.push(k);
@@ -867,6 +3532,9 @@ const DictApp = (function () {
     defs.push({ title: 'Category', className: 'category-cell', orderable: false });
     defs.push({ title: 'Matched By', orderable: false });
 
+    // 5. Fuzzy score — only shown while a fuzzy chip is active (see showScoreColumn)
+    defs.push({ title: 'Score', className: 'score-cell', visible: false, orderSequence: ['desc', 'asc'] });
+
     return defs;
   }
 
@@ -881,7 +3549,13 @@ const DictApp = (function () {
     var desiredChecked = row.desired ? 'checked' : '';
     var desiredHtml = '<input type="checkbox" ' + desiredChecked + ' onchange="DictApp.toggleDesired(\'' + type + '\', ' + rowIdx + ', this.checked)">';
     var categoryHtml = '<input type="text" value="' + escHtml(row.category) + '" onchange="DictApp.setCategory(\'' + type + '\', ' + rowIdx + ', this.value)" placeholder="e.g. obesity-related" title="Optional label to group this row (e.g. obesity-related, age-related)">';
-    var kwHtml = escHtml(row.keyword_matched || '');
+    var matchedKws = SearchEngine.splitMatchedKeywords(row.keyword_matched);
+    // Matched By shows the first keyword and how many more; the tooltip lists them all
+    var kwHtml = matchedKws.length === 0 ? '' :
+      '<span class="kw-matched" title="' + escAttr(matchedKws.length + (matchedKws.length === 1 ? ' keyword' : ' keywords') + ' matched:\n' + matchedKws.join('\n')) + '">' +
+      escHtml(matchedKws[0]) +
+      (matchedKws.length > 1 ? ' <span class="kw-more">+' + (matchedKws.length - 1) + '</span>' : '') +
+      '</span>';
 
     var arr = [];
     // 1. Include checkbox
@@ -897,6 +3571,8 @@ const DictApp = (function () {
     // 4. Category + Matched By
     arr.push(categoryHtml);
     arr.push(kwHtml);
+    // 5. Fuzzy score
+    arr.push(row._fuzzyScore === undefined ? '' : Math.round(row._fuzzyScore * 100) + '%');
 
     return arr;
   }
@@ -918,6 +3594,98 @@ const DictApp = (function () {
     updateHeaderCheckbox(type);
   }
 
+  /**
+   * Take away the chips a tree panel added that would tick an unchecked
+   * node's rows again on the next filter: the node's own and its
+   * descendants' chips, and an ancestor's chip, which gives way to the
+   * chips of the ancestor's other children down to the node.
+   * @param {Object}   node    - with parent and children
+   * @param {Function} chipFor - node → its chip ('' for none)
+   * @param {string}   label   - the node, for the toast
+   * @param {Function} [spellingsOf] - node → other chips that stand for it
+   *   and go too (typed ones, e.g. an ICD code without its vocabulary)
+   */
+  function releaseNodeChips(type, node, chipFor, label, spellingsOf) {
+    var keywords = state.keywords[type];
+    var find = function (chip) {
+      var key = chip.toLowerCase();
+      for (var i = 0; i < keywords.length; i++) if (keywords[i].toLowerCase() === key) return keywords[i];
+      return null;
+    };
+    var removed = [];
+    var added = [];
+    var drop = function (n) {
+      var chips = [chipFor(n)].concat(spellingsOf ? spellingsOf(n) : []).filter(Boolean);
+      var found = false;
+      chips.forEach(function (chip) {
+        var kw = find(chip);
+        if (kw && removed.indexOf(kw) === -1) removed.push(kw);
+        found = found || !!kw;
+      });
+      return found;
+    };
+    var addSiblings = function (n) {
+      n.parent.children.forEach(function (sibling) {
+        var chip = chipFor(sibling);
+        if (sibling !== n && chip && !find(chip) && added.indexOf(chip) === -1) added.push(chip);
+      });
+    };
+
+    (function walk(n) {
+      drop(n);
+      n.children.forEach(walk);
+    })(node);
+    for (var ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+      if (!drop(ancestor)) continue;
+      for (var n = node; n !== ancestor; n = n.parent) addSiblings(n);
+    }
+    replaceChips(type, removed, added, label);
+  }
+
+  /**
+   * Swap the chips a panel added for narrower ones (or none) when a
+   * selection is unchecked, and say so.
+   * @param {string[]} removed - chips to take away
+   * @param {string[]} added   - chips to add in their place
+   * @param {string}   label   - what was unchecked, for the toast
+   */
+  function replaceChips(type, removed, added, label) {
+    if (removed.length === 0) return;
+
+    state.keywords[type] = state.keywords[type].filter(function (k) { return removed.indexOf(k) === -1; }).concat(added);
+    forgetChips(type, removed);
+    renderChips(type);
+    applyKeywordFilter(type);
+    showToast('Removed ' + removed.join(', ') + (added.length > 0 ? ' (added ' + added.length + ' narrower chip' + (added.length === 1 ? '' : 's') + ')' : '') +
+      ' so ' + label + ' stays unchecked');
+  }
+
+  /**
+   * Check or uncheck a set of rows and redraw them: the on-demand rows are
+   * rebuilt, otherwise only the table rows in the set are refreshed.
+   */
+  function setRowsDesired(type, rows, checked) {
+    rows.forEach(function (row) {
+      row.desired = checked;
+      state.desired[type][row._rowKey] = checked;
+    });
+    var table = state.tables[type];
+    if (table) {
+      if (isLarge(type)) {
+        var rowArrays = state.onDemandMatched[type].map(function (row) { return buildRowArray(type, row); });
+        table.clear().rows.add(rowArrays).draw(false);
+      } else {
+        var members = new Set(rows);
+        table.rows().every(function (rowIdx) {
+          if (members.has(state.data[type][rowIdx])) this.data(buildRowArray(type, state.data[type][rowIdx], rowIdx));
+        });
+        table.draw(false);
+      }
+    }
+    updateStatusBar(type);
+    updateHeaderCheckbox(type);
+  }
+
   function setCategory(type, idx, value) {
     var row = state.data[type][idx];
     if (!row) return;
@@ -933,14 +3701,14 @@ const DictApp = (function () {
     if (!table) return;
 
     if (isLarge(type)) {
-      // On-demand: operate on the matched subset stored in onDemandMatched
-      var matched = state.onDemandMatched[type];
-      matched.forEach(function (row) {
+      // On-demand: operate on the matched rows the filter bar lets through
+      var visible = onDemandVisible(type);
+      visible.forEach(function (row) {
         row.desired = checked;
         state.desired[type][row._rowKey] = checked;
       });
       // Rebuild and reload rows so checkboxes re-render with correct state
-      var rowArrays = matched.map(function (row) { return buildRowArray(type, row); });
+      var rowArrays = state.onDemandMatched[type].map(function (row) { return buildRowArray(type, row); });
       table.clear().rows.add(rowArrays).draw(false);
       $('#table-' + type + ' tbody input[type="checkbox"]').prop('checked', checked);
       if (checked) {
@@ -949,7 +3717,7 @@ const DictApp = (function () {
         $('#table-' + type + ' tbody tr').removeClass('desired-row');
       }
       updateStatusBar(type);
-      showToast(checked ? 'Checked ' + matched.length + ' visible rows' : 'Unchecked ' + matched.length + ' visible rows');
+      showToast(checked ? 'Checked ' + visible.length + ' visible rows' : 'Unchecked ' + visible.length + ' visible rows');
       return;
     }
 
@@ -1001,7 +3769,7 @@ const DictApp = (function () {
     var anyVisible = false;
 
     if (isLarge(type)) {
-      var matched = state.onDemandMatched[type];
+      var matched = onDemandVisible(type);
       anyVisible = matched.length > 0;
       matched.forEach(function (row) {
         if (!row.desired) allChecked = false;
@@ -1055,66 +3823,203 @@ const DictApp = (function () {
   }
 
   // ---- Medication Filters ----
+  // Route, dose form and strength come from the names (see MedAttributes), so
+  // they work for every source system; the class selects read Epic's
+  // therapeutic_class → pharmaceutical_class → pharmaceutical_subclass columns
+  // and cascade, each listing only values under the selection above it.
+  var MED_CLASS_FILTERS = [
+    { id: 'filter-therapeutic-class', column: 'therapeutic_class', allLabel: 'All Therapeutic Classes' },
+    { id: 'filter-pharm-class', column: 'pharmaceutical_class', allLabel: 'All Pharmaceutical Classes' },
+    { id: 'filter-pharm-subclass', column: 'pharmaceutical_subclass', allLabel: 'All Subclasses' }
+  ];
+  var MED_FILTER_IDS = ['filter-route', 'filter-dose-form', 'filter-strength-min', 'filter-strength-max',
+    'filter-strength-unit', 'filter-source-system'].concat(MED_CLASS_FILTERS.map(function (f) { return f.id; }));
+  var _medFilters = null;   // current selections, read by passesMedFilters; null = none
+
   function populateMedFilters(data) {
-    var routes = new Set();
-    var sources = new Set();
+    var routes = {};
+    var forms = {};
+    var units = {};
+    var sources = {};
     data.forEach(function (row) {
-      if (row.route && row.route !== 'NULL') routes.add(row.route);
-      if (row._source) sources.add(row._source);
+      if (row._route) routes[row._route] = (routes[row._route] || 0) + 1;
+      if (row._dose_form) forms[row._dose_form] = (forms[row._dose_form] || 0) + 1;
+      if (row._strength_unit) units[row._strength_unit] = true;
+      if (row._source) sources[row._source] = (sources[row._source] || 0) + 1;
+    });
+    populateSelect('filter-route', Object.keys(routes).sort(), 'All Routes', routes);
+    populateSelect('filter-dose-form', Object.keys(forms).sort(), 'All Forms', forms);
+    populateSelect('filter-source-system', Object.keys(sources).sort(), 'All Systems', sources);
+
+    // Strength can be compared in mass units (which convert to one another)
+    // or in any other unit a row uses, e.g. unit/ml
+    var unitSelect = document.getElementById('filter-strength-unit');
+    unitSelect.innerHTML = '';
+    var massUnits = ['mg', 'mcg', 'g'];
+    massUnits.concat(Object.keys(units).filter(function (u) {
+      return massUnits.indexOf(u) === -1;
+    }).sort()).forEach(function (unit) {
+      var option = document.createElement('option');
+      option.value = unit;
+      option.textContent = unit;
+      unitSelect.appendChild(option);
     });
-    populateSelect('filter-pharm-class', Array.from(routes).sort(), 'All Routes');
-    populateSelect('filter-pharm-subclass', [], 'N/A');
-    populateSelect('filter-source-system', Array.from(sources).sort(), 'All Systems');
+    document.getElementById('filter-strength-min').value = '';
+    document.getElementById('filter-strength-max').value = '';
+
+    cascadeMedClassFilters(0);
+    _medFilters = null;
 
-    ['filter-pharm-class', 'filter-pharm-subclass', 'filter-source-system'].forEach(function (id) {
+    MED_FILTER_IDS.forEach(function (id) {
       var el = document.getElementById(id);
       var newEl = el.cloneNode(true);
       el.parentNode.replaceChild(newEl, el);
-      newEl.addEventListener('change', function () { applyMedFilters(); });
+      newEl.addEventListener('change', function () {
+        var level = MED_CLASS_FILTERS.findIndex(function (f) { return f.id === id; });
+        if (level !== -1) cascadeMedClassFilters(level + 1);
+        applyMedFilters();
+      });
+    });
+  }
+
+  /**
+   * Refill the class selects from `fromLevel` down with the values found under
+   * the selections above them, keeping a selection that is still offered.
+   * The selects are hidden when no loaded source has the columns (Epic off).
+   */
+  function cascadeMedClassFilters(fromLevel) {
+    var data = state.data.medication;
+    MED_CLASS_FILTERS.forEach(function (filter, level) {
+      if (level < fromLevel) return;
+      var above = MED_CLASS_FILTERS.slice(0, level).map(function (f) {
+        return { column: f.column, value: document.getElementById(f.id).value };
+      }).filter(function (f) { return f.value; });
+
+      var counts = {};
+      data.forEach(function (row) {
+        var value = row[filter.column];
+        if (!value || value === 'NULL') return;
+        if (above.some(function (f) { return row[f.column] !== f.value; })) return;
+        counts[value] = (counts[value] || 0) + 1;
+      });
+
+      var select = document.getElementById(filter.id);
+      var current = select.value;
+      var values = Object.keys(counts).sort();
+      populateSelect(filter.id, values, filter.allLabel, counts);
+      if (counts[current]) select.value = current;
+      select.parentNode.style.display = (level === 0 && values.length === 0) ? 'none' : '';
+      select.disabled = values.length === 0;
     });
   }
 
-  function populateSelect(selectId, options, allLabel) {
+  function populateSelect(selectId, options, allLabel, counts) {
     var select = document.getElementById(selectId);
     select.innerHTML = '<option value="">' + allLabel + '</option>';
     options.forEach(function (opt) {
       var option = document.createElement('option');
       option.value = opt;
-      option.textContent = opt;
+      option.textContent = counts ? opt + ' (' + counts[opt].toLocaleString() + ')' : opt;
       select.appendChild(option);
     });
   }
 
+  /**
+   * Read the filter bar into _medFilters (null when nothing is set).
+   */
+  function readMedFilters() {
+    function value(id) { return document.getElementById(id).value; }
+    function number(id) {
+      var n = parseFloat(value(id));
+      return isNaN(n) ? null : n;
+    }
+    var filters = {
+      route: value('filter-route'),
+      form: value('filter-dose-form'),
+      source: value('filter-source-system').toLowerCase(),
+      min: number('filter-strength-min'),
+      max: number('filter-strength-max'),
+      unit: value('filter-strength-unit'),
+      classes: MED_CLASS_FILTERS.map(function (f) {
+        return { column: f.column, value: value(f.id) };
+      }).filter(function (f) { return f.value; })
+    };
+    var active = filters.route || filters.form || filters.source ||
+      filters.min !== null || filters.max !== null || filters.classes.length > 0;
+    return active ? filters : null;
+  }
+
+  /**
+   * Does a medication row pass the filter bar? Rows without a parsed strength
+   * (or in a unit that can't be compared) drop out while a strength range is
+   * set, and rows without class columns (Meditech, Centricity) while a class is.
+   */
+  function passesMedFilters(row) {
+    var f = _medFilters;
+    if (!f) return true;
+    if (f.route && row._route !== f.route) return false;
+    if (f.form && row._dose_form !== f.form) return false;
+    if (f.source && (row._source || '').toLowerCase() !== f.source) return false;
+    if (f.min !== null || f.max !== null) {
+      var strength = MedAttributes.strengthIn(row, f.unit);
+      if (strength === null) return false;
+      if (f.min !== null && strength < f.min) return false;
+      if (f.max !== null && strength > f.max) return false;
+    }
+    return f.classes.every(function (c) { return row[c.column] === c.value; });
+  }
+
+  /**
+   * Does a row pass its tab's facets and filter bar? Only medication has a filter bar.
+   */
+  function passesFilterBar(type, row) {
+    return Facets.passes(row, state.facets[type]) && (type !== 'medication' || passesMedFilters(row));
+  }
+
+  /**
+   * On-demand mode: the matched rows the facets and filter bar let through,
+   * i.e. the rows DataTables shows.
+   */
+  function onDemandVisible(type) {
+    return state.onDemandMatched[type].filter(function (row) { return passesFilterBar(type, row); });
+  }
+
   function applyMedFilters() {
     var table = state.tables.medication;
     if (!table) return;
-    var routeFilter = document.getElementById('filter-pharm-class').value.toLowerCase();
-    var sourceFilter = document.getElementById('filter-source-system').value.toLowerCase();
+    _medFilters = readMedFilters();
 
     // Clear and add custom filter
     $.fn.dataTable.ext.search = $.fn.dataTable.ext.search.filter(
       function (fn) { return !fn._isMedFilter; }
     );
-    var filterFn = function (settings, rowData, dataIndex) {
-      if (settings.nTable.id !== 'table-medication') return true;
-      // Extract _origIdx from the checkbox onclick in case this is on-demand mode
-      // (where dataIndex is 0-based within matched rows, not the full data array).
-      var origIdx = dataIndex;
-      if (rowData && rowData[0]) {
-        var m = rowData[0].match(/toggleDesired\('[^']+',\s*(\d+),/);
-        if (m) origIdx = parseInt(m[1], 10);
-      }
-      var row = state.data.medication[origIdx];
-      if (!row) return true;
-      if (routeFilter && (row.route || '').toLowerCase() !== routeFilter) return false;
-      if (sourceFilter && (row._source || '').toLowerCase() !== sourceFilter) return false;
-      return true;
-    };
-    filterFn._isMedFilter = true;
-    $.fn.dataTable.ext.search.push(filterFn);
+    if (_medFilters) {
+      var filterFn = function (settings, rowData, dataIndex) {
+        if (settings.nTable.id !== 'table-medication') return true;
+        var row = rowForTableData('medication', rowData, dataIndex);
+        return !row || passesMedFilters(row);
+      };
+      filterFn._isMedFilter = true;
+      $.fn.dataTable.ext.search.push(filterFn);
+    }
 
     table.draw();
     updateStatusBar('medication');
+    updateHeaderCheckbox('medication');
+    scheduleFacetRefresh('medication');
+  }
+
+  /**
+   * Reset every medication filter to "All".
+   */
+  function clearMedFilters() {
+    MED_FILTER_IDS.forEach(function (id) {
+      var el = document.getElementById(id);
+      if (el.tagName === 'INPUT') el.value = '';
+      else if (id !== 'filter-strength-unit') el.value = '';
+    });
+    cascadeMedClassFilters(0);
+    applyMedFilters();
   }
 
   // ---- AI Expand ----
@@ -1145,13 +4050,14 @@ const DictApp = (function () {
       statusEl.className = 'ai-status success';
       statusEl.textContent = 'Generated ' + keywords.length + ' keywords. Adding as chips...';
 
-      // Add AI-generated keywords as chips
+      // Add AI-generated keywords as chips (skipping any that would be an invalid query)
       keywords.forEach(function (kw) {
         var term = kw.keyword || kw;
-        if (term && !state.keywords[type].some(function (k) { return k.toLowerCase() === term.toLowerCase(); })) {
+        if (term && !keywordError(type, term) && !state.keywords[type].some(function (k) { return k.toLowerCase() === term.toLowerCase(); })) {
           state.keywords[type].push(term);
         }
       });
+      state.onlyMatchedBy[type] = '';
       renderChips(type);
       applyKeywordFilter(type);
 
@@ -1167,7 +4073,7 @@ const DictApp = (function () {
     var allCols = new Set();
     state.data[type].forEach(function (row) {
       Object.keys(row).forEach(function (k) {
-        if (!k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched') {
+        if (!k.startsWith('_') && k !== 'desired' && k !== 'category' && k !== 'keyword_matched' && k !== 'mapped_from') {
           allCols.add(k);
         }
       });
@@ -1177,23 +4083,26 @@ const DictApp = (function () {
 
   // ---- CSV Download ----
   // Downloads only keyword-matched rows (NOT the full dictionary).
-  // Output includes: all data columns, desired (TRUE/FALSE), category, keyword_matched.
+  // Output includes: all data columns, desired (TRUE/FALSE), category, keyword_matched,
+  // keyword_match_count.
   // Also downloads a companion search-terms manifest CSV for reproducibility.
   function downloadCsv(type) {
     var table = state.tables[type];
     var projectName = document.getElementById('project-name').value.trim();
-    var hasFilter = state.keywords[type].length > 0;
+    var hasFilter = state.keywords[type].some(function (kw) { return !isExclusion(kw); });
 
     if (!hasFilter) {
       showToast('Add search keywords first — download only works on filtered results.');
       return;
     }
+    if (!confirmLabGaps(type, 'Download')) return;
 
     // Collect only the rows matching the current keyword filter
     var matchingData = [];
     if (isLarge(type)) {
-      // On-demand: use the pre-computed matched array (includes desired/keyword_matched)
-      matchingData = state.onDemandMatched[type];
+      // On-demand: the pre-computed matched array (includes desired/keyword_matched),
+      // less rows the filter bar hides
+      matchingData = onDemandVisible(type);
     } else if (table) {
       table.rows({ search: 'applied' }).every(function (idx) {
         var row = state.data[type][idx];
@@ -1230,17 +4139,24 @@ const DictApp = (function () {
       var dateStart = document.getElementById('date-start').value || '';
       var dateEnd   = document.getElementById('date-end').value || '';
       var systems   = state.activeSystems[type] || [];
+      var matchCounts = getMatchCounts(type);
+      var matchModes = getMatchModes(type);
+      var facetFilters = Facets.describe(state.facets[type]);
+      var systemOverrides = describeSystemOverrides(type);
 
       // Small delay so browser doesn't block the second download
       setTimeout(function () {
         CsvDownload.downloadSearchManifest({
-          keywords:      keywords,
-          type:          type,
-          matchingData:  matchingData,
-          projectName:   projectName,
-          dateStart:     dateStart,
-          dateEnd:       dateEnd,
-          activeSystems: systems
+          keywords:       keywords,
+          type:           type,
+          matchCounts:    matchCounts,
+          matchModes:     matchModes,
+          facetFilters:   facetFilters,
+          systemOverrides: systemOverrides,
+          projectName:    projectName,
+          dateStart:      dateStart,
+          dateEnd:        dateEnd,
+          activeSystems:  systems
         });
       }, 500);
     }
@@ -1279,17 +4195,18 @@ const DictApp = (function () {
     }
 
     var table = state.tables[type];
-    var hasFilter = state.keywords[type].length > 0;
+    var hasFilter = state.keywords[type].some(function (kw) { return !isExclusion(kw); });
 
     if (!hasFilter) {
       showToast('Add search keywords before pushing — this prevents accidentally pushing the entire dictionary.');
       return;
     }
+    if (!confirmLabGaps(type, 'Send to CRDW')) return;
 
     // Collect matching rows
     var matchingData = [];
     if (isLarge(type)) {
-      matchingData = state.onDemandMatched[type];
+      matchingData = onDemandVisible(type);
     } else if (table) {
       table.rows({ search: 'applied' }).every(function (idx) {
         var row = state.data[type][idx];
@@ -1323,7 +4240,7 @@ const DictApp = (function () {
     } else {
       Object.keys(bySource).forEach(function (source) {
         var rows = bySource[source];
-        var csv = GitHubPush.buildCsvContent(rows);
+        var csv = GitHubPush.buildCsvContent(rows, type, source);
         var fname = CsvDownload.getDownloadFilename(type, source, projectName);
         filesToPush.push({ path: basePath + '/' + fname, content: csv, label: fname });
       });
@@ -1335,7 +4252,13 @@ const DictApp = (function () {
     var dateEnd   = document.getElementById('date-end').value || '';
     var systems   = state.activeSystems[type] || [];
     var manifestCsv = GitHubPush.buildManifestContent(
-      keywords, type, matchingData, projectName, dateStart, dateEnd, systems
+      keywords, type, projectName, dateStart, dateEnd, systems,
+      {
+        matchCounts: getMatchCounts(type),
+        matchModes: getMatchModes(type),
+        facetFilters: Facets.describe(state.facets[type]),
+        systemOverrides: describeSystemOverrides(type)
+      }
     );
     var manifestName = projectName + '-ss-' + type + '-search-terms.csv';
     filesToPush.push({ path: basePath + '/' + manifestName, content: manifestCsv, label: manifestName });
@@ -1377,8 +4300,9 @@ const DictApp = (function () {
     if (table) {
       var visibleCount;
       if (isLarge(type)) {
-        // On-demand: visible = how many matched rows we loaded into DataTables
-        visibleCount = state.onDemandMatched[type].length;
+        // On-demand: visible = the matched rows loaded into DataTables that
+        // the filter bar doesn't hide
+        visibleCount = onDemandVisible(type).length;
       } else {
         visibleCount = table.rows({ search: 'applied' }).count();
       }
@@ -1386,6 +4310,11 @@ const DictApp = (function () {
     }
     var desiredCount = data.filter(function (r) { return r.desired; }).length;
     document.getElementById('desired-' + type).textContent = desiredCount.toLocaleString();
+    scheduleEquivalenceRefresh(type);
+    scheduleIngredientRefresh(type);
+    scheduleIcdTreeRefresh(type);
+    scheduleClassTreeRefresh(type);
+    scheduleLocationTreeRefresh(type);
   }
 
   function showLoading(visible) {
@@ -1405,6 +4334,11 @@ const DictApp = (function () {
     return div.innerHTML;
   }
 
+  // escHtml leaves quotes alone, so attribute values need them escaped too
+  function escAttr(str) {
+    return escHtml(str).replace(/"/g, '&quot;');
+  }
+
   // ---- Public API ----
   return {
     init: init,
@@ -1416,12 +4350,58 @@ const DictApp = (function () {
     addKeyword: addKeyword,
     removeKeyword: removeKeyword,
     clearKeywords: clearKeywords,
+    setSearchAllColumns: setSearchAllColumns,
+    setMatchMode: setMatchMode,
+    cycleChipMode: cycleChipMode,
+    setOnlyMatchedBy: setOnlyMatchedBy,
+    setFuzzyThreshold: setFuzzyThreshold,
+    applySuggestion: applySuggestion,
+    toggleYieldPanel: toggleYieldPanel,
+    refreshYieldPanel: refreshYieldPanel,
+    removeZeroHitKeywords: removeZeroHitKeywords,
+    toggleCrosswalkPanel: toggleCrosswalkPanel,
+    refreshCrosswalkPanel: refreshCrosswalkPanel,
+    addMappedCodes: addMappedCodes,
+    toggleIcdTreePanel: toggleIcdTreePanel,
+    setIcdTreeVocabulary: setIcdTreeVocabulary,
+    toggleIcdNode: toggleIcdNode,
+    expandCheckedIcdNodes: expandCheckedIcdNodes,
+    setIcdNodeDesired: setIcdNodeDesired,
+    toggleEquivalencePanel: toggleEquivalencePanel,
+    setEquivalenceFilter: setEquivalenceFilter,
+    selectEquivalents: selectEquivalents,
+    toggleIngredientPanel: toggleIngredientPanel,
+    showPartialIngredients: showPartialIngredients,
+    setIngredientFilter: setIngredientFilter,
+    setGroupDesired: setGroupDesired,
+    toggleClassTreePanel: toggleClassTreePanel,
+    toggleClassNode: toggleClassNode,
+    setClassNodeDesired: setClassNodeDesired,
+    toggleLocationLinksPanel: toggleLocationLinksPanel,
+    confirmLocationLink: confirmLocationLink,
+    dismissLocationLink: dismissLocationLink,
+    selectLocationLink: selectLocationLink,
+    submitLocationLinks: submitLocationLinks,
+    toggleLocationTreePanel: toggleLocationTreePanel,
+    toggleLocationNode: toggleLocationNode,
+    setLocationNodeDesired: setLocationNodeDesired,
+    setHideBedRooms: setHideBedRooms,
+    toggleFacets: toggleFacets,
+    toggleFacetValue: toggleFacetValue,
+    clearFacets: clearFacets,
+    resetSystemOverrides: resetSystemOverrides,
+    checkFacetRows: checkFacetRows,
+    clearMedFilters: clearMedFilters,
     toggleAiPanel: toggleAiPanel,
     runAiExpand: runAiExpand,
+    expandChip: expandChip,
+    expandAllChips: expandAllChips,
+    submitThesaurusSuggestions: submitThesaurusSuggestions,
     downloadCsv: downloadCsv,
     sendToCrdw: sendToCrdw,
     openSettings: openSettings,
     closeSettings: closeSettings,
+    clearDictionaryCache: clearDictionaryCache,
     saveSettings: saveSettings,
     testAiConnection: testAiConnection,
     showToast: showToast,
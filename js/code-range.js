@@ -0,0 +1,207 @@
+// ============================================================================
+// code-range.js
+// Code-aware chips for the Diagnoses and Procedures tabs
+//   Diagnoses  (icd_code):              E11, E10-E13, C50.*, O24.4*, 250-250.9, V77.1, E849*
+//   Procedures (cpt_code/billing_code): 99213, 99201-99215, 992*, J1100
+//
+// Codes are compared with the dot removed, so ordering follows the code
+// characters rather than string length ("E11.65" sorts inside E10-E13).
+// Every bound also covers its descendants: E13 in "E10-E13" includes E13.9.
+//
+// A lone code without a dot ("b12", "250", "E119", "99213") could as well be
+// a word, so it is parsed as loose: SearchEngine matches it as the code or as
+// text. A dot, a * or a range makes a chip a code only.
+//
+// A diagnosis chip can name its vocabulary ("ICD9CM:V01-V91", "ICD10CM:E11"):
+// it then matches codes of that vocabulary only, and never as text. The ICD
+// tree's chips do, since ICD-9 V codes share their shape with ICD-10's.
+// ============================================================================
+
+const CodeRange = (function () {
+
+  // ICD-10-CM categories are letter + 2 digits, apart from a handful whose
+  // third character is a letter.
+  const ICD10 = /^(?:[A-Z]\d\d|C4A|C7A|C7B|D3A|M1A|O9A|Z3A)(?:\.[0-9A-Z]{0,4})?$/;
+  const ICD9_NUMERIC = /^\d{3}(?:\.\d{0,2})?$/;
+  const ICD9_V = /^V\d\d(?:\.\d{0,2})?$/;
+  const ICD9_E = /^E(?:0[0-3]\d|[89]\d\d)(?:\.\d?)?$/;   // E000-E039 status/activity, E800-E999 causes
+  // The same codes with the dot left out ("E119" is E11.9, "25000" is 250.00)
+  const ICD10_UNDOTTED = /^(?:[A-Z]\d\d|C4A|C7A|C7B|D3A|M1A|O9A|Z3A)[0-9A-Z]{1,4}$/;
+  const ICD9_UNDOTTED = /^(?:\d{3}|V\d\d)\d{1,2}$|^E(?:0[0-3]\d|[89]\d\d)\d$/;
+  const CPT = /^\d{4}[0-9A-Z]$/;
+  const HCPCS = /^[A-Z]\d{4}$/;
+  const CPT_PREFIX = /^(?:\d{1,4}|[A-Z]\d{0,3})$/;
+  const VOCABULARY_PREFIX = /^(ICD9CM|ICD10CM)\s*:\s*(.+)$/;
+
+  // Columns holding codes, per dictionary type
+  const CODE_COLUMNS = {
+    dx: ['icd_code'],
+    procedure: ['cpt_code', 'billing_code']
+  };
+
+  const SYSTEM_LABELS = {
+    ICD10CM: 'ICD-10-CM',
+    ICD9CM: 'ICD-9-CM',
+    'ICD9CM|ICD10CM': 'ICD-9/10-CM',
+    CPT4: 'CPT/HCPCS'
+  };
+
+  /**
+   * Uppercase a code and drop dots and whitespace for comparison.
+   */
+  function normalize(code) {
+    return String(code || '').toUpperCase().replace(/[.\s]/g, '');
+  }
+
+  /**
+   * Which vocabulary a single diagnosis code belongs to, or null if it
+   * doesn't look like an ICD code. ICD-9 V codes share their shape with
+   * ICD-10 transport codes (V00-V99), so those match either vocabulary.
+   * A code is read as written first, so an undotted E849 is ICD-9's; only
+   * a code no vocabulary writes that way is read as missing its dot.
+   */
+  function icdSystem(code) {
+    return systemsMatching(code, [ICD9_NUMERIC, ICD9_V, ICD9_E], ICD10) ||
+      systemsMatching(code, [ICD9_UNDOTTED], ICD10_UNDOTTED);
+  }
+
+  function systemsMatching(code, icd9Patterns, icd10Pattern) {
+    const systems = [];
+    if (icd9Patterns.some(re => re.test(code))) systems.push('ICD9CM');
+    if (icd10Pattern.test(code)) systems.push('ICD10CM');
+    return systems.length > 0 ? systems.join('|') : null;
+  }
+
+  function procedureSystem(code) {
+    return CPT.test(code) || HCPCS.test(code) ? 'CPT4' : null;
+  }
+
+  /**
+   * Parse a chip as a code expression for this dictionary type.
+   * Accepted forms: a single code (itself and its descendants), a prefix
+   * ending in * (the ".*" form too), or an inclusive range LOW-HIGH. A
+   * single code without a dot is loose (see the header). A dx chip may
+   * start with its vocabulary (ICD9CM: / ICD10CM:), which the code must
+   * belong to; expression is then the code without it.
+   *
+   * @param {string} type - 'dx' or 'procedure' (anything else returns null)
+   * @param {string} text - Chip text
+   * @returns {{system: string, low: string, high: string, expression: string, loose?: boolean, vocabulary?: string}|null}
+   */
+  function parse(type, text) {
+    if (!CODE_COLUMNS[type]) return null;
+    const raw = String(text || '').trim().toUpperCase();
+    if (!raw) return null;
+
+    const pinned = type === 'dx' ? raw.match(VOCABULARY_PREFIX) : null;
+    if (pinned) {
+      const code = parseCode(type, pinned[2]);
+      if (!code || code.system.split('|').indexOf(pinned[1]) === -1) return null;
+      delete code.loose;
+      code.system = pinned[1];
+      code.vocabulary = pinned[1];
+      return code;
+    }
+    return parseCode(type, raw);
+  }
+
+  function parseCode(type, raw) {
+    const systemOf = type === 'dx' ? icdSystem : procedureSystem;
+
+    // Prefix: C50.*, O24.4*, 992*
+    const prefix = raw.match(/^(.+?)\.?\*$/);
+    if (prefix) {
+      const stem = prefix[1];
+      const system = type === 'dx' ? icdSystem(stem) : (CPT_PREFIX.test(stem) || procedureSystem(stem) ? 'CPT4' : null);
+      if (!system) return null;
+      return { system: system, low: normalize(stem), high: normalize(stem), expression: stem + '*' };
+    }
+
+    // Range: E10-E13, 99201-99215
+    const range = raw.match(/^([0-9A-Z.]+)\s*-\s*([0-9A-Z.]+)$/);
+    if (range) {
+      const lowSystem = systemOf(range[1]);
+      const highSystem = systemOf(range[2]);
+      if (!lowSystem || !highSystem) return null;
+      // Both ends must share a vocabulary; V codes fit either ICD version
+      const highSystems = highSystem.split('|');
+      const shared = lowSystem.split('|').filter(function (s) { return highSystems.indexOf(s) !== -1; });
+      return {
+        system: shared.join('|'),
+        low: normalize(range[1]),
+        high: normalize(range[2]),
+        expression: range[1] + '-' + range[2]
+      };
+    }
+
+    // Single code: E11.9 (with descendants); E11, B12, 99213 loose
+    const system = systemOf(raw);
+    if (!system) return null;
+    const code = { system: system, low: normalize(raw), high: normalize(raw), expression: raw };
+    if (raw.indexOf('.') === -1) code.loose = true;
+    return code;
+  }
+
+  /**
+   * Is a code inside the parsed range? Each side compares only as many
+   * characters as its bound has, which is what makes descendants count.
+   */
+  function contains(range, code) {
+    const c = normalize(code);
+    if (!c) return false;
+    return c.slice(0, range.low.length) >= range.low &&
+           c.slice(0, range.high.length) <= range.high;
+  }
+
+  /**
+   * Friendly problem with a parsed range, or null.
+   */
+  function validate(range) {
+    if (!range.system) {
+      return 'Both ends of code range ' + range.expression + ' must come from the same code system (ICD-9-CM or ICD-10-CM).';
+    }
+    if (range.low.length === range.high.length && range.low > range.high) {
+      return 'Code range ' + range.expression + ' runs backwards — put the lower code first.';
+    }
+    if (range.low.slice(0, range.high.length) > range.high) {
+      return 'Code range ' + range.expression + ' is empty — its start comes after its end.';
+    }
+    return null;
+  }
+
+  /**
+   * Build a matcher: (rowValues, row) => boolean. Only the code columns are
+   * compared; when the row has a vocabulary_id it must fit the range's system.
+   */
+  function compile(type, range) {
+    const columns = CODE_COLUMNS[type];
+    const systems = range.system.split('|');
+    return function (rowValues, row) {
+      if (type === 'dx' && row.vocabulary_id && systems.indexOf(String(row.vocabulary_id).toUpperCase()) === -1) {
+        return false;
+      }
+      return columns.some(function (col) { return contains(range, row[col]); });
+    };
+  }
+
+  /**
+   * Columns a code chip compares against for this type.
+   */
+  function getCodeColumns(type) {
+    return CODE_COLUMNS[type] || [];
+  }
+
+  function getSystemLabel(system) {
+    return SYSTEM_LABELS[system] || system;
+  }
+
+  return {
+    parse,
+    contains,
+    validate,
+    compile,
+    normalize,
+    getCodeColumns,
+    getSystemLabel
+  };
+})();
@@ -45,6 +45,14 @@ const CsvDownload = (function () {
       'location-meditech': [
         'location_mnemonic', 'location_description', 'facility_name',
         'campus_name', 'location_type', 'desired', 'category'
+      ],
+      'procedure-epic': [
+        'procedure_key', 'procedure_name', 'short_name', 'cpt_code',
+        'vocabulary_id', 'cpt_section', 'desired', 'category'
+      ],
+      'procedure-gecb': [
+        'billing_code', 'procedure_name', 'cpt_code',
+        'vocabulary_id', 'cpt_section', 'desired', 'category'
       ]
     };
 
@@ -52,6 +60,24 @@ const CsvDownload = (function () {
     return schemas[key] || schemas[type] || [];
   }
 
+  // Types exported in their per-source schema above rather than with every
+  // column of the unified dictionary file
+  const SCHEMA_EXPORT_TYPES = ['procedure'];
+
+  const RESERVED_COLUMNS = ['desired', 'category', 'keyword_matched', 'keyword_match_count', 'mapped_from'];
+
+  /**
+   * Data columns of an export, before desired / category / keyword_matched /
+   * keyword_match_count (/ mapped_from): the per-source schema for
+   * SCHEMA_EXPORT_TYPES, otherwise every column of the sample row except
+   * internal (_) fields.
+   */
+  function getDataColumns(sampleRow, type, source) {
+    const schema = SCHEMA_EXPORT_TYPES.includes(type) && source ? getDownloadSchema(type, source) : [];
+    const columns = schema.length > 0 ? schema : Object.keys(sampleRow).filter(k => !k.startsWith('_'));
+    return columns.filter(k => !RESERVED_COLUMNS.includes(k));
+  }
+
   /**
    * Get the filename for a specific download type
    */
@@ -79,8 +105,11 @@ const CsvDownload = (function () {
   /**
    * Export rows as a CSV file download.
    * Schema is built dynamically from the actual row columns so the output always
-   * matches the loaded data (unified files with source_db) regardless of source.
-   * Always includes: all original data columns, then desired, category, keyword_matched.
+   * matches the loaded data (unified files with source_db) regardless of source;
+   * procedures use their ss-procedure schema for the source instead.
+   * Always includes: all original data columns, then desired, category,
+   * keyword_matched (every matching keyword, "; "-separated) and keyword_match_count;
+   * dx rows also get mapped_from (the codes an ICD crosswalk proposal was mapped from).
    *
    * @param {Object[]} rows        - Data rows with desired / category / keyword_matched
    * @param {string}   type        - Dictionary type
@@ -99,13 +128,12 @@ const CsvDownload = (function () {
       return null;
     }
 
-    // Build schema dynamically from the first row's keys.
-    // Internal fields (starting with _) are excluded.
-    // desired / category / keyword_matched are placed last in a fixed order.
+    // Build schema from the first row's keys (see getDataColumns).
+    // desired / category / keyword_matched / keyword_match_count (/ mapped_from) are placed last in a fixed order.
     const sampleRow = exportRows[0];
-    const reserved = new Set(['desired', 'category', 'keyword_matched']);
-    const dataCols = Object.keys(sampleRow).filter(k => !k.startsWith('_') && !reserved.has(k));
-    const schema = [...dataCols, 'desired', 'category', 'keyword_matched'];
+    const dataCols = getDataColumns(sampleRow, type, source);
+    const schema = [...dataCols, 'desired', 'category', 'keyword_matched', 'keyword_match_count'];
+    if ('mapped_from' in sampleRow) schema.push('mapped_from');
 
     // Build CSV content
     const headerLine = schema.join(',');
@@ -114,6 +142,8 @@ const CsvDownload = (function () {
         let val;
         if (col === 'desired') {
           val = row.desired ? 'TRUE' : 'FALSE';
+        } else if (col === 'keyword_match_count') {
+          val = SearchEngine.splitMatchedKeywords(row.keyword_matched).length;
         } else {
           val = row[col];
         }
@@ -154,26 +184,68 @@ const CsvDownload = (function () {
    *   keyword          - the search term as entered
    *   dictionary_type  - dx, medication, lab, or location
    *   is_wildcard      - TRUE if the keyword contained *
-   *   match_count      - how many rows this keyword matched
+   *   is_exclusion     - TRUE for a "-term" chip that removes rows from the match set
+   *   match_mode       - substring, word (whole tokens), prefix (token starts) or
+   *                      fuzzy:<threshold> (e.g. fuzzy:0.8); blank for code chips,
+   *                      except a lone undotted code also matched as text (b12)
+   *   code_system      - ICD-10-CM / ICD-9-CM / CPT/HCPCS for code chips, else blank
+   *   code_range       - the code range or prefix a code chip covers (e.g. E10-E13, C50*),
+   *                      inclusive of every descendant code; blank for text chips
+   *   match_count      - how many rows this keyword matched, counted by the same
+   *                      matcher as the table (for exclusions: how many matched
+   *                      rows it removed) — see SearchEngine.computeYield
    *   project_name     - project name from the setup bar
    *   date_start       - study date range start
    *   date_end         - study date range end
    *   active_systems   - comma-separated source systems used
+   *   system_overrides - systems included (+) or excluded (-) by hand against the
+   *                      study dates, e.g. "+meditech; -centricity" (blank when none)
+   *   facet_filters    - facet sidebar selections, e.g. "is_bed=Y; location_type=ICU|ED"
+   *                      (blank when none)
+   *   class_path       - the drug class a medication class chip selects, e.g.
+   *                      "Endocrine > Antihyperglycemics > Biguanides" (see MedClassTree);
+   *                      blank for other chips
    *   exported_at      - ISO 8601 timestamp of when the download happened
    *
    * @param {Object} opts
    * @param {string[]} opts.keywords       - array of keyword strings
    * @param {string}   opts.type           - dictionary type
-   * @param {Object[]} opts.matchingData   - the rows that were exported
+   * @param {Object}   opts.matchCounts    - keyword → match_count
+   * @param {Object}   opts.matchModes     - keyword → match mode
+   * @param {string}   opts.facetFilters   - Facets.describe() of the facet selections
+   * @param {string}   opts.systemOverrides - hand-picked systems, e.g. "+meditech"
    * @param {string}   opts.projectName    - project name
    * @param {string}   opts.dateStart      - date-start value
    * @param {string}   opts.dateEnd        - date-end value
    * @param {string[]} opts.activeSystems  - active source systems
    */
   function downloadSearchManifest(opts) {
+    var keywords    = opts.keywords || [];
+    var projectName = opts.projectName || '';
+    var type        = opts.type || '';
+
+    if (keywords.length === 0) return null;
+
+    var csvContent = buildManifestContent(opts);
+    var prefix = projectName ? projectName + '-' : '';
+    var filename = prefix + 'ss-' + type + '-search-terms.csv';
+
+    triggerDownload(csvContent, filename);
+    return { filename: filename, termCount: keywords.length };
+  }
+
+  /**
+   * The search-terms manifest as CSV text: the header and one row per keyword,
+   * as downloadSearchManifest describes (same opts). Send to CRDW pushes the
+   * same content (GitHubPush.buildManifestContent).
+   */
+  function buildManifestContent(opts) {
     var keywords      = opts.keywords || [];
     var type          = opts.type || '';
-    var matchingData  = opts.matchingData || [];
+    var matchCounts   = opts.matchCounts || {};
+    var matchModes    = opts.matchModes || {};
+    var facetFilters  = opts.facetFilters || '';
+    var systemOverrides = opts.systemOverrides || '';
     var projectName   = opts.projectName || '';
     var dateStart     = opts.dateStart || '';
     var dateEnd       = opts.dateEnd || '';
@@ -181,42 +253,34 @@ const CsvDownload = (function () {
     var exportedAt    = new Date().toISOString();
     var systemsStr    = activeSystems.join('; ');
 
-    if (keywords.length === 0) return null;
-
-    // Count how many rows each keyword matched
-    function countMatches(kw) {
-      var core = kw.toLowerCase().replace(/^\*+|\*+$/g, '');
-      if (!core) return 0;
-      return matchingData.filter(function (row) {
-        return Object.values(row).some(function (v) {
-          return (v || '').toString().toLowerCase().indexOf(core) !== -1;
-        });
-      }).length;
-    }
-
-    var header = 'keyword,dictionary_type,is_wildcard,match_count,project_name,date_start,date_end,active_systems,exported_at';
+    var header = 'keyword,dictionary_type,is_wildcard,is_exclusion,match_mode,code_system,code_range,match_count,project_name,date_start,date_end,active_systems,system_overrides,facet_filters,class_path,exported_at';
     var lines = keywords.map(function (kw) {
+      var term    = SearchEngine.parseKeyword(kw);
       var isWild  = kw.indexOf('*') !== -1 ? 'TRUE' : 'FALSE';
-      var matches = countMatches(kw);
+      var range   = CodeRange.parse(type, term.text);
+      var mode    = matchModes[kw] || 'substring';
+      var matches = matchCounts[kw] || 0;
       return [
         csvQuote(kw),
         csvQuote(type),
         isWild,
+        term.exclude ? 'TRUE' : 'FALSE',
+        range && !range.loose ? '' : mode,
+        csvQuote(range ? CodeRange.getSystemLabel(range.system) : ''),
+        csvQuote(range ? range.expression : ''),
         matches,
         csvQuote(projectName),
         csvQuote(dateStart),
         csvQuote(dateEnd),
         csvQuote(systemsStr),
+        csvQuote(systemOverrides),
+        csvQuote(facetFilters),
+        csvQuote(type === 'medication' ? MedClassTree.classPathOf(kw) : ''),
         csvQuote(exportedAt)
       ].join(',');
     });
 
-    var csvContent = [header].concat(lines).join('\n');
-    var prefix = projectName ? projectName + '-' : '';
-    var filename = prefix + 'ss-' + type + '-search-terms.csv';
-
-    triggerDownload(csvContent, filename);
-    return { filename: filename, termCount: keywords.length };
+    return [header].concat(lines).join('\n');
   }
 
   /**
@@ -246,7 +310,9 @@ const CsvDownload = (function () {
     download,
     downloadAll,
     downloadSearchManifest,
+    buildManifestContent,
     getDownloadSchema,
+    getDataColumns,
     getDownloadFilename
   };
 })();
@@ -1,10 +1,8 @@
 // ============================================================================
 // data-embedded.js
-// Auto-generated from data/*.csv (excludes dx — too large, fetched via HTTP)
-// Generated: 2026-02-24T12:36:07.971559
-//
-// On GitHub Pages / HTTP: all CSVs are fetched directly (including dx)
-// On file://: small CSVs load from here; dx requires HTTP server
+// Auto-generated from data/*.csv by rebuild-embedded.R
+// Generated: 2026-10-18 23:10:39
+// Re-run:  Rscript rebuild-embedded.R
 // ============================================================================
 
 const EMBEDDED_DATA = {
@@ -15,5 +13,10 @@ const EMBEDDED_DATA = {
   "dictionary-location-meditech.csv": [{"location_mnemonic":"6E","location_description":"6TH FLOOR EAST","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Medical/Surgical"},{"location_mnemonic":"7W","location_description":"7TH FLOOR WEST","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Medical/Surgical"},{"location_mnemonic":"ICU","location_description":"INTENSIVE CARE UNIT","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Critical Care"},{"location_mnemonic":"CCU","location_description":"CORONARY CARE UNIT","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Critical Care"},{"location_mnemonic":"ED","location_description":"EMERGENCY DEPARTMENT","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Emergency","location_subtype":"Emergency"},{"location_mnemonic":"OR","location_description":"OPERATING ROOM","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Surgical","location_subtype":"OR"},{"location_mnemonic":"PACU","location_description":"POST ANESTHESIA CARE","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Surgical","location_subtype":"Recovery"},{"location_mnemonic":"NICU","location_description":"NEONATAL ICU","facility_name":"CHILDREN'S HOSPITAL","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Neonatal"},{"location_mnemonic":"PICU","location_description":"PEDIATRIC ICU","facility_name":"CHILDREN'S HOSPITAL","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Pediatric"},{"location_mnemonic":"4N","location_description":"4TH FLOOR NORTH","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Medical/Surgical"},{"location_mnemonic":"5S","location_description":"5TH FLOOR SOUTH","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Medical/Surgical"},{"location_mnemonic":"L&D","location_description":"LABOR AND DELIVERY","facility_name":"OU MEDICAL CENTER","campus_name":"OKLAHOMA CITY","location_type":"Inpatient","location_subtype":"Obstetrics"}],
   "dictionary-medication-centricity.csv": [{"description":"METFORMIN HCL 500 MG ORAL TABLET","genericmed":"METFORMIN HCL","ndc_11":"00093104801","gpi":"27200020000310"},{"description":"METFORMIN HCL 1000 MG ORAL TABLET","genericmed":"METFORMIN HCL","ndc_11":"00093104901","gpi":"27200020000320"},{"description":"GLIPIZIDE 5 MG ORAL TABLET","genericmed":"GLIPIZIDE","ndc_11":"00093031601","gpi":"27200040000310"},{"description":"GLIPIZIDE 10 MG ORAL TABLET","genericmed":"GLIPIZIDE","ndc_11":"00093031701","gpi":"27200040000320"},{"description":"INSULIN LISPRO 100 UNITS/ML INJ","genericmed":"INSULIN LISPRO","ndc_11":"00002751001","gpi":"27100030001020"},{"description":"LISINOPRIL 10 MG ORAL TABLET","genericmed":"LISINOPRIL","ndc_11":"00093110501","gpi":"36200010000310"},{"description":"LISINOPRIL 20 MG ORAL TABLET","genericmed":"LISINOPRIL","ndc_11":"00093110601","gpi":"36200010000320"},{"description":"LOSARTAN POTASSIUM 25 MG ORAL TABLET","genericmed":"LOSARTAN POTASSIUM","ndc_11":"00093736501","gpi":"36400020000310"},{"description":"LOSARTAN POTASSIUM 50 MG ORAL TABLET","genericmed":"LOSARTAN POTASSIUM","ndc_11":"00093736601","gpi":"36400020000320"},{"description":"AMLODIPINE BESYLATE 5 MG ORAL TABLET","genericmed":"AMLODIPINE BESYLATE","ndc_11":"00093317101","gpi":"34200020000310"},{"description":"ATORVASTATIN CALCIUM 20 MG ORAL TABLET","genericmed":"ATORVASTATIN CALCIUM","ndc_11":"00093505701","gpi":"39400020000310"},{"description":"ATORVASTATIN CALCIUM 40 MG ORAL TABLET","genericmed":"ATORVASTATIN CALCIUM","ndc_11":"00093505801","gpi":"39400020000320"}],
   "dictionary-medication-epic.csv": [{"medication_key":"1001","name":"METFORMIN 500 MG TABLET","generic_name":"metformin","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Biguanides","therapeutic_class":"Endocrine"},{"medication_key":"1002","name":"METFORMIN 1000 MG TABLET","generic_name":"metformin","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Biguanides","therapeutic_class":"Endocrine"},{"medication_key":"1003","name":"METFORMIN ER 500 MG TABLET","generic_name":"metformin","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Biguanides","therapeutic_class":"Endocrine"},{"medication_key":"1004","name":"METFORMIN ER 750 MG TABLET","generic_name":"metformin","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Biguanides","therapeutic_class":"Endocrine"},{"medication_key":"1010","name":"GLIPIZIDE 5 MG TABLET","generic_name":"glipizide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Sulfonylureas","therapeutic_class":"Endocrine"},{"medication_key":"1011","name":"GLIPIZIDE 10 MG TABLET","generic_name":"glipizide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Sulfonylureas","therapeutic_class":"Endocrine"},{"medication_key":"1012","name":"GLIPIZIDE ER 5 MG TABLET","generic_name":"glipizide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Sulfonylureas","therapeutic_class":"Endocrine"},{"medication_key":"1020","name":"INSULIN LISPRO 100 UNITS/ML INJ","generic_name":"insulin lispro","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Insulins","therapeutic_class":"Endocrine"},{"medication_key":"1021","name":"INSULIN GLARGINE 100 UNITS/ML INJ","generic_name":"insulin glargine","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Insulins","therapeutic_class":"Endocrine"},{"medication_key":"1022","name":"INSULIN ASPART 100 UNITS/ML INJ","generic_name":"insulin aspart","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Insulins","therapeutic_class":"Endocrine"},{"medication_key":"1023","name":"INSULIN NPH 100 UNITS/ML INJ","generic_name":"insulin isophane","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"Insulins","therapeutic_class":"Endocrine"},{"medication_key":"1030","name":"SEMAGLUTIDE 0.25 MG/0.5 ML INJ (OZEMPIC)","generic_name":"semaglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1031","name":"SEMAGLUTIDE 1 MG/0.5 ML INJ (OZEMPIC)","generic_name":"semaglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1032","name":"SEMAGLUTIDE 3 MG TABLET (RYBELSUS)","generic_name":"semaglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1033","name":"SEMAGLUTIDE 2.4 MG/0.75 ML INJ (WEGOVY)","generic_name":"semaglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1034","name":"LIRAGLUTIDE 1.8 MG/3 ML INJ (VICTOZA)","generic_name":"liraglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1035","name":"DULAGLUTIDE 1.5 MG/0.5 ML INJ (TRULICITY)","generic_name":"dulaglutide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1036","name":"EXENATIDE 2 MG INJ (BYDUREON)","generic_name":"exenatide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1037","name":"TIRZEPATIDE 5 MG/0.5 ML INJ (MOUNJARO)","generic_name":"tirzepatide","pharmaceutical_class":"Antihyperglycemics","pharmaceutical_subclass":"GLP-1 Receptor Agonists","therapeutic_class":"Endocrine"},{"medication_key":"1040","name":"LISINOPRIL 10 MG TABLET","generic_name":"lisinopril","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"ACE Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1041","name":"LISINOPRIL 20 MG TABLET","generic_name":"lisinopril","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"ACE Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1042","name":"ENALAPRIL 5 MG TABLET","generic_name":"enalapril","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"ACE Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1043","name":"ENALAPRIL 10 MG TABLET","generic_name":"enalapril","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"ACE Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1044","name":"RAMIPRIL 5 MG CAPSULE","generic_name":"ramipril","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"ACE Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1050","name":"LOSARTAN 25 MG TABLET","generic_name":"losartan","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Angiotensin II Receptor Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1051","name":"LOSARTAN 50 MG TABLET","generic_name":"losartan","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Angiotensin II Receptor Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1052","name":"VALSARTAN 80 MG TABLET","generic_name":"valsartan","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Angiotensin II Receptor Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1053","name":"OLMESARTAN 20 MG TABLET","generic_name":"olmesartan","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Angiotensin II Receptor Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1060","name":"AMLODIPINE 5 MG TABLET","generic_name":"amlodipine","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Calcium Channel Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1061","name":"AMLODIPINE 10 MG TABLET","generic_name":"amlodipine","pharmaceutical_class":"Antihypertensives","pharmaceutical_subclass":"Calcium Channel Blockers","therapeutic_class":"Cardiovascular"},{"medication_key":"1070","name":"ATORVASTATIN 20 MG TABLET","generic_name":"atorvastatin","pharmaceutical_class":"Antihyperlipidemics","pharmaceutical_subclass":"HMG-CoA Reductase Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1071","name":"ATORVASTATIN 40 MG TABLET","generic_name":"atorvastatin","pharmaceutical_class":"Antihyperlipidemics","pharmaceutical_subclass":"HMG-CoA Reductase Inhibitors","therapeutic_class":"Cardiovascular"},{"medication_key":"1072","name":"ROSUVASTATIN 10 MG TABLET","generic_name":"rosuvastatin","pharmaceutical_class":"Antihyperlipidemics","pharmaceutical_subclass":"HMG-CoA Reductase Inhibitors","therapeutic_class":"Cardiovascular"}],
-  "dictionary-medication-meditech.csv": [{"medication_mnemonic":"MET500","meditech_source":"HCGH","medication_name":"METFORMIN HCL 500MG TAB","generic":"metformin","ndc":"00093-1048-01"},{"medication_mnemonic":"MET1000","meditech_source":"HCGH","medication_name":"METFORMIN HCL 1000MG TAB","generic":"metformin","ndc":"00093-1049-01"},{"medication_mnemonic":"GLIP5","meditech_source":"HCGH","medication_name":"GLIPIZIDE 5MG TAB","generic":"glipizide","ndc":"00093-0316-01"},{"medication_mnemonic":"GLIP10","meditech_source":"HCGH","medication_name":"GLIPIZIDE 10MG TAB","generic":"glipizide","ndc":"00093-0317-01"},{"medication_mnemonic":"INS-LIS","meditech_source":"HCGH","medication_name":"INSULIN LISPRO 100U/ML INJ","generic":"insulin lispro","ndc":"00002-7510-01"},{"medication_mnemonic":"INS-GLAR","meditech_source":"HCGH","medication_name":"INSULIN GLARGINE 100U/ML INJ","generic":"insulin glargine","ndc":"00088-2220-33"},{"medication_mnemonic":"INS-ASP","meditech_source":"HCGH","medication_name":"INSULIN ASPART 100U/ML INJ","generic":"insulin aspart","ndc":"00169-3303-12"},{"medication_mnemonic":"LIS10","meditech_source":"HCGH","medication_name":"LISINOPRIL 10MG TAB","generic":"lisinopril","ndc":"00093-1105-01"},{"medication_mnemonic":"LIS20","meditech_source":"HCGH","medication_name":"LISINOPRIL 20MG TAB","generic":"lisinopril","ndc":"00093-1106-01"},{"medication_mnemonic":"LOS25","meditech_source":"HCGH","medication_name":"LOSARTAN POTASSIUM 25MG TAB","generic":"losartan","ndc":"00093-7365-01"},{"medication_mnemonic":"LOS50","meditech_source":"HCGH","medication_name":"LOSARTAN POTASSIUM 50MG TAB","generic":"losartan","ndc":"00093-7366-01"},{"medication_mnemonic":"AML5","meditech_source":"HCGH","medication_name":"AMLODIPINE BESYLATE 5MG TAB","generic":"amlodipine","ndc":"00093-3171-01"},{"medication_mnemonic":"AML10","meditech_source":"HCGH","medication_name":"AMLODIPINE BESYLATE 10MG TAB","generic":"amlodipine","ndc":"00093-3172-01"},{"medication_mnemonic":"ATOR20","meditech_source":"HCGH","medication_name":"ATORVASTATIN CALCIUM 20MG TAB","generic":"atorvastatin","ndc":"00093-5057-01"},{"medication_mnemonic":"ATOR40","meditech_source":"HCGH","medication_name":"ATORVASTATIN CALCIUM 40MG TAB","generic":"atorvastatin","ndc":"00093-5058-01"},{"medication_mnemonic":"ENAL5","meditech_source":"HCGH","medication_name":"ENALAPRIL MALEATE 5MG TAB","generic":"enalapril","ndc":"00093-0862-01"},{"medication_mnemonic":"ENAL10","meditech_source":"HCGH","medication_name":"ENALAPRIL MALEATE 10MG TAB","generic":"enalapril","ndc":"00093-0863-01"}]
+  "dictionary-medication-meditech.csv": [{"medication_mnemonic":"MET500","meditech_source":"HCGH","medication_name":"METFORMIN HCL 500MG TAB","generic":"metformin","ndc":"00093-1048-01"},{"medication_mnemonic":"MET1000","meditech_source":"HCGH","medication_name":"METFORMIN HCL 1000MG TAB","generic":"metformin","ndc":"00093-1049-01"},{"medication_mnemonic":"GLIP5","meditech_source":"HCGH","medication_name":"GLIPIZIDE 5MG TAB","generic":"glipizide","ndc":"00093-0316-01"},{"medication_mnemonic":"GLIP10","meditech_source":"HCGH","medication_name":"GLIPIZIDE 10MG TAB","generic":"glipizide","ndc":"00093-0317-01"},{"medication_mnemonic":"INS-LIS","meditech_source":"HCGH","medication_name":"INSULIN LISPRO 100U/ML INJ","generic":"insulin lispro","ndc":"00002-7510-01"},{"medication_mnemonic":"INS-GLAR","meditech_source":"HCGH","medication_name":"INSULIN GLARGINE 100U/ML INJ","generic":"insulin glargine","ndc":"00088-2220-33"},{"medication_mnemonic":"INS-ASP","meditech_source":"HCGH","medication_name":"INSULIN ASPART 100U/ML INJ","generic":"insulin aspart","ndc":"00169-3303-12"},{"medication_mnemonic":"LIS10","meditech_source":"HCGH","medication_name":"LISINOPRIL 10MG TAB","generic":"lisinopril","ndc":"00093-1105-01"},{"medication_mnemonic":"LIS20","meditech_source":"HCGH","medication_name":"LISINOPRIL 20MG TAB","generic":"lisinopril","ndc":"00093-1106-01"},{"medication_mnemonic":"LOS25","meditech_source":"HCGH","medication_name":"LOSARTAN POTASSIUM 25MG TAB","generic":"losartan","ndc":"00093-7365-01"},{"medication_mnemonic":"LOS50","meditech_source":"HCGH","medication_name":"LOSARTAN POTASSIUM 50MG TAB","generic":"losartan","ndc":"00093-7366-01"},{"medication_mnemonic":"AML5","meditech_source":"HCGH","medication_name":"AMLODIPINE BESYLATE 5MG TAB","generic":"amlodipine","ndc":"00093-3171-01"},{"medication_mnemonic":"AML10","meditech_source":"HCGH","medication_name":"AMLODIPINE BESYLATE 10MG TAB","generic":"amlodipine","ndc":"00093-3172-01"},{"medication_mnemonic":"ATOR20","meditech_source":"HCGH","medication_name":"ATORVASTATIN CALCIUM 20MG TAB","generic":"atorvastatin","ndc":"00093-5057-01"},{"medication_mnemonic":"ATOR40","meditech_source":"HCGH","medication_name":"ATORVASTATIN CALCIUM 40MG TAB","generic":"atorvastatin","ndc":"00093-5058-01"},{"medication_mnemonic":"ENAL5","meditech_source":"HCGH","medication_name":"ENALAPRIL MALEATE 5MG TAB","generic":"enalapril","ndc":"00093-0862-01"},{"medication_mnemonic":"ENAL10","meditech_source":"HCGH","medication_name":"ENALAPRIL MALEATE 10MG TAB","generic":"enalapril","ndc":"00093-0863-01"}],
+  "icd-chapters.csv": [{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"A00","last_code":"B99","title":"Certain infectious and parasitic diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A00","last_code":"A09","title":"Intestinal infectious diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A15","last_code":"A19","title":"Tuberculosis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A20","last_code":"A28","title":"Certain zoonotic bacterial diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A30","last_code":"A49","title":"Other bacterial diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A50","last_code":"A64","title":"Infections with a predominantly sexual mode of transmission"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A65","last_code":"A69","title":"Other spirochetal diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A70","last_code":"A74","title":"Other diseases caused by chlamydiae"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A75","last_code":"A79","title":"Rickettsioses"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A80","last_code":"A89","title":"Viral and prion infections of the central nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"A90","last_code":"A99","title":"Arthropod-borne viral fevers and viral hemorrhagic fevers"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B00","last_code":"B09","title":"Viral infections characterized by skin and mucous membrane lesions"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B10","last_code":"B10","title":"Other human herpesviruses"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B15","last_code":"B19","title":"Viral hepatitis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B20","last_code":"B20","title":"Human immunodeficiency virus [HIV] disease"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B25","last_code":"B34","title":"Other viral diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B35","last_code":"B49","title":"Mycoses"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B50","last_code":"B64","title":"Protozoal diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B65","last_code":"B83","title":"Helminthiases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B85","last_code":"B89","title":"Pediculosis, acariasis and other infestations"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B90","last_code":"B94","title":"Sequelae of infectious and parasitic diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B95","last_code":"B97","title":"Bacterial and viral infectious agents"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"B99","last_code":"B99","title":"Other infectious diseases"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"C00","last_code":"D49","title":"Neoplasms"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C00","last_code":"C14","title":"Malignant neoplasms of lip, oral cavity and pharynx"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C15","last_code":"C26","title":"Malignant neoplasms of digestive organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C30","last_code":"C39","title":"Malignant neoplasms of respiratory and intrathoracic organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C40","last_code":"C41","title":"Malignant neoplasms of bone and articular cartilage"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C43","last_code":"C44","title":"Melanoma and other malignant neoplasms of skin"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C45","last_code":"C49","title":"Malignant neoplasms of mesothelial and soft tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C50","last_code":"C50","title":"Malignant neoplasms of breast"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C51","last_code":"C58","title":"Malignant neoplasms of female genital organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C60","last_code":"C63","title":"Malignant neoplasms of male genital organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C64","last_code":"C68","title":"Malignant neoplasms of urinary tract"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C69","last_code":"C72","title":"Malignant neoplasms of eye, brain and other parts of central nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C73","last_code":"C75","title":"Malignant neoplasms of thyroid and other endocrine glands"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C7A","last_code":"C7A","title":"Malignant neuroendocrine tumors"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C7B","last_code":"C7B","title":"Secondary neuroendocrine tumors"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C76","last_code":"C80","title":"Malignant neoplasms of ill-defined, other secondary and unspecified sites"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"C81","last_code":"C96","title":"Malignant neoplasms of lymphoid, hematopoietic and related tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D00","last_code":"D09","title":"In situ neoplasms"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D10","last_code":"D36","title":"Benign neoplasms, except benign neuroendocrine tumors"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D3A","last_code":"D3A","title":"Benign neuroendocrine tumors"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D37","last_code":"D48","title":"Neoplasms of uncertain behavior, polycythemia vera and myelodysplastic syndromes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D49","last_code":"D49","title":"Neoplasms of unspecified behavior"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"D50","last_code":"D89","title":"Diseases of the blood and blood-forming organs and certain disorders involving the immune mechanism"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D50","last_code":"D53","title":"Nutritional anemias"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D55","last_code":"D59","title":"Hemolytic anemias"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D60","last_code":"D64","title":"Aplastic and other anemias and other bone marrow failure syndromes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D65","last_code":"D69","title":"Coagulation defects, purpura and other hemorrhagic conditions"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D70","last_code":"D77","title":"Other disorders of blood and blood-forming organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D78","last_code":"D78","title":"Intraoperative and postprocedural complications of the spleen"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"D80","last_code":"D89","title":"Certain disorders involving the immune mechanism"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"E00","last_code":"E89","title":"Endocrine, nutritional and metabolic diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E00","last_code":"E07","title":"Disorders of thyroid gland"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E08","last_code":"E13","title":"Diabetes mellitus"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E15","last_code":"E16","title":"Other disorders of glucose regulation and pancreatic internal secretion"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E20","last_code":"E35","title":"Disorders of other endocrine glands"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E36","last_code":"E36","title":"Intraoperative complications of endocrine system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E40","last_code":"E46","title":"Malnutrition"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E50","last_code":"E64","title":"Other nutritional deficiencies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E65","last_code":"E68","title":"Overweight, obesity and other hyperalimentation"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E70","last_code":"E88","title":"Metabolic disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"E89","last_code":"E89","title":"Postprocedural endocrine and metabolic complications and disorders, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"F01","last_code":"F99","title":"Mental, behavioral and neurodevelopmental disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F01","last_code":"F09","title":"Mental disorders due to known physiological conditions"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F10","last_code":"F19","title":"Mental and behavioral disorders due to psychoactive substance use"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F20","last_code":"F29","title":"Schizophrenia, schizotypal, delusional, and other non-mood psychotic disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F30","last_code":"F39","title":"Mood [affective] disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F40","last_code":"F48","title":"Anxiety, dissociative, stress-related, somatoform and other nonpsychotic mental disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F50","last_code":"F59","title":"Behavioral syndromes associated with physiological disturbances and physical factors"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F60","last_code":"F69","title":"Disorders of adult personality and behavior"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F70","last_code":"F79","title":"Intellectual disabilities"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F80","last_code":"F89","title":"Pervasive and specific developmental disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F90","last_code":"F98","title":"Behavioral and emotional disorders with onset usually occurring in childhood and adolescence"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"F99","last_code":"F99","title":"Unspecified mental disorder"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"G00","last_code":"G99","title":"Diseases of the nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G00","last_code":"G09","title":"Inflammatory diseases of the central nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G10","last_code":"G14","title":"Systemic atrophies primarily affecting the central nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G20","last_code":"G26","title":"Extrapyramidal and movement disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G30","last_code":"G32","title":"Other degenerative diseases of the nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G35","last_code":"G37","title":"Demyelinating diseases of the central nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G40","last_code":"G47","title":"Episodic and paroxysmal disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G50","last_code":"G59","title":"Nerve, nerve root and plexus disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G60","last_code":"G65","title":"Polyneuropathies and other disorders of the peripheral nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G70","last_code":"G73","title":"Diseases of myoneural junction and muscle"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G80","last_code":"G83","title":"Cerebral palsy and other paralytic syndromes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"G89","last_code":"G99","title":"Other disorders of the nervous system"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"H00","last_code":"H59","title":"Diseases of the eye and adnexa"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H00","last_code":"H05","title":"Disorders of eyelid, lacrimal system and orbit"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H10","last_code":"H11","title":"Disorders of conjunctiva"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H15","last_code":"H22","title":"Disorders of sclera, cornea, iris, and ciliary body"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H25","last_code":"H28","title":"Disorders of lens"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H30","last_code":"H36","title":"Disorders of choroid and retina"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H40","last_code":"H42","title":"Glaucoma"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H43","last_code":"H44","title":"Disorders of vitreous body and globe"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H46","last_code":"H47","title":"Disorders of optic nerve and visual pathways"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H49","last_code":"H52","title":"Disorders of ocular muscles, binocular movement, accommodation and refraction"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H53","last_code":"H54","title":"Visual disturbances and blindness"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H55","last_code":"H57","title":"Other disorders of eye and adnexa"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H59","last_code":"H59","title":"Intraoperative and postprocedural complications and disorders of eye and adnexa, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"H60","last_code":"H95","title":"Diseases of the ear and mastoid process"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H60","last_code":"H62","title":"Diseases of external ear"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H65","last_code":"H75","title":"Diseases of middle ear and mastoid"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H80","last_code":"H83","title":"Diseases of inner ear"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H90","last_code":"H94","title":"Other disorders of ear"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"H95","last_code":"H95","title":"Intraoperative and postprocedural complications and disorders of ear and mastoid process, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"I00","last_code":"I99","title":"Diseases of the circulatory system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I00","last_code":"I02","title":"Acute rheumatic fever"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I05","last_code":"I09","title":"Chronic rheumatic heart diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I10","last_code":"I1A","title":"Hypertensive diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I20","last_code":"I25","title":"Ischemic heart diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I26","last_code":"I28","title":"Pulmonary heart disease and diseases of pulmonary circulation"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I30","last_code":"I5A","title":"Other forms of heart disease"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I60","last_code":"I69","title":"Cerebrovascular diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I70","last_code":"I79","title":"Diseases of arteries, arterioles and capillaries"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I80","last_code":"I89","title":"Diseases of veins, lymphatic vessels and lymph nodes, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"I95","last_code":"I99","title":"Other and unspecified disorders of the circulatory system"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"J00","last_code":"J99","title":"Diseases of the respiratory system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J00","last_code":"J06","title":"Acute upper respiratory infections"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J09","last_code":"J18","title":"Influenza and pneumonia"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J20","last_code":"J22","title":"Other acute lower respiratory infections"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J30","last_code":"J39","title":"Other diseases of upper respiratory tract"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J40","last_code":"J47","title":"Chronic lower respiratory diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J60","last_code":"J70","title":"Lung diseases due to external agents"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J80","last_code":"J84","title":"Other respiratory diseases principally affecting the interstitium"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J85","last_code":"J86","title":"Suppurative and necrotic conditions of the lower respiratory tract"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J90","last_code":"J94","title":"Other diseases of the pleura"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J95","last_code":"J95","title":"Intraoperative and postprocedural complications and disorders of respiratory system, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"J96","last_code":"J99","title":"Other diseases of the respiratory system"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"K00","last_code":"K95","title":"Diseases of the digestive system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K00","last_code":"K14","title":"Diseases of oral cavity and salivary glands"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K20","last_code":"K31","title":"Diseases of esophagus, stomach and duodenum"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K35","last_code":"K38","title":"Diseases of appendix"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K40","last_code":"K46","title":"Hernia"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K50","last_code":"K52","title":"Noninfective enteritis and colitis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K55","last_code":"K64","title":"Other diseases of intestines"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K65","last_code":"K68","title":"Diseases of peritoneum and retroperitoneum"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K70","last_code":"K77","title":"Diseases of liver"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K80","last_code":"K87","title":"Disorders of gallbladder, biliary tract and pancreas"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"K90","last_code":"K95","title":"Other diseases of the digestive system"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"L00","last_code":"L99","title":"Diseases of the skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L00","last_code":"L08","title":"Infections of the skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L10","last_code":"L14","title":"Bullous disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L20","last_code":"L30","title":"Dermatitis and eczema"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L40","last_code":"L45","title":"Papulosquamous disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L49","last_code":"L54","title":"Urticaria and erythema"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L55","last_code":"L59","title":"Radiation-related disorders of the skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L60","last_code":"L75","title":"Disorders of skin appendages"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L76","last_code":"L76","title":"Intraoperative and postprocedural complications of skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"L80","last_code":"L99","title":"Other disorders of the skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"M00","last_code":"M99","title":"Diseases of the musculoskeletal system and connective tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M00","last_code":"M02","title":"Infectious arthropathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M04","last_code":"M04","title":"Autoinflammatory syndromes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M05","last_code":"M14","title":"Inflammatory polyarthropathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M15","last_code":"M19","title":"Osteoarthritis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M20","last_code":"M25","title":"Other joint disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M26","last_code":"M27","title":"Dentofacial anomalies [including malocclusion] and other disorders of jaw"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M30","last_code":"M36","title":"Systemic connective tissue disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M40","last_code":"M43","title":"Deforming dorsopathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M45","last_code":"M49","title":"Spondylopathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M50","last_code":"M54","title":"Other dorsopathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M60","last_code":"M63","title":"Disorders of muscles"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M65","last_code":"M67","title":"Disorders of synovium and tendon"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M70","last_code":"M79","title":"Other soft tissue disorders"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M80","last_code":"M85","title":"Disorders of bone density and structure"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M86","last_code":"M90","title":"Other osteopathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M91","last_code":"M94","title":"Chondropathies"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M95","last_code":"M95","title":"Other disorders of the musculoskeletal system and connective tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M96","last_code":"M96","title":"Intraoperative and postprocedural complications and disorders of musculoskeletal system, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M97","last_code":"M97","title":"Periprosthetic fracture around internal prosthetic joint"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"M99","last_code":"M99","title":"Biomechanical lesions, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"N00","last_code":"N99","title":"Diseases of the genitourinary system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N00","last_code":"N08","title":"Glomerular diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N10","last_code":"N16","title":"Renal tubulo-interstitial diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N17","last_code":"N19","title":"Acute kidney failure and chronic kidney disease"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N20","last_code":"N23","title":"Urolithiasis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N25","last_code":"N29","title":"Other disorders of kidney and ureter"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N30","last_code":"N39","title":"Other diseases of the urinary system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N40","last_code":"N53","title":"Diseases of male genital organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N60","last_code":"N65","title":"Disorders of breast"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N70","last_code":"N77","title":"Inflammatory diseases of female pelvic organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N80","last_code":"N98","title":"Noninflammatory disorders of female genital tract"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"N99","last_code":"N99","title":"Intraoperative and postprocedural complications and disorders of genitourinary system, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"O00","last_code":"O9A","title":"Pregnancy, childbirth and the puerperium"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O00","last_code":"O08","title":"Pregnancy with abortive outcome"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O09","last_code":"O09","title":"Supervision of high risk pregnancy"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O10","last_code":"O16","title":"Edema, proteinuria and hypertensive disorders in pregnancy, childbirth and the puerperium"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O20","last_code":"O29","title":"Other maternal disorders predominantly related to pregnancy"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O30","last_code":"O48","title":"Maternal care related to the fetus and amniotic cavity and possible delivery problems"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O60","last_code":"O77","title":"Complications of labor and delivery"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O80","last_code":"O82","title":"Encounter for delivery"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O85","last_code":"O92","title":"Complications predominantly related to the puerperium"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"O94","last_code":"O9A","title":"Other obstetric conditions, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"P00","last_code":"P96","title":"Certain conditions originating in the perinatal period"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P00","last_code":"P04","title":"Newborn affected by maternal factors and by complications of pregnancy, labor, and delivery"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P05","last_code":"P08","title":"Disorders of newborn related to length of gestation and fetal growth"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P09","last_code":"P09","title":"Abnormal findings on neonatal screening"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P10","last_code":"P15","title":"Birth trauma"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P19","last_code":"P29","title":"Respiratory and cardiovascular disorders specific to the perinatal period"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P35","last_code":"P39","title":"Infections specific to the perinatal period"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P50","last_code":"P61","title":"Hemorrhagic and hematological disorders of newborn"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P70","last_code":"P74","title":"Transitory endocrine and metabolic disorders specific to newborn"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P76","last_code":"P78","title":"Digestive system disorders of newborn"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P80","last_code":"P83","title":"Conditions involving the integument and temperature regulation of newborn"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P84","last_code":"P84","title":"Other problems with newborn"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"P90","last_code":"P96","title":"Other disorders originating in the perinatal period"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"Q00","last_code":"Q99","title":"Congenital malformations, deformations and chromosomal abnormalities"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q00","last_code":"Q07","title":"Congenital malformations of the nervous system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q10","last_code":"Q18","title":"Congenital malformations of eye, ear, face and neck"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q20","last_code":"Q28","title":"Congenital malformations of the circulatory system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q30","last_code":"Q34","title":"Congenital malformations of the respiratory system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q35","last_code":"Q37","title":"Cleft lip and cleft palate"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q38","last_code":"Q45","title":"Other congenital malformations of the digestive system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q50","last_code":"Q56","title":"Congenital malformations of genital organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q60","last_code":"Q64","title":"Congenital malformations of the urinary system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q65","last_code":"Q79","title":"Congenital malformations and deformations of the musculoskeletal system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q80","last_code":"Q89","title":"Other congenital malformations"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Q90","last_code":"Q99","title":"Chromosomal abnormalities, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"R00","last_code":"R99","title":"Symptoms, signs and abnormal clinical and laboratory findings, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R00","last_code":"R09","title":"Symptoms and signs involving the circulatory and respiratory systems"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R10","last_code":"R19","title":"Symptoms and signs involving the digestive system and abdomen"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R20","last_code":"R23","title":"Symptoms and signs involving the skin and subcutaneous tissue"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R25","last_code":"R29","title":"Symptoms and signs involving the nervous and musculoskeletal systems"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R30","last_code":"R39","title":"Symptoms and signs involving the genitourinary system"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R40","last_code":"R46","title":"Symptoms and signs involving cognition, perception, emotional state and behavior"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R47","last_code":"R49","title":"Symptoms and signs involving speech and voice"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R50","last_code":"R69","title":"General symptoms and signs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R70","last_code":"R79","title":"Abnormal findings on examination of blood, without diagnosis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R80","last_code":"R82","title":"Abnormal findings on examination of urine, without diagnosis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R83","last_code":"R89","title":"Abnormal findings on examination of other body fluids, substances and tissues, without diagnosis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R90","last_code":"R94","title":"Abnormal findings on diagnostic imaging and in function studies, without diagnosis"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R97","last_code":"R97","title":"Abnormal tumor markers"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"R99","last_code":"R99","title":"Ill-defined and unknown cause of mortality"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"S00","last_code":"T88","title":"Injury, poisoning and certain other consequences of external causes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S00","last_code":"S09","title":"Injuries to the head"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S10","last_code":"S19","title":"Injuries to the neck"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S20","last_code":"S29","title":"Injuries to the thorax"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S30","last_code":"S39","title":"Injuries to the abdomen, lower back, lumbar spine, pelvis and external genitals"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S40","last_code":"S49","title":"Injuries to the shoulder and upper arm"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S50","last_code":"S59","title":"Injuries to the elbow and forearm"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S60","last_code":"S69","title":"Injuries to the wrist, hand and fingers"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S70","last_code":"S79","title":"Injuries to the hip and thigh"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S80","last_code":"S89","title":"Injuries to the knee and lower leg"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"S90","last_code":"S99","title":"Injuries to the ankle and foot"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T07","last_code":"T07","title":"Injuries involving multiple body regions"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T14","last_code":"T14","title":"Injury of unspecified body region"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T15","last_code":"T19","title":"Effects of foreign body entering through natural orifice"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T20","last_code":"T25","title":"Burns and corrosions of external body surface, specified by site"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T26","last_code":"T28","title":"Burns and corrosions confined to eye and internal organs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T30","last_code":"T32","title":"Burns and corrosions of multiple and unspecified body regions"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T33","last_code":"T34","title":"Frostbite"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T36","last_code":"T50","title":"Poisoning by, adverse effect of and underdosing of drugs, medicaments and biological substances"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T51","last_code":"T65","title":"Toxic effects of substances chiefly nonmedicinal as to source"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T66","last_code":"T78","title":"Other and unspecified effects of external causes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T79","last_code":"T79","title":"Certain early complications of trauma"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"T80","last_code":"T88","title":"Complications of surgical and medical care, not elsewhere classified"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"V00","last_code":"Y99","title":"External causes of morbidity"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"V00","last_code":"X58","title":"Accidents"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"X71","last_code":"X83","title":"Intentional self-harm"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"X92","last_code":"Y09","title":"Assault"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Y21","last_code":"Y33","title":"Event of undetermined intent"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Y35","last_code":"Y38","title":"Legal intervention, operations of war, military operations, and terrorism"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Y62","last_code":"Y84","title":"Complications of medical and surgical care"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Y90","last_code":"Y99","title":"Supplementary factors related to causes of morbidity classified elsewhere"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"Z00","last_code":"Z99","title":"Factors influencing health status and contact with health services"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z00","last_code":"Z13","title":"Persons encountering health services for examinations"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z14","last_code":"Z15","title":"Genetic carrier and genetic susceptibility to disease"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z16","last_code":"Z16","title":"Resistance to antimicrobial drugs"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z17","last_code":"Z17","title":"Estrogen receptor status"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z18","last_code":"Z18","title":"Retained foreign body fragments"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z19","last_code":"Z19","title":"Hormone sensitivity malignancy status"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z20","last_code":"Z29","title":"Persons with potential health hazards related to communicable diseases"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z30","last_code":"Z39","title":"Persons encountering health services in circumstances related to reproduction"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z40","last_code":"Z53","title":"Encounters for other specific health care"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z55","last_code":"Z65","title":"Persons with potential health hazards related to socioeconomic and psychosocial circumstances"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z66","last_code":"Z66","title":"Do not resuscitate status"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z67","last_code":"Z67","title":"Blood type"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z68","last_code":"Z68","title":"Body mass index [BMI]"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z69","last_code":"Z76","title":"Persons encountering health services in other circumstances"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"Z77","last_code":"Z99","title":"Persons with potential health hazards related to family and personal history and certain conditions influencing health status"},{"vocabulary_id":"ICD10CM","level":"chapter","first_code":"U00","last_code":"U85","title":"Codes for special purposes"},{"vocabulary_id":"ICD10CM","level":"block","first_code":"U00","last_code":"U49","title":"Provisional assignment of new diseases of uncertain etiology or emergency use"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"001","last_code":"139","title":"Infectious and parasitic diseases"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"140","last_code":"239","title":"Neoplasms"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"240","last_code":"279","title":"Endocrine, nutritional and metabolic diseases, and immunity disorders"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"280","last_code":"289","title":"Diseases of the blood and blood-forming organs"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"290","last_code":"319","title":"Mental disorders"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"320","last_code":"389","title":"Diseases of the nervous system and sense organs"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"390","last_code":"459","title":"Diseases of the circulatory system"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"460","last_code":"519","title":"Diseases of the respiratory system"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"520","last_code":"579","title":"Diseases of the digestive system"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"580","last_code":"629","title":"Diseases of the genitourinary system"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"630","last_code":"679","title":"Complications of pregnancy, childbirth, and the puerperium"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"680","last_code":"709","title":"Diseases of the skin and subcutaneous tissue"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"710","last_code":"739","title":"Diseases of the musculoskeletal system and connective tissue"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"740","last_code":"759","title":"Congenital anomalies"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"760","last_code":"779","title":"Certain conditions originating in the perinatal period"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"780","last_code":"799","title":"Symptoms, signs, and ill-defined conditions"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"800","last_code":"999","title":"Injury and poisoning"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"V01","last_code":"V91","title":"Supplementary classification of factors influencing health status and contact with health services"},{"vocabulary_id":"ICD9CM","level":"chapter","first_code":"E000","last_code":"E999","title":"Supplementary classification of external causes of injury and poisoning"}],
+  "location-crosswalk.csv": [{"link_name":"Cardiology clinic","system":"epic","location_key":"3002","location_name":"OU PHYS CARDIOLOGY","note":""},{"link_name":"Cardiology clinic","system":"gecb","location_key":"5002","location_name":"OU PHYS CARD CLINIC","note":""},{"link_name":"Internal Medicine clinic","system":"epic","location_key":"3001","location_name":"OU PHYS INTERNAL MED","note":""},{"link_name":"Internal Medicine clinic","system":"gecb","location_key":"5001","location_name":"OU PHYS IM CLINIC 1","note":""},{"link_name":"Endocrinology clinic","system":"epic","location_key":"3003","location_name":"OU PHYS ENDOCRINOLOGY","note":""},{"link_name":"Endocrinology clinic","system":"gecb","location_key":"5003","location_name":"OU PHYS ENDO CLINIC","note":""},{"link_name":"Emergency department","system":"epic","location_key":"3013","location_name":"OUMC ED","note":""},{"link_name":"Emergency department","system":"meditech","location_key":"ED","location_name":"EMERGENCY DEPARTMENT","note":""},{"link_name":"Adult ICU","system":"epic","location_key":"3012","location_name":"OUMC ICU","note":""},{"link_name":"Adult ICU","system":"meditech","location_key":"ICU","location_name":"INTENSIVE CARE UNIT","note":"Meditech CCU has no Epic department of its own"},{"link_name":"Pediatric ICU","system":"epic","location_key":"3020","location_name":"CH PICU","note":""},{"link_name":"Pediatric ICU","system":"meditech","location_key":"PICU","location_name":"PEDIATRIC ICU","note":""}],
+  "system-timeline.csv": [{"dictionary_type":"dx","system":"icd9","facility":"all","start_date":"","end_date":"2015-09-30","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"ICD-9-CM until the ICD-10 transition"},{"dictionary_type":"dx","system":"icd10","facility":"all","start_date":"2015-10-01","end_date":"","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"ICD-10-CM from the ICD-10 transition"},{"dictionary_type":"medication","system":"epic","facility":"all","start_date":"2023-06-03","end_date":"","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Epic go-live"},{"dictionary_type":"medication","system":"meditech","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"TRUE","outpatient":"FALSE","coverage":"full","note":"Inpatient medications before Epic"},{"dictionary_type":"medication","system":"centricity","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"FALSE","outpatient":"TRUE","coverage":"full","note":"Outpatient medications before Epic"},{"dictionary_type":"lab","system":"epic","facility":"all","start_date":"2023-06-03","end_date":"","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Epic go-live"},{"dictionary_type":"lab","system":"meditech","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Inpatient and outpatient labs before Epic"},{"dictionary_type":"location","system":"epic","facility":"all","start_date":"2023-06-03","end_date":"","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Epic go-live"},{"dictionary_type":"location","system":"meditech","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"TRUE","outpatient":"FALSE","coverage":"full","note":"Inpatient locations before Epic"},{"dictionary_type":"location","system":"gecb","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"FALSE","outpatient":"TRUE","coverage":"full","note":"Outpatient scheduling locations before Epic"},{"dictionary_type":"procedure","system":"epic","facility":"all","start_date":"2023-06-03","end_date":"","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Epic go-live"},{"dictionary_type":"procedure","system":"gecb","facility":"all","start_date":"","end_date":"2023-06-02","inpatient":"TRUE","outpatient":"TRUE","coverage":"full","note":"Procedures before Epic"}],
+  "thesaurus.csv": [{"dictionary_type":"dx","terms":"htn|hypertension|hypertensive","note":""},{"dictionary_type":"dx","terms":"dm|diabetes mellitus|diabetic","note":""},{"dictionary_type":"dx","terms":"t2dm|type 2 diabetes mellitus","note":""},{"dictionary_type":"dx","terms":"t1dm|type 1 diabetes mellitus","note":""},{"dictionary_type":"dx","terms":"chf|heart failure","note":"congestive heart failure is coded as heart failure in ICD-10-CM"},{"dictionary_type":"dx","terms":"cad|coronary artery disease|atherosclerotic heart disease","note":""},{"dictionary_type":"dx","terms":"mi|myocardial infarction","note":""},{"dictionary_type":"dx","terms":"afib|atrial fibrillation","note":""},{"dictionary_type":"dx","terms":"copd|chronic obstructive pulmonary disease","note":""},{"dictionary_type":"dx","terms":"ckd|chronic kidney disease","note":""},{"dictionary_type":"dx","terms":"aki|acute kidney failure|acute kidney injury","note":""},{"dictionary_type":"dx","terms":"uti|urinary tract infection","note":""},{"dictionary_type":"dx","terms":"dvt|deep vein thrombosis|venous embolism and thrombosis","note":""},{"dictionary_type":"dx","terms":"pe|pulmonary embolism","note":""},{"dictionary_type":"dx","terms":"cva|stroke|cerebral infarction","note":""},{"dictionary_type":"dx","terms":"tia|transient cerebral ischemic attack","note":""},{"dictionary_type":"dx","terms":"gerd|gastro-esophageal reflux disease","note":""},{"dictionary_type":"dx","terms":"osa|obstructive sleep apnea","note":""},{"dictionary_type":"dx","terms":"cancer|malignant neoplasm|carcinoma","note":""},{"dictionary_type":"dx","terms":"pcos|polycystic ovarian syndrome","note":""},{"dictionary_type":"lab","terms":"hgb|hemoglobin|haemoglobin","note":""},{"dictionary_type":"lab","terms":"hct|hematocrit","note":""},{"dictionary_type":"lab","terms":"wbc|white blood cell|leukocytes","note":""},{"dictionary_type":"lab","terms":"rbc|red blood cell|erythrocytes","note":""},{"dictionary_type":"lab","terms":"plt|platelet","note":""},{"dictionary_type":"lab","terms":"a1c|hba1c|hemoglobin a1c|glycated hemoglobin","note":""},{"dictionary_type":"lab","terms":"bun|urea nitrogen","note":""},{"dictionary_type":"lab","terms":"egfr|gfr|glomerular filtration rate","note":""},{"dictionary_type":"lab","terms":"alt|alanine aminotransferase|sgpt","note":""},{"dictionary_type":"lab","terms":"ast|aspartate aminotransferase|sgot","note":""},{"dictionary_type":"lab","terms":"tsh|thyroid stimulating hormone|thyrotropin","note":""},{"dictionary_type":"lab","terms":"ldl|low density lipoprotein","note":""},{"dictionary_type":"lab","terms":"hdl|high density lipoprotein","note":""},{"dictionary_type":"lab","terms":"inr|prothrombin time|protime","note":""},{"dictionary_type":"lab","terms":"bnp|natriuretic peptide","note":""},{"dictionary_type":"medication","terms":"atorvastatin|lipitor","note":""},{"dictionary_type":"medication","terms":"simvastatin|zocor","note":""},{"dictionary_type":"medication","terms":"rosuvastatin|crestor","note":""},{"dictionary_type":"medication","terms":"metformin|glucophage","note":""},{"dictionary_type":"medication","terms":"lisinopril|prinivil|zestril","note":""},{"dictionary_type":"medication","terms":"amlodipine|norvasc","note":""},{"dictionary_type":"medication","terms":"metoprolol|lopressor|toprol","note":""},{"dictionary_type":"medication","terms":"levothyroxine|synthroid|levoxyl","note":""},{"dictionary_type":"medication","terms":"semaglutide|ozempic|wegovy|rybelsus","note":""},{"dictionary_type":"medication","terms":"liraglutide|victoza|saxenda","note":""},{"dictionary_type":"medication","terms":"insulin glargine|lantus|basaglar|toujeo","note":""},{"dictionary_type":"medication","terms":"apixaban|eliquis","note":""},{"dictionary_type":"medication","terms":"warfarin|coumadin|jantoven","note":""},{"dictionary_type":"medication","terms":"acetaminophen|tylenol|apap","note":""},{"dictionary_type":"medication","terms":"ibuprofen|advil|motrin","note":""},{"dictionary_type":"medication","terms":"sertraline|zoloft","note":""},{"dictionary_type":"medication","terms":"omeprazole|prilosec","note":""},{"dictionary_type":"location","terms":"icu|intensive care","note":""},{"dictionary_type":"location","terms":"nicu|neonatal intensive care","note":""},{"dictionary_type":"location","terms":"picu|pediatric intensive care","note":""},{"dictionary_type":"location","terms":"ed|emergency","note":""},{"dictionary_type":"location","terms":"ob|obstetrics|labor and delivery|l&d","note":""},{"dictionary_type":"location","terms":"peds|pediatrics|pediatric","note":""},{"dictionary_type":"location","terms":"im|internal medicine","note":""},{"dictionary_type":"location","terms":"fm|family medicine","note":""},{"dictionary_type":"location","terms":"onc|oncology","note":""},{"dictionary_type":"location","terms":"cards|cardiology","note":""},{"dictionary_type":"location","terms":"operating room|surgery","note":""},{"dictionary_type":"procedure","terms":"cabg|coronary artery bypass","note":""},{"dictionary_type":"procedure","terms":"pci|percutaneous coronary intervention","note":""},{"dictionary_type":"procedure","terms":"egd|esophagogastroduodenoscopy","note":""},{"dictionary_type":"procedure","terms":"tka|total knee arthroplasty","note":""},{"dictionary_type":"procedure","terms":"tha|total hip arthroplasty","note":""},{"dictionary_type":"procedure","terms":"phaco|phacoemulsification|cataract extraction","note":""},{"dictionary_type":"procedure","terms":"ekg|ecg|electrocardiogram","note":""},{"dictionary_type":"procedure","terms":"echo|echocardiography","note":""},{"dictionary_type":"procedure","terms":"c-section|cesarean","note":""}]
 };
+
@@ -0,0 +1,190 @@
+// ============================================================================
+// dictionary-cache.js
+// Parsed dictionaries and built search indexes kept in IndexedDB between
+// page loads, so the 200K-row dx file isn't downloaded and parsed every time
+// Loaded by the page (DictApp.loadCsv) and by search-worker.js.
+//
+// Object stores:
+//   files   - file name → { file, hash, etag, lastModified, rowCount,
+//                           changedAt, checkedAt }: the cached version.
+//             hash is of the CSV text; changedAt is when that text was first
+//             seen, checkedAt when the server last confirmed it
+//   rows    - file name → { file, rows }: the parsed rows (kept apart from
+//             files so a revalidation only rewrites the small record)
+//   indexes - dictionary type → { type, fingerprint, tokens, offsets, postings }:
+//             the search worker's token index, flattened; fingerprint is of
+//             the cell values it was built from
+// Every call resolves (null / false) rather than rejecting when IndexedDB is
+// missing or fails — the cache is only ever a shortcut.
+// ============================================================================
+
+const DictionaryCache = (function () {
+
+  const DB_NAME = 'crdw-dictionary-cache';
+  const DB_VERSION = 1;
+  const STORES = { files: 'file', rows: 'file', indexes: 'type' };
+
+  let dbPromise = null;
+
+  function isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * The open database, or null when IndexedDB can't be used.
+   */
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(resolve => {
+      if (!isAvailable()) return resolve(null);
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        console.warn('[Cache] IndexedDB unavailable:', err.message);
+        return resolve(null);
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        Object.keys(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: STORES[name] });
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[Cache] IndexedDB unavailable:', req.error && req.error.message);
+        resolve(null);
+      };
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Run one request against a store.
+   * @param {string}   store
+   * @param {string}   mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - objectStore → IDBRequest
+   * @returns {Promise<{result: *}|null>} The request's result, or null on failure
+   */
+  function run(store, mode, makeRequest) {
+    return open().then(db => {
+      if (!db) return null;
+      return new Promise(resolve => {
+        try {
+          const tx = db.transaction(store, mode);
+          const req = makeRequest(tx.objectStore(store));
+          tx.oncomplete = () => resolve({ result: req.result });
+          tx.onerror = tx.onabort = () => {
+            console.warn('[Cache] ' + store + ' ' + mode + ' failed:', tx.error && tx.error.message);
+            resolve(null);
+          };
+        } catch (err) {
+          console.warn('[Cache] ' + store + ' ' + mode + ' failed:', err.message);
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  function found(done) {
+    return done && done.result !== undefined ? done.result : null;
+  }
+
+  /**
+   * The cached version record of a file, or null.
+   */
+  function getFile(file) {
+    return run('files', 'readonly', s => s.get(file)).then(found);
+  }
+
+  /**
+   * The cached version record and parsed rows of a file, or null when either is missing.
+   * @returns {Promise<{version: Object, rows: Object[]}|null>}
+   */
+  function getRows(file) {
+    return Promise.all([getFile(file), run('rows', 'readonly', s => s.get(file)).then(found)]).then(([version, entry]) => {
+      return version && entry && Array.isArray(entry.rows) ? { version: version, rows: entry.rows } : null;
+    });
+  }
+
+  /**
+   * Store a file's parsed rows and version record.
+   * @returns {Promise<boolean>} Whether both were stored
+   */
+  function putRows(version, rows) {
+    return run('rows', 'readwrite', s => s.put({ file: version.file, rows: rows })).then(done => {
+      return done ? putFile(version) : false;
+    });
+  }
+
+  /**
+   * Store a file's version record only (its rows haven't changed).
+   * @returns {Promise<boolean>}
+   */
+  function putFile(version) {
+    return run('files', 'readwrite', s => s.put(version)).then(done => !!done);
+  }
+
+  function getIndex(type) {
+    return run('indexes', 'readonly', s => s.get(type)).then(found);
+  }
+
+  function putIndex(entry) {
+    return run('indexes', 'readwrite', s => s.put(entry)).then(done => !!done);
+  }
+
+  /**
+   * Forget every cached file and index.
+   * @returns {Promise<boolean>}
+   */
+  function clear() {
+    return Promise.all(Object.keys(STORES).map(store => run(store, 'readwrite', s => s.clear())))
+      .then(results => results.every(Boolean));
+  }
+
+  /**
+   * A streaming 53-bit hash (cyrb53): update() with as many strings as
+   * needed, then digest() for 14 hex digits.
+   */
+  function createHasher() {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    return {
+      update(text) {
+        const s = String(text);
+        for (let i = 0; i < s.length; i++) {
+          const ch = s.charCodeAt(i);
+          h1 = Math.imul(h1 ^ ch, 2654435761);
+          h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        return this;
+      },
+      digest() {
+        const a = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        const b = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return ((b >>> 0) & 0x1fffff).toString(16).padStart(6, '0') + (a >>> 0).toString(16).padStart(8, '0');
+      }
+    };
+  }
+
+  /**
+   * Hash of a CSV's text: the dictionary version.
+   */
+  function hash(text) {
+    return createHasher().update(text).digest();
+  }
+
+  return {
+    isAvailable,
+    getFile,
+    getRows,
+    putRows,
+    putFile,
+    getIndex,
+    putIndex,
+    clear,
+    createHasher,
+    hash
+  };
+})();
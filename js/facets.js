@@ -0,0 +1,115 @@
+// ============================================================================
+// facets.js
+// Facet sidebar logic: which columns become facets, value counts, and the
+// row test for the current selections
+// Any data column with a handful of distinct values (department_type,
+// location_type, is_bed, vocabulary_id, source_db, ...) is a facet. Selections
+// are { column: [value, ...] }: a row passes when, for every column with a
+// selection, its value is one of the selected ones (OR within a column, AND
+// across columns). Blank and NULL cells are the value '' ("(blank)").
+// ============================================================================
+
+const Facets = (function () {
+
+  const MAX_VALUES = 30;   // more distinct values than this is not a facet
+
+  /**
+   * A cell as a facet value: trimmed text, '' for blank / NULL.
+   */
+  function valueOf(row, column) {
+    const v = row[column];
+    if (v === undefined || v === null) return '';
+    const s = String(v).trim();
+    return s === 'NULL' ? '' : s;
+  }
+
+  /**
+   * Columns with 2..MAX_VALUES distinct non-blank values, in the order given.
+   * Values must repeat (on average in two rows or more), which keeps keys and
+   * names out of small dictionaries.
+   * @param {Object[]} rows
+   * @param {string[]} columns - e.g. detectDataColumns(type)
+   * @returns {string[]}
+   */
+  function detect(rows, columns) {
+    return columns.filter(function (column) {
+      const seen = {};
+      let distinct = 0;
+      let filled = 0;
+      for (let i = 0; i < rows.length; i++) {
+        const v = valueOf(rows[i], column);
+        if (!v) continue;
+        filled++;
+        if (!seen[v]) {
+          seen[v] = true;
+          if (++distinct > MAX_VALUES) return false;
+        }
+      }
+      return distinct >= 2 && distinct * 2 <= filled;
+    });
+  }
+
+  /**
+   * Does a row pass the selections? `exceptColumn`'s own selection is ignored,
+   * which is how a facet's counts show what picking another of its values would add.
+   */
+  function passes(row, selections, exceptColumn) {
+    for (const column in selections) {
+      if (column === exceptColumn) continue;
+      const values = selections[column];
+      if (values.length > 0 && values.indexOf(valueOf(row, column)) === -1) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Value counts of each facet column over rows, each column counted under
+   * the selections of the other columns.
+   * @param {Object[]} rows
+   * @param {string[]} columns
+   * @param {Object}   selections
+   * @returns {Object} column → { value → count }
+   */
+  function count(rows, columns, selections) {
+    const counts = {};
+    columns.forEach(function (column) { counts[column] = {}; });
+    rows.forEach(function (row) {
+      columns.forEach(function (column) {
+        if (!passes(row, selections, column)) return;
+        const v = valueOf(row, column);
+        counts[column][v] = (counts[column][v] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  /**
+   * Is any value selected?
+   */
+  function isActive(selections) {
+    return Object.keys(selections || {}).some(function (column) {
+      return selections[column].length > 0;
+    });
+  }
+
+  /**
+   * Selections as text for the search-terms manifest:
+   *   "department_type=ICU|Med Surg; is_bed=Y"  ((blank) stands for '')
+   */
+  function describe(selections) {
+    return Object.keys(selections || {}).filter(function (column) {
+      return selections[column].length > 0;
+    }).map(function (column) {
+      return column + '=' + selections[column].map(function (v) { return v || '(blank)'; }).join('|');
+    }).join('; ');
+  }
+
+  return {
+    valueOf,
+    detect,
+    passes,
+    count,
+    isActive,
+    describe
+  };
+})();
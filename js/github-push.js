@@ -65,17 +65,20 @@ const GitHubPush = (function () {
 
   /**
    * Build CSV content from rows.
-   * Schema is built dynamically from the actual row columns.
-   * Internal fields (_*) are excluded; desired/category/keyword_matched are placed last.
+   * Schema is built dynamically from the actual row columns (procedures use
+   * their ss-procedure schema for the source, see CsvDownload.getDataColumns).
+   * Internal fields (_*) are excluded; desired/category/keyword_matched/keyword_match_count
+   * are placed last, followed by mapped_from on dx rows.
+   * @param {Object[]} rows
+   * @param {string}   [type]   - Dictionary type
+   * @param {string}   [source] - Source system of the rows
    */
-  function buildCsvContent(rows) {
+  function buildCsvContent(rows, type, source) {
     if (!rows || rows.length === 0) return '';
-    var reserved = { desired: true, category: true, keyword_matched: true };
     var sampleRow = rows[0];
-    var dataCols = Object.keys(sampleRow).filter(function (k) {
-      return !k.startsWith('_') && !reserved[k];
-    });
-    var schema = dataCols.concat(['desired', 'category', 'keyword_matched']);
+    var dataCols = CsvDownload.getDataColumns(sampleRow, type, source);
+    var schema = dataCols.concat(['desired', 'category', 'keyword_matched', 'keyword_match_count']);
+    if ('mapped_from' in sampleRow) schema.push('mapped_from');
 
     var headerLine = schema.join(',');
     var dataLines = rows.map(function (row) {
@@ -83,6 +86,8 @@ const GitHubPush = (function () {
         var val;
         if (col === 'desired') {
           val = row.desired ? 'TRUE' : 'FALSE';
+        } else if (col === 'keyword_match_count') {
+          val = SearchEngine.splitMatchedKeywords(row.keyword_matched).length;
         } else {
           val = row[col];
         }
@@ -99,42 +104,23 @@ const GitHubPush = (function () {
   }
 
   /**
-   * Build search-terms manifest CSV content
+   * Build search-terms manifest CSV content: the rows CsvDownload's manifest
+   * download has (see CsvDownload.downloadSearchManifest for the columns).
+   * extras: { matchCounts, matchModes, facetFilters, systemOverrides }.
    */
-  function buildManifestContent(keywords, type, matchingData, projectName, dateStart, dateEnd, activeSystems) {
-    var exportedAt = new Date().toISOString();
-    var systemsStr = activeSystems.join('; ');
-
-    function countMatches(kw) {
-      var core = kw.toLowerCase().replace(/^\*+|\*+$/g, '');
-      if (!core) return 0;
-      return matchingData.filter(function (row) {
-        return Object.values(row).some(function (v) {
-          return (v || '').toString().toLowerCase().indexOf(core) !== -1;
-        });
-      }).length;
-    }
-
-    function csvQuote(val) {
-      val = String(val == null ? '' : val);
-      if (val.indexOf(',') !== -1 || val.indexOf('"') !== -1 || val.indexOf('\n') !== -1) {
-        return '"' + val.replace(/"/g, '""') + '"';
-      }
-      return val;
-    }
-
-    var header = 'keyword,dictionary_type,is_wildcard,match_count,project_name,date_start,date_end,active_systems,exported_at';
-    var lines = keywords.map(function (kw) {
-      var isWild  = kw.indexOf('*') !== -1 ? 'TRUE' : 'FALSE';
-      var matches = countMatches(kw);
-      return [
-        csvQuote(kw), csvQuote(type), isWild, matches,
-        csvQuote(projectName), csvQuote(dateStart), csvQuote(dateEnd),
-        csvQuote(systemsStr), csvQuote(exportedAt)
-      ].join(',');
+  function buildManifestContent(keywords, type, projectName, dateStart, dateEnd, activeSystems, extras) {
+    return CsvDownload.buildManifestContent({
+      keywords:        keywords,
+      type:            type,
+      matchCounts:     extras && extras.matchCounts,
+      matchModes:      extras && extras.matchModes,
+      facetFilters:    extras && extras.facetFilters,
+      systemOverrides: extras && extras.systemOverrides,
+      projectName:     projectName,
+      dateStart:       dateStart,
+      dateEnd:         dateEnd,
+      activeSystems:   activeSystems
     });
-
-    return [header].concat(lines).join('\n');
   }
 
   return {
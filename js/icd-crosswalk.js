@@ -0,0 +1,159 @@
+// ============================================================================
+// icd-crosswalk.js
+// ICD-9-CM ↔ ICD-10-CM crosswalk from the CMS General Equivalence Mappings
+// Studies spanning the 2015-10-01 transition load both vocabularies, but
+// keywords are usually written in ICD-10 terms; the crosswalk proposes the
+// ICD-9 equivalents of the rows already checked (and the other way round).
+//
+// data/icd-gem.csv (built by sql/convert-gem.R), codes without dots:
+//   direction   - forward (ICD-9 → ICD-10) or backward (ICD-10 → ICD-9)
+//   source_code - e.g. 25000
+//   target_code - e.g. E119, or NoDx when there is no equivalent
+//   flags       - five digits: approximate, no map, combination, scenario, choice list
+// Both GEMs are searched in both directions, as CMS recommends: an ICD-10
+// code's ICD-9 equivalents are its backward targets plus every ICD-9 code
+// whose forward mapping lands on it.
+// ============================================================================
+
+const IcdCrosswalk = (function () {
+
+  // normalized code → [mapping, ...], per vocabulary the code belongs to
+  let byCode = { ICD9CM: {}, ICD10CM: {} };
+  let mappingCount = 0;
+
+  const OTHER = { ICD9CM: 'ICD10CM', ICD10CM: 'ICD9CM' };
+
+  function parseFlags(flags) {
+    const f = String(flags || '').padEnd(5, '0');
+    return {
+      approximate: f.charAt(0) === '1',
+      noMap: f.charAt(1) === '1',
+      combination: f.charAt(2) === '1',
+      scenario: parseInt(f.charAt(3), 10) || 0,
+      choiceList: parseInt(f.charAt(4), 10) || 0
+    };
+  }
+
+  function add(vocabulary, code, mapping) {
+    const list = byCode[vocabulary][code] || (byCode[vocabulary][code] = []);
+    list.push(mapping);
+  }
+
+  /**
+   * Replace the crosswalk with parsed rows of data/icd-gem.csv.
+   * @returns {number} Mappings loaded (no-map rows are skipped)
+   */
+  function load(rows) {
+    byCode = { ICD9CM: {}, ICD10CM: {} };
+    mappingCount = 0;
+    (rows || []).forEach(function (row) {
+      const direction = String(row.direction || '').trim().toLowerCase();
+      if (direction !== 'forward' && direction !== 'backward') return;
+      const flags = parseFlags(row.flags);
+      const source = CodeRange.normalize(row.source_code);
+      const target = CodeRange.normalize(row.target_code);
+      if (flags.noMap || !source || !target) return;
+
+      const sourceVocab = direction === 'forward' ? 'ICD9CM' : 'ICD10CM';
+      const mapping = Object.assign({ direction: direction }, flags);
+      // Indexed from both ends, so either GEM answers for either vocabulary
+      add(sourceVocab, source, Object.assign({ code: target, vocabulary: OTHER[sourceVocab] }, mapping));
+      add(OTHER[sourceVocab], target, Object.assign({ code: source, vocabulary: sourceVocab }, mapping));
+      mappingCount++;
+    });
+    return mappingCount;
+  }
+
+  function size() {
+    return mappingCount;
+  }
+
+  /**
+   * Put the dot back into a GEM code: after the third character, or the
+   * fourth for ICD-9 E codes (E8490 → E849.0).
+   */
+  function format(code, vocabulary) {
+    const c = CodeRange.normalize(code);
+    const at = (vocabulary === 'ICD9CM' && c.charAt(0) === 'E') ? 4 : 3;
+    return c.length > at ? c.slice(0, at) + '.' + c.slice(at) : c;
+  }
+
+  /**
+   * Equivalents of one code in the other vocabulary.
+   * @param {string} code       - dotted or not
+   * @param {string} vocabulary - ICD9CM or ICD10CM
+   * @returns {Object[]} [{ code, vocabulary, direction, approximate, combination, scenario, choiceList }]
+   */
+  function mappingsFor(code, vocabulary) {
+    const forVocab = byCode[vocabulary];
+    return forVocab ? (forVocab[CodeRange.normalize(code)] || []).slice() : [];
+  }
+
+  /**
+   * Flags of a mapping in words, e.g. "approximate, combination scenario 1 part 2".
+   */
+  function describeFlags(mapping) {
+    const words = [];
+    if (mapping.approximate) words.push('approximate');
+    if (mapping.combination) words.push('combination scenario ' + mapping.scenario + ' part ' + mapping.choiceList);
+    return words.join(', ');
+  }
+
+  /**
+   * Codes the given rows map to that aren't among them, one proposal per
+   * target code with every source that leads to it.
+   * @param {Object[]} rows   - dx rows with icd_code and vocabulary_id
+   * @param {Function} lookup - (vocabulary, normalized code) → loaded dictionary row, if any
+   * @returns {Object[]} [{ code, vocabulary, row, from: [{ code, vocabulary, mapping }] }], sorted by code;
+   *   mapping.direction is forward, backward or both
+   */
+  function propose(rows, lookup) {
+    const have = {};
+    rows.forEach(function (row) { have[row.vocabulary_id + ':' + CodeRange.normalize(row.icd_code)] = true; });
+
+    const proposals = {};
+    rows.forEach(function (row) {
+      mappingsFor(row.icd_code, row.vocabulary_id).forEach(function (mapping) {
+        const key = mapping.vocabulary + ':' + mapping.code;
+        if (have[key]) return;
+        const proposal = proposals[key] || (proposals[key] = {
+          code: format(mapping.code, mapping.vocabulary),
+          vocabulary: mapping.vocabulary,
+          row: lookup(mapping.vocabulary, mapping.code),
+          from: []
+        });
+        const fromCode = format(row.icd_code, row.vocabulary_id);
+        const seen = proposal.from.find(function (f) { return f.code === fromCode; });
+        // Found in both GEMs: one source, direction 'both'
+        if (seen) {
+          if (seen.mapping.direction !== mapping.direction) seen.mapping = Object.assign({}, seen.mapping, { direction: 'both' });
+          return;
+        }
+        proposal.from.push({ code: fromCode, vocabulary: row.vocabulary_id, mapping: mapping });
+      });
+    });
+
+    return Object.keys(proposals).map(function (key) { return proposals[key]; })
+      .sort(function (a, b) { return a.code.localeCompare(b.code); });
+  }
+
+  /**
+   * The mapped_from annotation of a proposal: "E11.9 (approximate); E13.9".
+   */
+  function describeSources(proposal) {
+    return proposal.from.map(function (f) {
+      const flags = describeFlags(f.mapping);
+      return f.code + (flags ? ' (' + flags + ')' : '');
+    }).join('; ');
+  }
+
+  return {
+    load,
+    size,
+    format,
+    mappingsFor,
+    describeFlags,
+    propose,
+    describeSources
+  };
+})();
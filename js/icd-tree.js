@@ -0,0 +1,206 @@
+// ============================================================================
+// icd-tree.js
+// ICD-9-CM and ICD-10-CM hierarchies built from the loaded dx rows
+//   ICD-10-CM: chapter → block → category → subcategory → code
+//              (C00-D49 → C50-C50 → C50 → C50.9 → C50.911)
+//   ICD-9-CM:  chapter → category → subcategory → code (250 → 250.0 → 250.00)
+// Chapters and blocks come from data/icd-chapters.csv; everything below them
+// is the codes' own prefixes. Subcategories no row has are folded into the
+// one above when they're its only child, so C50.9 → C50.91 → C50.911 and
+// C50.919 shows as C50.9 → C50.911, C50.919.
+// Each vocabulary is its own tree.
+//
+// data/icd-chapters.csv columns:
+//   vocabulary_id         - ICD10CM or ICD9CM
+//   level                 - chapter or block
+//   first_code, last_code - the categories it spans, e.g. C00, D49
+//   title
+// ============================================================================
+
+const IcdTree = (function () {
+
+  const VOCABULARIES = ['ICD10CM', 'ICD9CM'];
+  const LABELS = { ICD10CM: 'ICD-10-CM', ICD9CM: 'ICD-9-CM' };
+
+  let sections = { ICD10CM: [], ICD9CM: [] };   // [{ level, first, last, title }] in file order
+  let sectionCount = 0;
+
+  /**
+   * Replace the chapters and blocks with parsed rows of data/icd-chapters.csv.
+   * @returns {number} Rows loaded
+   */
+  function loadChapters(rows) {
+    sections = { ICD10CM: [], ICD9CM: [] };
+    sectionCount = 0;
+    (rows || []).forEach(row => {
+      const vocabulary = String(row.vocabulary_id || '').trim().toUpperCase();
+      const level = String(row.level || '').trim().toLowerCase();
+      const first = CodeRange.normalize(row.first_code);
+      const last = CodeRange.normalize(row.last_code) || first;
+      if (!sections[vocabulary] || (level !== 'chapter' && level !== 'block') || !first) return;
+      sections[vocabulary].push({ level: level, first: first, last: last, title: String(row.title || '').trim() });
+      sectionCount++;
+    });
+    return sectionCount;
+  }
+
+  function size() {
+    return sectionCount;
+  }
+
+  function getLabel(vocabulary) {
+    return LABELS[vocabulary] || vocabulary;
+  }
+
+  /**
+   * A dx row's vocabulary: its vocabulary_id, else what its code looks like
+   * (ICD-9 for V codes, which fit either). '' when it is neither.
+   */
+  function vocabularyOf(row) {
+    const id = String(row.vocabulary_id || '').trim().toUpperCase();
+    if (VOCABULARIES.indexOf(id) !== -1) return id;
+    const parsed = CodeRange.parse('dx', row.icd_code);
+    return parsed && parsed.low === parsed.high && !/\*$/.test(parsed.expression) ? parsed.system.split('|')[0] : '';
+  }
+
+  /**
+   * Category of a normalized code: its first three characters, four for
+   * ICD-9 E codes.
+   */
+  function categoryOf(code, vocabulary) {
+    return code.slice(0, vocabulary === 'ICD9CM' && code.charAt(0) === 'E' ? 4 : 3);
+  }
+
+  /**
+   * Does a section span the category? Categories whose third character is a
+   * letter sit among their digit siblings (C4A is with C43-C44, M1A with
+   * M05-M14), so they're compared by their first two characters.
+   */
+  function spans(section, category) {
+    const c = /^[A-Z]\d[A-Z]$/.test(category) ? category.slice(0, 2) : category;
+    return c >= section.first.slice(0, c.length) && c <= section.last.slice(0, c.length);
+  }
+
+  /**
+   * The chapter or block of a category: one that starts or ends with it,
+   * else the first in the file that spans it.
+   */
+  function sectionOf(vocabulary, level, category) {
+    const candidates = sections[vocabulary].filter(s => s.level === level);
+    return candidates.find(s => s.first === category || s.last === category) ||
+      candidates.find(s => spans(s, category)) || null;
+  }
+
+  /**
+   * Build a tree per vocabulary.
+   * @param {Object[]} rows - Loaded dx rows
+   * @returns {{trees: Object, vocabularies: string[], nodes: Object[], skipped: number}}
+   *   trees: vocabulary → root node, for vocabularies with rows; vocabularies:
+   *   those, ICD-10-CM first; nodes: every node by id; skipped: rows whose
+   *   code is not ICD-9-CM or ICD-10-CM.
+   *   Node: { id, level (root/chapter/block/category/subcategory/code), code,
+   *   title, vocabulary, parent (null for a root), children, rows (its own),
+   *   all (its own and every descendant's) }
+   */
+  function build(rows) {
+    const nodes = [];
+    const trees = {};
+    const childMaps = [];
+    const sectionCache = {};
+    let skipped = 0;
+
+    function newNode(level, code, title, vocabulary) {
+      const node = { id: nodes.length, level: level, code: code, title: title, vocabulary: vocabulary, parent: null, children: [], rows: [], all: [] };
+      nodes.push(node);
+      childMaps.push({});
+      return node;
+    }
+    function child(parent, key, make) {
+      const map = childMaps[parent.id];
+      if (!map[key]) {
+        map[key] = make();
+        parent.children.push(map[key]);
+      }
+      return map[key];
+    }
+
+    rows.forEach(row => {
+      const vocabulary = vocabularyOf(row);
+      const code = CodeRange.normalize(row.icd_code);
+      if (!vocabulary || !code) {
+        skipped++;
+        return;
+      }
+      const category = categoryOf(code, vocabulary);
+      const path = [trees[vocabulary] || (trees[vocabulary] = newNode('root', '', getLabel(vocabulary), vocabulary))];
+
+      const cacheKey = vocabulary + ':' + category;
+      if (!sectionCache[cacheKey]) {
+        sectionCache[cacheKey] = ['chapter', 'block'].map(level => sectionOf(vocabulary, level, category)).filter(Boolean);
+      }
+      sectionCache[cacheKey].forEach(s => {
+        const range = s.first + '-' + s.last;
+        path.push(child(path[path.length - 1], s.level + ':' + range, () => newNode(s.level, range, s.title, vocabulary)));
+      });
+      for (let len = category.length; len <= code.length; len++) {
+        const prefix = code.slice(0, len);
+        const level = len === category.length ? 'category' : 'subcategory';
+        path.push(child(path[path.length - 1], prefix,
+          () => newNode(level, IcdCrosswalk.format(prefix, vocabulary), '', vocabulary)));
+      }
+
+      const leaf = path[path.length - 1];
+      if (leaf.level === 'subcategory') leaf.level = 'code';
+      if (!leaf.title) leaf.title = String(row.icd_description || '').trim();
+      leaf.rows.push(row);
+      path.forEach(node => node.all.push(row));
+    });
+
+    // Children in code order. A chain of subcategories without rows keeps
+    // its first node; one leading to a single code is replaced by the code.
+    function tidy(node) {
+      node.children = node.children.map(c => {
+        let n = c;
+        while (n.level === 'subcategory' && n.rows.length === 0 && n.children.length === 1) {
+          const only = n.children[0];
+          if (only.level === 'subcategory' && only.rows.length === 0) n.children = only.children;
+          else n = only;
+        }
+        n.parent = node;
+        return tidy(n);
+      }).sort((a, b) => CodeRange.normalize(a.code).localeCompare(CodeRange.normalize(b.code)));
+      return node;
+    }
+    Object.keys(trees).forEach(v => tidy(trees[v]));
+
+    return { trees: trees, vocabularies: VOCABULARIES.filter(v => trees[v]), nodes: nodes, skipped: skipped };
+  }
+
+  /**
+   * How much of a node is checked.
+   * @returns {{checked: number, total: number, isPartial: boolean}}
+   */
+  function status(node) {
+    const checked = node.all.filter(r => r.desired).length;
+    return { checked: checked, total: node.all.length, isPartial: checked > 0 && checked < node.all.length };
+  }
+
+  /**
+   * A code chip finding every row under a node: the chapter or block range,
+   * or the code itself (a code chip covers its descendants), in the node's
+   * vocabulary only, e.g. ICD9CM:V01-V91 (see CodeRange).
+   */
+  function chipFor(node) {
+    return node.level === 'root' ? '' : node.vocabulary + ':' + node.code;
+  }
+
+  return {
+    loadChapters,
+    size,
+    getLabel,
+    vocabularyOf,
+    build,
+    status,
+    chipFor
+  };
+})();
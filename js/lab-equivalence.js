@@ -0,0 +1,114 @@
+// ============================================================================
+// lab-equivalence.js
+// Cross-system lab equivalence: rows from different source systems that
+// measure the same test, grouped by LOINC
+// Epic rows carry loinc_code and Meditech rows loinc (either name in the
+// unified file). A row without a LOINC joins the group of a LOINC row with
+// the same normalized name, word order ignored ("TOTAL BILIRUBIN" joins
+// "BILIRUBIN TOTAL" / 1975-2); otherwise rows without a LOINC are grouped by
+// name alone. Only groups spanning two or more systems are equivalences.
+// A gap is an equivalence with rows checked in one system and none of its
+// rows checked in another — a study spanning a go-live would lose that
+// system's results.
+// ============================================================================
+
+const LabEquivalence = (function () {
+
+  const LOINC_COLUMNS = ['loinc_code', 'loinc'];
+
+  // Name columns, most descriptive first: Epic, unified, Meditech
+  const NAME_COLUMNS = ['common_name', 'name', 'lab_name', 'lab_desc'];
+
+  function loincOf(row) {
+    for (let i = 0; i < LOINC_COLUMNS.length; i++) {
+      const v = String(row[LOINC_COLUMNS[i]] || '').trim();
+      if (v && v !== 'NULL') return v;
+    }
+    return '';
+  }
+
+  /**
+   * A row's display name: its first non-blank name column.
+   */
+  function nameOf(row) {
+    const col = NAME_COLUMNS.find(c => row[c] && row[c] !== 'NULL');
+    return col ? String(row[col]).trim() : '';
+  }
+
+  /**
+   * Keys of every name a row has: normalized, tokens sorted.
+   */
+  function nameKeys(row) {
+    const keys = [];
+    NAME_COLUMNS.forEach(c => {
+      if (!row[c] || row[c] === 'NULL') return;
+      const key = Normalizer.normalize('lab', row[c]).split(' ').sort().join(' ');
+      if (key && keys.indexOf(key) === -1) keys.push(key);
+    });
+    return keys;
+  }
+
+  /**
+   * Group rows into cross-system equivalences.
+   * @param {Object[]} rows - Loaded lab rows (with _source)
+   * @returns {Object[]} [{ key, loinc, name, members: [{ row, via }], sources: { source → [row, ...] } }]
+   *   via is 'loinc' or 'name'; groups spanning one system are left out; sorted by name
+   */
+  function group(rows) {
+    const groups = {};
+    const byName = {};   // name key → LOINC group key
+
+    function addTo(key, loinc, row, via) {
+      const g = groups[key] || (groups[key] = { key: key, loinc: loinc, name: nameOf(row), members: [], sources: {} });
+      g.members.push({ row: row, via: via });
+      (g.sources[row._source] || (g.sources[row._source] = [])).push(row);
+    }
+
+    rows.forEach(row => {
+      const loinc = loincOf(row);
+      if (!loinc) return;
+      addTo('loinc:' + loinc, loinc, row, 'loinc');
+      nameKeys(row).forEach(k => { if (!byName[k]) byName[k] = 'loinc:' + loinc; });
+    });
+    rows.forEach(row => {
+      if (loincOf(row)) return;
+      const keys = nameKeys(row);
+      if (keys.length === 0) return;
+      const linked = keys.map(k => byName[k]).find(Boolean);
+      if (linked) addTo(linked, groups[linked].loinc, row, 'name');
+      else addTo('name:' + keys[0], '', row, 'name');
+    });
+
+    return Object.keys(groups).map(k => groups[k])
+      .filter(g => Object.keys(g.sources).length > 1)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Which systems of a group have a checked row and which have none.
+   * @returns {{selectedIn: string[], missingIn: string[], isGap: boolean}}
+   */
+  function status(g) {
+    const selectedIn = [];
+    const missingIn = [];
+    Object.keys(g.sources).forEach(source => {
+      (g.sources[source].some(r => r.desired) ? selectedIn : missingIn).push(source);
+    });
+    return { selectedIn: selectedIn, missingIn: missingIn, isGap: selectedIn.length > 0 && missingIn.length > 0 };
+  }
+
+  /**
+   * Groups with a gap.
+   */
+  function gaps(groups) {
+    return groups.filter(g => status(g).isGap);
+  }
+
+  return {
+    loincOf,
+    nameOf,
+    group,
+    status,
+    gaps
+  };
+})();
@@ -0,0 +1,254 @@
+// ============================================================================
+// location-crosswalk.js
+// Links between Epic departments, GECB schedule locations and Meditech units
+// that are the same place, from data/location-crosswalk.csv
+// The same clinic is an Epic department_name, a GECB sched_location /
+// clinic_name and a Meditech location_description. Linked rows get the link
+// name in a location_link column, which chips search ("cardiology clinic",
+// link:cardiology) and the exported location CSVs carry.
+//
+// data/location-crosswalk.csv columns:
+//   link_name     - shared name, e.g. "Cardiology clinic"
+//   system        - epic, gecb or meditech
+//   location_key  - department_key / sched_location_id / location_mnemonic
+//   location_name - for reviewers only
+//   note          - optional
+// A row per linked location; a link may hold several rows of one system.
+//
+// Suggestions: unlinked locations of different systems are compared by their
+// name tokens (abbreviations expanded, each token weighted by how rare it is,
+// so "OU Physicians" counts for little) and good matches are proposed for
+// the team to confirm. Confirmed links are pushed to
+// projects/location-crosswalk-contributions/ and folded into the CSV when
+// reviewed, like thesaurus suggestions.
+// ============================================================================
+
+const LocationCrosswalk = (function () {
+
+  const SYSTEMS = ['epic', 'gecb', 'meditech'];
+  const CONTRIBUTION_DIR = 'projects/location-crosswalk-contributions';
+
+  const KEY_COLUMNS = {
+    epic:     'department_key',
+    gecb:     'sched_location_id',
+    meditech: 'location_mnemonic'
+  };
+
+  // Name columns compared for suggestions; the first is the location's display name
+  const NAME_COLUMNS = {
+    epic:     ['department_name', 'department_external_name', 'department_specialty'],
+    gecb:     ['sched_location', 'clinic_name'],
+    meditech: ['location_description', 'location_mnemonic', 'location_subtype']
+  };
+
+  const ABBREVIATIONS = {
+    phys: 'physicians', im: 'internal medicine', med: 'medicine', fm: 'family medicine',
+    card: 'cardiology', cards: 'cardiology', endo: 'endocrinology', neph: 'nephrology',
+    pulm: 'pulmonology', neur: 'neurology', neuro: 'neurology', derm: 'dermatology',
+    onc: 'oncology', onco: 'oncology', peds: 'pediatric', pediatrics: 'pediatric',
+    icu: 'intensive care unit', picu: 'pediatric intensive care unit', nicu: 'neonatal intensive care unit',
+    ccu: 'coronary care unit', ed: 'emergency department', er: 'emergency department',
+    or: 'operating room', pacu: 'post anesthesia care unit', ch: 'childrens hospital',
+    oumc: 'ou medical center', ctr: 'center'
+  };
+
+  // Words that say nothing about which place it is
+  const STOP_WORDS = { clinic: true, the: true, of: true, and: true, '&': true };
+
+  let links = {};      // 'system:key' → link name
+  let linkNames = {};  // link name (lowercase) → link name
+
+  function locationKey(system, key) {
+    return system + ':' + String(key == null ? '' : key).trim().toUpperCase();
+  }
+
+  function addRow(row) {
+    const system = String(row.system || '').trim().toLowerCase();
+    const name = String(row.link_name || '').trim();
+    if (!KEY_COLUMNS[system] || !name || !String(row.location_key || '').trim()) return false;
+    links[locationKey(system, row.location_key)] = name;
+    linkNames[name.toLowerCase()] = name;
+    return true;
+  }
+
+  /**
+   * Replace the crosswalk with parsed rows of data/location-crosswalk.csv.
+   * Rows with an unknown system, no key or no link name are skipped.
+   * @returns {number} Rows loaded
+   */
+  function load(rows) {
+    links = {};
+    linkNames = {};
+    return (rows || []).filter(addRow).length;
+  }
+
+  /**
+   * Add confirmed links for this session.
+   * @param {Object[]} rows - in the CSV layout
+   * @returns {number} Rows added
+   */
+  function addLinks(rows) {
+    return rows.filter(addRow).length;
+  }
+
+  function size() {
+    return Object.keys(linkNames).length;
+  }
+
+  /**
+   * The link name of a loaded location row (by its _source and key column), or ''.
+   */
+  function linkOf(row) {
+    const column = KEY_COLUMNS[row._source];
+    return column ? (links[locationKey(row._source, row[column])] || '') : '';
+  }
+
+  function keyOf(row) {
+    const column = KEY_COLUMNS[row._source];
+    return column ? String(row[column] == null ? '' : row[column]).trim() : '';
+  }
+
+  function nameOf(row) {
+    const columns = NAME_COLUMNS[row._source] || [];
+    const col = columns.find(c => row[c] && row[c] !== 'NULL');
+    return col ? String(row[col]).trim() : '';
+  }
+
+  /**
+   * Distinct name tokens of a row, abbreviations expanded, stop words dropped.
+   */
+  function tokensOf(row) {
+    const seen = {};
+    (NAME_COLUMNS[row._source] || []).forEach(c => {
+      String(row[c] || '').toLowerCase().replace(/'/g, '').replace(/[^a-z0-9&]+/g, ' ').split(' ').forEach(word => {
+        if (!word) return;
+        (ABBREVIATIONS[word] || word).split(' ').forEach(t => {
+          if (!STOP_WORDS[t]) seen[t] = true;
+        });
+      });
+    });
+    return Object.keys(seen);
+  }
+
+  /**
+   * Token similarity of two rows (0–1): the weight of shared tokens over the
+   * weight of all their tokens, each token weighted by its rarity.
+   */
+  function similarity(tokensA, tokensB, weight) {
+    let shared = 0;
+    let total = 0;
+    const inB = {};
+    tokensB.forEach(t => { inB[t] = true; total += weight(t); });
+    tokensA.forEach(t => {
+      if (inB[t]) shared += weight(t);
+      else total += weight(t);
+    });
+    return total > 0 ? shared / total : 0;
+  }
+
+  /**
+   * Propose links between unlinked rows of different systems. Rows of the
+   * first system present (Epic, else GECB) anchor the proposals; each other
+   * system contributes its best match per anchor, best scores assigned first,
+   * every row used at most once.
+   * @param {Object[]} rows      - Loaded location rows (with _source)
+   * @param {number}   threshold - Lowest similarity proposed (default 0.5)
+   * @returns {Object[]} [{ name, members: [{ row, score }], score }], best first;
+   *   name is the anchor's display name, for the team to edit
+   */
+  function suggest(rows, threshold) {
+    const min = threshold === undefined ? 0.5 : threshold;
+    const tokens = new Map();
+    const df = {};
+    rows.forEach(row => {
+      const t = tokensOf(row);
+      tokens.set(row, t);
+      t.forEach(tok => { df[tok] = (df[tok] || 0) + 1; });
+    });
+    const weight = t => Math.log(1 + rows.length / (df[t] || 1));
+
+    const bySystem = {};
+    rows.forEach(row => {
+      if (!KEY_COLUMNS[row._source] || linkOf(row) || tokens.get(row).length === 0) return;
+      (bySystem[row._source] || (bySystem[row._source] = [])).push(row);
+    });
+    const systems = SYSTEMS.filter(s => bySystem[s]);
+    if (systems.length < 2) return [];
+    const anchors = bySystem[systems[0]];
+
+    const proposals = new Map();   // anchor row → proposal
+    systems.slice(1).forEach(system => {
+      const pairs = [];
+      anchors.forEach(a => {
+        bySystem[system].forEach(b => {
+          const score = similarity(tokens.get(a), tokens.get(b), weight);
+          if (score >= min) pairs.push({ a: a, b: b, score: score });
+        });
+      });
+      pairs.sort((x, y) => y.score - x.score);
+      const usedA = new Set();
+      const usedB = new Set();
+      pairs.forEach(p => {
+        if (usedA.has(p.a) || usedB.has(p.b)) return;
+        usedA.add(p.a);
+        usedB.add(p.b);
+        if (!proposals.has(p.a)) proposals.set(p.a, { name: nameOf(p.a), members: [{ row: p.a, score: 1 }], score: 1 });
+        const proposal = proposals.get(p.a);
+        proposal.members.push({ row: p.b, score: p.score });
+        proposal.score = Math.min(proposal.score, p.score);
+      });
+    });
+
+    return Array.from(proposals.values()).sort((x, y) => y.score - x.score || x.name.localeCompare(y.name));
+  }
+
+  /**
+   * Rows of a link in the CSV layout, for confirming a proposal.
+   */
+  function toLinkRows(name, rows, note) {
+    return rows.map(row => ({
+      link_name: name, system: row._source, location_key: keyOf(row), location_name: nameOf(row), note: note || ''
+    }));
+  }
+
+  /**
+   * Build a contribution CSV in the data/location-crosswalk.csv layout.
+   */
+  function buildContributionContent(rows) {
+    function csvQuote(val) {
+      const s = String(val == null ? '' : val);
+      return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    }
+    const lines = rows.map(r => [r.link_name, r.system, r.location_key, r.location_name, r.note].map(csvQuote).join(','));
+    return ['link_name,system,location_key,location_name,note'].concat(lines).join('\n') + '\n';
+  }
+
+  /**
+   * Repo path for a contribution file, unique per minute.
+   */
+  function getContributionPath(date) {
+    const stamp = (date || new Date()).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return CONTRIBUTION_DIR + '/location-crosswalk-' + stamp + '.csv';
+  }
+
+  /**
+   * Every link name, sorted.
+   */
+  function getLinkNames() {
+    return Object.keys(linkNames).map(k => linkNames[k]).sort((a, b) => a.localeCompare(b));
+  }
+
+  return {
+    load,
+    addLinks,
+    size,
+    linkOf,
+    keyOf,
+    nameOf,
+    suggest,
+    toLinkRows,
+    buildContributionContent,
+    getContributionPath,
+    getLinkNames
+  };
+})();
@@ -0,0 +1,184 @@
+// ============================================================================
+// location-hierarchy.js
+// Locations as facility → department → room/bed, per source system
+//   Epic:     location_name → department_name, is_bed / is_room marking
+//             bed- and room-level rows
+//   GECB:     billing_loc_name → sched_location
+//   Meditech: facility_name (else campus_name) → location_description
+// A department node holds every row with its name; Epic rows flagged
+// is_bed or is_room are its rooms and beds.
+//
+// A facility or department is selected with a chip on the source's own
+// columns, e.g. location_name:="OU Medical Center" AND department_name:="OUMC ICU",
+// which no other system's rows have; := compares the whole cell, so
+// "OU Medical Center Edmond" and "OUMC ICU STEPDOWN" stay out. Hiding bed/room rows is a facet
+// selection on is_bed / is_room (see Facets), so it's in the manifest.
+// ============================================================================
+
+const LocationHierarchy = (function () {
+
+  const SYSTEMS = ['epic', 'gecb', 'meditech'];
+
+  // Columns naming each level, first non-blank wins
+  const LEVEL_COLUMNS = {
+    epic:     { facility: ['location_name'],                 department: ['department_name', 'department_external_name'] },
+    gecb:     { facility: ['billing_loc_name'],              department: ['sched_location', 'clinic_name'] },
+    meditech: { facility: ['facility_name', 'campus_name'],  department: ['location_description', 'location_mnemonic'] }
+  };
+
+  const BED_ROOM_COLUMNS = ['is_bed', 'is_room'];
+
+  function isFlagged(value) {
+    return /^(1|y|yes|t|true)$/i.test(String(value == null ? '' : value).trim());
+  }
+
+  /**
+   * 'bed', 'room' or '' for a department-level row.
+   */
+  function kindOf(row) {
+    if (isFlagged(row.is_bed)) return 'bed';
+    if (isFlagged(row.is_room)) return 'room';
+    return '';
+  }
+
+  function isBedOrRoom(row) {
+    return kindOf(row) !== '';
+  }
+
+  function levelCell(row, columns) {
+    for (let i = 0; i < columns.length; i++) {
+      const v = Facets.valueOf(row, columns[i]);
+      if (v) return { column: columns[i], value: v };
+    }
+    return null;
+  }
+
+  /**
+   * Build a tree per source system.
+   * @param {Object[]} rows - Loaded location rows (with _source)
+   * @returns {{roots: Object[], nodes: Object[], skipped: number}}
+   *   roots: a node per source; nodes: every node by id; skipped: rows without
+   *   a facility or department.
+   *   Node: { id, level (source/facility/department), name, source, column,
+   *   parent, children, rows (department rows), all }
+   */
+  function build(rows) {
+    const nodes = [];
+    const bySource = {};
+    let skipped = 0;
+
+    function child(parent, level, cell, source) {
+      const key = level + ':' + cell.column + ':' + cell.value.toLowerCase();
+      if (!parent.map[key]) {
+        const node = { id: nodes.length, level: level, name: cell.value, source: source, column: cell.column,
+          parent: parent, children: [], rows: [], all: [], map: {} };
+        nodes.push(node);
+        parent.map[key] = node;
+        parent.children.push(node);
+      }
+      return parent.map[key];
+    }
+
+    rows.forEach(row => {
+      const columns = LEVEL_COLUMNS[row._source];
+      const facility = columns && levelCell(row, columns.facility);
+      const department = columns && levelCell(row, columns.department);
+      if (!facility || !department) {
+        skipped++;
+        return;
+      }
+      const root = bySource[row._source] || (bySource[row._source] = {
+        id: -1, level: 'source', name: row._source, source: row._source, column: '', parent: null,
+        children: [], rows: [], all: [], map: {}
+      });
+      const f = child(root, 'facility', facility, row._source);
+      const d = child(f, 'department', department, row._source);
+      d.rows.push(row);
+      [root, f, d].forEach(n => n.all.push(row));
+    });
+
+    const roots = SYSTEMS.filter(s => bySource[s]).map(s => bySource[s]);
+    roots.forEach(root => {
+      root.id = nodes.length;
+      nodes.push(root);
+    });
+    (function tidy(list) {
+      list.forEach(n => {
+        delete n.map;
+        n.children.sort((a, b) => a.name.localeCompare(b.name));
+        tidy(n.children);
+      });
+    })(roots);
+
+    return { roots: roots, nodes: nodes, skipped: skipped };
+  }
+
+  /**
+   * How much of a node is checked, counting only rows `visible` lets through.
+   * @returns {{checked: number, total: number, isPartial: boolean}}
+   */
+  function status(node, visible) {
+    const rows = visible ? node.all.filter(visible) : node.all;
+    const checked = rows.filter(r => r.desired).length;
+    return { checked: checked, total: rows.length, isPartial: checked > 0 && checked < rows.length };
+  }
+
+  /**
+   * The chip selecting exactly a facility or a department; '' for a source
+   * node.
+   */
+  function chipFor(node) {
+    const parts = [];
+    for (let n = node; n && n.level !== 'source'; n = n.parent) {
+      parts.unshift(n.column + ':="' + n.name.replace(/"/g, '') + '"');
+    }
+    return parts.join(' AND ');
+  }
+
+  /**
+   * Facet selections keeping only department-level rows: every is_bed /
+   * is_room value of the rows that isn't a flag (blank included, so other
+   * systems' rows stay).
+   * @returns {Object} column → [value, ...]
+   */
+  function departmentOnlySelections(rows) {
+    const selections = {};
+    BED_ROOM_COLUMNS.forEach(column => {
+      const values = {};
+      let present = false;
+      rows.forEach(row => {
+        const v = Facets.valueOf(row, column);
+        if (v) present = true;
+        if (!isFlagged(v)) values[v] = true;
+      });
+      if (present) selections[column] = Object.keys(values).sort();
+    });
+    return selections;
+  }
+
+  /**
+   * Do facet selections hide the bed/room rows? True when a bed/room column
+   * has values selected and none of them is a flag.
+   */
+  function hidesBedRooms(selections) {
+    return BED_ROOM_COLUMNS.some(column => {
+      const values = (selections || {})[column];
+      return !!values && values.length > 0 && !values.some(isFlagged);
+    });
+  }
+
+  function getBedRoomColumns() {
+    return BED_ROOM_COLUMNS.slice();
+  }
+
+  return {
+    kindOf,
+    isBedOrRoom,
+    build,
+    status,
+    chipFor,
+    departmentOnlySelections,
+    hidesBedRooms,
+    getBedRoomColumns
+  };
+})();
@@ -0,0 +1,105 @@
+// ============================================================================
+// med-attributes.js
+// Strength, dose form and route parsed out of medication names
+// Epic, Meditech and Centricity only carry the name string
+// ("METFORMIN HCL 500MG TAB", "INSULIN LISPRO 100 UNITS/ML INJ"), so the
+// medication filters read these hidden fields, set at load time:
+//   _strength      - first dose number (500, 100)
+//   _strength_unit - its unit (mg, unit/ml, mg/5 ml)
+//   _dose_form     - tablet, capsule, injection, ...
+//   _route         - written in the name (oral, intravenous, ...) or implied
+//                    by the dose form (tablet → oral, patch → transdermal)
+// Names are parsed in their normalized spelling (see Normalizer), which has
+// already split "500MG" into "500 mg" and spelled out TAB / INJ / PO / IV.
+// ============================================================================
+
+const MedAttributes = (function () {
+
+  // Name columns, first one present wins: Epic, Meditech / harmonized, Centricity
+  const NAME_COLUMNS = ['name', 'medication_name', 'description'];
+
+  const STRENGTH = /(^|\s)(\d+(?:\.\d+)?) (mg|mcg|g|unit|meq|mmol|%)(?:\/((?:\d+(?:\.\d+)? )?(?:ml|l|g|hr|actuation)))?(?=\s|$)/;
+
+  // Mass units convert to mg so "≥ 1 g" and "≥ 1000 mg" agree
+  const MG_PER = { mg: 1, g: 1000, mcg: 0.001 };
+
+  // Dose forms, most specific first; values are the form reported
+  const FORMS = [
+    ['orally disintegrating tablet', 'tablet'],
+    ['tablet', 'tablet'], ['capsule', 'capsule'], ['injection', 'injection'], ['pen', 'injection'],
+    ['suspension', 'suspension'], ['solution', 'solution'], ['syrup', 'syrup'], ['elixir', 'elixir'],
+    ['suppository', 'suppository'], ['ointment', 'ointment'], ['cream', 'cream'], ['gel', 'gel'],
+    ['lotion', 'lotion'], ['patch', 'patch'], ['inhaler', 'inhaler'], ['spray', 'spray'],
+    ['drops', 'drops'], ['drop', 'drops'], ['powder', 'powder'], ['liquid', 'liquid'],
+    ['lozenge', 'lozenge'], ['film', 'film']
+  ];
+
+  const ROUTES = [
+    'oral', 'intravenous', 'subcutaneous', 'intramuscular', 'topical', 'ophthalmic', 'otic',
+    'nasal', 'rectal', 'vaginal', 'inhalation', 'transdermal', 'sublingual', 'buccal'
+  ];
+
+  // Route implied by a dose form when the name doesn't say
+  const FORM_ROUTES = {
+    tablet: 'oral', capsule: 'oral', syrup: 'oral', elixir: 'oral', lozenge: 'oral',
+    suppository: 'rectal', ointment: 'topical', cream: 'topical', gel: 'topical', lotion: 'topical',
+    patch: 'transdermal', inhaler: 'inhalation', injection: 'injectable'
+  };
+
+  function hasWord(text, word) {
+    return (' ' + text + ' ').indexOf(' ' + word + ' ') !== -1;
+  }
+
+  /**
+   * Parse one medication name.
+   * @returns {{strength: number|null, unit: string, form: string, route: string}}
+   */
+  function parse(name) {
+    const text = Normalizer.normalize('medication', name);
+    const result = { strength: null, unit: '', form: '', route: '' };
+
+    const m = text.match(STRENGTH);
+    if (m) {
+      result.strength = parseFloat(m[2]);
+      result.unit = m[3] + (m[4] ? '/' + m[4] : '');
+    }
+
+    const form = FORMS.find(f => hasWord(text, f[0]));
+    if (form) result.form = form[1];
+
+    result.route = ROUTES.find(r => hasWord(text, r)) || FORM_ROUTES[result.form] || '';
+    return result;
+  }
+
+  /**
+   * Set the hidden attribute fields on a loaded medication row.
+   */
+  function annotate(row) {
+    const col = NAME_COLUMNS.find(c => row[c]);
+    const attrs = parse(col ? row[col] : '');
+    row._strength = attrs.strength;
+    row._strength_unit = attrs.unit;
+    row._dose_form = attrs.form;
+    row._route = attrs.route;
+    return row;
+  }
+
+  /**
+   * A row's strength in the given unit, or null when it can't be compared
+   * (no strength, a concentration, or a different kind of unit).
+   */
+  function strengthIn(row, unit) {
+    if (row._strength === null || row._strength === undefined) return null;
+    if (row._strength_unit === unit) return row._strength;
+    if (MG_PER[row._strength_unit] && MG_PER[unit]) {
+      return row._strength * MG_PER[row._strength_unit] / MG_PER[unit];
+    }
+    return null;
+  }
+
+  return {
+    parse,
+    annotate,
+    strengthIn
+  };
+})();
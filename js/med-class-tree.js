@@ -0,0 +1,115 @@
+// ============================================================================
+// med-class-tree.js
+// Epic's drug classification as a tree: therapeutic_class →
+// pharmaceutical_class → pharmaceutical_subclass
+// ("Endocrine → Antihyperglycemics → Biguanides")
+// Rows without a therapeutic class (Meditech, Centricity) are left out; a row
+// without a subclass sits on its class node.
+//
+// A class is selected with a chip naming its whole path, exactly, in the
+// field aliases of SearchEngine, e.g.
+//   therapeutic:="Endocrine" AND class:="Antihyperglycemics" AND subclass:="Biguanides"
+// so the selection is in the search-terms manifest (with its class_path) and
+// finds new products of the class when the dictionary is refreshed.
+// ============================================================================
+
+const MedClassTree = (function () {
+
+  const LEVELS = [
+    { column: 'therapeutic_class',       field: 'therapeutic', label: 'Therapeutic class' },
+    { column: 'pharmaceutical_class',    field: 'class',       label: 'Pharmaceutical class' },
+    { column: 'pharmaceutical_subclass', field: 'subclass',    label: 'Pharmaceutical subclass' }
+  ];
+
+  // A chip made by chipFor, read back into its path
+  const CLASS_CHIP = /^therapeutic:=?"([^"]+)"(?: AND class:=?"([^"]+)")?(?: AND subclass:=?"([^"]+)")?$/;
+
+  function cell(row, column) {
+    const v = String(row[column] || '').trim();
+    return v === 'NULL' ? '' : v;
+  }
+
+  /**
+   * Build the class tree.
+   * @param {Object[]} rows - Loaded medication rows
+   * @returns {{roots: Object[], nodes: Object[], skipped: number}}
+   *   roots: therapeutic classes by name; nodes: every node by id; skipped:
+   *   rows without a therapeutic class.
+   *   Node: { id, level (0-2, see getLevelLabel), name, path, parent (null
+   *   for a therapeutic class), children, rows (its own), all (its own and
+   *   every descendant's) }
+   */
+  function build(rows) {
+    const nodes = [];
+    const root = { children: [], map: {} };
+    let skipped = 0;
+
+    rows.forEach(row => {
+      let parent = root;
+      const path = [];
+      for (let level = 0; level < LEVELS.length; level++) {
+        const name = cell(row, LEVELS[level].column);
+        if (!name) break;
+        path.push(name);
+        const key = name.toLowerCase();
+        if (!parent.map[key]) {
+          const node = { id: nodes.length, level: level, name: name, path: path.slice(),
+            parent: parent === root ? null : parent, children: [], rows: [], all: [], map: {} };
+          nodes.push(node);
+          parent.map[key] = node;
+          parent.children.push(node);
+        }
+        parent = parent.map[key];
+        parent.all.push(row);
+      }
+      if (parent === root) skipped++;
+      else parent.rows.push(row);
+    });
+
+    function tidy(node) {
+      delete node.map;
+      node.children.sort((a, b) => a.name.localeCompare(b.name)).forEach(tidy);
+    }
+    tidy(root);
+
+    return { roots: root.children, nodes: nodes, skipped: skipped };
+  }
+
+  /**
+   * How much of a node is checked.
+   * @returns {{checked: number, total: number, isPartial: boolean}}
+   */
+  function status(node) {
+    const checked = node.all.filter(r => r.desired).length;
+    return { checked: checked, total: node.all.length, isPartial: checked > 0 && checked < node.all.length };
+  }
+
+  /**
+   * The chip selecting every row of a class: each level's cell must be the
+   * class name exactly, so "Endocrine" leaves out "Endocrine and Metabolic".
+   */
+  function chipFor(node) {
+    return node.path.map((name, i) => LEVELS[i].field + ':="' + name.replace(/"/g, '') + '"').join(' AND ');
+  }
+
+  /**
+   * "Endocrine > Antihyperglycemics > Biguanides" for a chip made by chipFor, else ''.
+   */
+  function classPathOf(keyword) {
+    const m = String(keyword || '').trim().match(CLASS_CHIP);
+    if (!m || (m[3] && !m[2])) return '';
+    return m.slice(1).filter(Boolean).join(' > ');
+  }
+
+  function getLevelLabel(level) {
+    return LEVELS[level] ? LEVELS[level].label : '';
+  }
+
+  return {
+    build,
+    status,
+    chipFor,
+    classPathOf,
+    getLevelLabel
+  };
+})();
@@ -0,0 +1,149 @@
+// ============================================================================
+// med-linking.js
+// Cross-system medication linking: rows of Epic, Meditech and Centricity
+// clustered into ingredient-level groups
+// Two rows belong to the same group when they share any of:
+//   generic - normalized generic name (generic_name / generic / genericmed),
+//             salt forms dropped by Normalizer ("METFORMIN HCL" → metformin)
+//   ndc     - labeler + product of the 11-digit NDC (ndc / ndc_11), so package
+//             sizes link; hyphenated 10-digit NDCs (4-4-2, 5-3-2, 5-4-1) are
+//             padded to 5-4-2 first
+//   gpi     - the first 10 digits of the GPI (drug name, without dose form or strength)
+// and groups chain: a Centricity row with a GPI and an NDC joins both the
+// Meditech row with that NDC and the Centricity rows with that GPI.
+// ============================================================================
+
+const MedLinking = (function () {
+
+  const GENERIC_COLUMNS = ['generic_name', 'generic', 'genericmed'];
+  const NDC_COLUMNS = ['ndc_11', 'ndc'];
+  const NAME_COLUMNS = ['name', 'medication_name', 'description'];
+
+  function cell(row, columns) {
+    for (let i = 0; i < columns.length; i++) {
+      const v = String(row[columns[i]] || '').trim();
+      if (v && v !== 'NULL') return v;
+    }
+    return '';
+  }
+
+  /**
+   * An NDC in 11-digit 5-4-2 form, or '' when it can't be read. Unhyphenated
+   * 10-digit NDCs are ambiguous (which segment lost its zero?) and give ''.
+   */
+  function normalizeNdc(value) {
+    const s = String(value || '').trim();
+    const parts = s.split('-');
+    if (parts.length === 3) {
+      const padded = parts[0].padStart(5, '0') + parts[1].padStart(4, '0') + parts[2].padStart(2, '0');
+      return /^\d{11}$/.test(padded) ? padded : '';
+    }
+    const digits = s.replace(/\s/g, '');
+    return /^\d{11}$/.test(digits) ? digits : '';
+  }
+
+  /**
+   * The drug-name level of a GPI (first 10 digits), or ''.
+   */
+  function gpiPrefix(value) {
+    const digits = String(value || '').replace(/[\s-]/g, '');
+    return /^\d{10,14}$/.test(digits) ? digits.slice(0, 10) : '';
+  }
+
+  function genericOf(row) {
+    return Normalizer.normalize('medication', cell(row, GENERIC_COLUMNS));
+  }
+
+  function nameOf(row) {
+    return cell(row, NAME_COLUMNS);
+  }
+
+  /**
+   * Link keys of a row: generic:…, ndc:… (9-digit labeler + product), gpi:….
+   */
+  function linkKeys(row) {
+    const keys = [];
+    const generic = genericOf(row);
+    if (generic) keys.push('generic:' + generic);
+    const ndc = normalizeNdc(cell(row, NDC_COLUMNS));
+    if (ndc) keys.push('ndc:' + ndc.slice(0, 9));
+    const gpi = gpiPrefix(row.gpi);
+    if (gpi) keys.push('gpi:' + gpi);
+    return keys;
+  }
+
+  /**
+   * Cluster rows into ingredient groups.
+   * @param {Object[]} rows - Loaded medication rows (with _source)
+   * @returns {Object[]} [{ key, name, members: [row, ...], sources: { source → [row, ...] },
+   *   linkedBy: { generic, ndc, gpi } }] — every row with a link key is in exactly one
+   *   group; sorted by name
+   */
+  function group(rows) {
+    // Union-find over row indices, joined through the first row seen per key
+    const parent = rows.map((row, i) => i);
+    const find = i => {
+      while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+      return i;
+    };
+    const firstWithKey = {};
+    const keysOf = rows.map((row, i) => {
+      const keys = linkKeys(row);
+      keys.forEach(k => {
+        if (firstWithKey[k] === undefined) firstWithKey[k] = i;
+        else parent[find(i)] = find(firstWithKey[k]);
+      });
+      return keys;
+    });
+
+    const groups = {};
+    rows.forEach((row, i) => {
+      if (keysOf[i].length === 0) return;
+      const root = find(i);
+      const g = groups[root] || (groups[root] = { key: '', name: '', members: [], sources: {}, linkedBy: {}, _generics: {} });
+      g.members.push(row);
+      (g.sources[row._source] || (g.sources[row._source] = [])).push(row);
+      keysOf[i].forEach(k => {
+        const kind = k.slice(0, k.indexOf(':'));
+        // A kind links the group only when two of its rows share that key
+        if (firstWithKey[k] !== i) g.linkedBy[kind] = true;
+        if (kind === 'generic') g._generics[k.slice(8)] = (g._generics[k.slice(8)] || 0) + 1;
+      });
+    });
+
+    return Object.keys(groups).map(root => {
+      const g = groups[root];
+      const generics = Object.keys(g._generics).sort((a, b) => g._generics[b] - g._generics[a] || a.localeCompare(b));
+      g.name = generics[0] || nameOf(g.members[0]).toLowerCase();
+      g.key = g.name + ':' + root;
+      delete g._generics;
+      return g;
+    }).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * How much of a group is checked.
+   * @returns {{checked: number, total: number, isPartial: boolean}}
+   */
+  function status(g) {
+    const checked = g.members.filter(r => r.desired).length;
+    return { checked: checked, total: g.members.length, isPartial: checked > 0 && checked < g.members.length };
+  }
+
+  /**
+   * Groups with some but not all members checked.
+   */
+  function partial(groups) {
+    return groups.filter(g => status(g).isPartial);
+  }
+
+  return {
+    normalizeNdc,
+    gpiPrefix,
+    genericOf,
+    nameOf,
+    group,
+    status,
+    partial
+  };
+})();
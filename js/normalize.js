@@ -0,0 +1,152 @@
+// ============================================================================
+// normalize.js
+// Clinical text normalization for medication and lab names
+// Epic, Meditech and Centricity spell the same product differently:
+//   "METFORMIN HCL 500MG TAB" / "METFORMIN 500 MG TABLET" / "METFORMIN HCL 500 MG ORAL TABLET"
+// normalizeRow() stores a normalized copy of each name column in a hidden
+// _norm_<column> field at load time ("metformin 500 mg tablet"), and
+// SearchEngine searches those fields next to the raw text. Chip text is
+// normalized the same way, so "metformin 500mg tab" finds all three systems.
+//
+// Steps, in order: lowercase; "1,000" → "1000"; split a dose from its unit
+// ("500mg" → "500 mg"); standardize units (MCG/UG → mcg, GM → g, UNITS → unit);
+// expand dose-form and route abbreviations (TAB → tablet, INJ → injection);
+// drop salt forms after a drug name (HCl, sodium, succinate — but not
+// "sodium chloride", where the salt word comes first).
+// ============================================================================
+
+const Normalizer = (function () {
+
+  // Columns normalized per dictionary type (only those a row has are used)
+  const NORMALIZED_COLUMNS = {
+    medication: ['name', 'medication_name', 'generic_name', 'generic', 'description', 'genericmed'],
+    lab: ['name', 'lab_name', 'common_name', 'lab_desc', 'loinc_name']
+  };
+
+  const NORM_PREFIX = '_norm_';
+
+  const UNITS = {
+    mg: 'mg', mgs: 'mg', milligram: 'mg', milligrams: 'mg',
+    mcg: 'mcg', ug: 'mcg', 'µg': 'mcg', microgram: 'mcg', micrograms: 'mcg',
+    g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+    ml: 'ml', mls: 'ml', milliliter: 'ml', milliliters: 'ml',
+    l: 'l', liter: 'l', liters: 'l',
+    unit: 'unit', units: 'unit', unt: 'unit', un: 'unit', u: 'unit', iu: 'unit',
+    meq: 'meq', mmol: 'mmol', hr: 'hr', hrs: 'hr', dl: 'dl'
+  };
+
+  // Abbreviations expanded per type. Values may be several words.
+  const ABBREVIATIONS = {
+    medication: {
+      tab: 'tablet', tabs: 'tablet', tb: 'tablet', tablets: 'tablet',
+      cap: 'capsule', caps: 'capsule', cp: 'capsule', capsules: 'capsule',
+      inj: 'injection', injectable: 'injection',
+      soln: 'solution', sol: 'solution',
+      susp: 'suspension', supp: 'suppository', oint: 'ointment',
+      crm: 'cream', liq: 'liquid', syr: 'syrup', pwd: 'powder', powd: 'powder',
+      chew: 'chewable', odt: 'orally disintegrating tablet',
+      ec: 'enteric coated', dr: 'delayed release',
+      er: 'extended release', xr: 'extended release', xl: 'extended release',
+      sr: 'extended release', cr: 'extended release',
+      po: 'oral', iv: 'intravenous', im: 'intramuscular', sl: 'sublingual', subq: 'subcutaneous', subcut: 'subcutaneous', sq: 'subcutaneous',
+      top: 'topical', ophth: 'ophthalmic', oph: 'ophthalmic', inh: 'inhalation', inhal: 'inhalation',
+      neb: 'nebulization'
+    },
+    lab: {
+      ser: 'serum', plas: 'plasma', bld: 'blood', wb: 'whole blood', ur: 'urine', urn: 'urine',
+      lvl: 'level', tot: 'total', qn: 'quantitative', qnt: 'quantitative', ql: 'qualitative',
+      ab: 'antibody', ag: 'antigen', conc: 'concentration', cnt: 'count', ct: 'count',
+      pct: 'percent', abs: 'absolute'
+    }
+  };
+
+  // Salt forms dropped when they follow a drug name
+  const SALTS = {
+    medication: [
+      'hcl', 'hydrochloride', 'hbr', 'hydrobromide', 'sodium', 'potassium', 'calcium',
+      'sulfate', 'sulphate', 'succinate', 'tartrate', 'bitartrate', 'maleate', 'mesylate',
+      'besylate', 'citrate', 'acetate', 'phosphate', 'fumarate', 'hyclate', 'bromide',
+      'monohydrate', 'dihydrate', 'trihydrate'
+    ]
+  };
+
+  /**
+   * Does this dictionary type have a normalization pipeline?
+   */
+  function appliesTo(type) {
+    return !!NORMALIZED_COLUMNS[type];
+  }
+
+  function mapToken(token, abbreviations) {
+    if (UNITS[token]) return UNITS[token];
+    if (abbreviations[token]) return abbreviations[token];
+    return token;
+  }
+
+  /**
+   * Normalize one name. Types without a pipeline just get lowercased text.
+   * @param {string} type - Dictionary type
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalize(type, text) {
+    let lower = String(text || '').toLowerCase().trim();
+    if (!appliesTo(type)) return lower;
+
+    const abbreviations = ABBREVIATIONS[type] || {};
+    const salts = SALTS[type] || [];
+
+    lower = lower
+      .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+      // A number glued to its unit, but not digits inside a word (hba1c, b12)
+      .replace(/(^|[^a-z0-9.])(\d+(?:\.\d+)?)([a-zµ%])/g, '$1$2 $3')
+      .replace(/[(),;]+/g, ' ');
+
+    const out = [];
+    lower.split(/\s+/).forEach(token => {
+      if (!token) return;
+      const mapped = token.split('/').map(part => mapToken(part, abbreviations)).join('/');
+      const prev = out[out.length - 1];
+      // A salt only after a drug word: "losartan potassium" but not "potassium chloride"
+      if (salts.indexOf(mapped) !== -1 && prev && /^[a-z]/.test(prev) && salts.indexOf(prev) === -1) return;
+      out.push(mapped);
+    });
+    return out.join(' ');
+  }
+
+  /**
+   * Store the normalized name columns on a loaded row as _norm_<column>.
+   * Columns whose normalized text adds nothing beyond the raw lowercase
+   * value are skipped to keep large dictionaries small.
+   */
+  function normalizeRow(type, row) {
+    const columns = NORMALIZED_COLUMNS[type];
+    if (!columns) return row;
+    columns.forEach(col => {
+      const raw = row[col];
+      if (raw === undefined || raw === null || raw === '') return;
+      const normalized = normalize(type, raw);
+      if (normalized !== String(raw).toLowerCase().trim()) row[NORM_PREFIX + col] = normalized;
+    });
+    return row;
+  }
+
+  /**
+   * Hidden normalized fields of these columns present on a row.
+   */
+  function getNormalizedColumns(columns, row) {
+    return columns.map(col => NORM_PREFIX + col).filter(col => row[col]);
+  }
+
+  function isNormalizedColumn(key) {
+    return key.startsWith(NORM_PREFIX);
+  }
+
+  return {
+    appliesTo,
+    normalize,
+    normalizeRow,
+    getNormalizedColumns,
+    isNormalizedColumn
+  };
+})();
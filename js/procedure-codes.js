@@ -0,0 +1,90 @@
+// ============================================================================
+// procedure-codes.js
+// CPT section and harmonized vocabulary of procedure rows
+// Epic rows carry their code in cpt_code (keyed by procedure_key), GECB rows
+// in billing_code as well; set at load time:
+//   cpt_section   - where the code sits in CPT: E/M, Anesthesia, Surgery,
+//                   Radiology, Path/Lab, Medicine, Category II, Category III,
+//                   or HCPCS for Level II codes (J1100, E1130)
+//   vocabulary_id - CPT4 or HCPCS from the code's shape, whatever spelling
+//                   the source used ("CPT", "HCPCS Level II", blank)
+// The section is a facet on the Procedures tab and both go out in the export.
+// ============================================================================
+
+const ProcedureCodes = (function () {
+
+  // Code columns, first one filled wins: Epic / GECB, then GECB's own
+  const CODE_COLUMNS = ['cpt_code', 'billing_code'];
+
+  const CPT = /^\d{5}$/;
+  const CPT_CATEGORY_II = /^\d{4}F$/;
+  const CPT_CATEGORY_III = /^\d{4}T$/;
+  const CPT_LAB = /^\d{4}[MU]$/;      // multianalyte assays and PLA codes
+  const HCPCS = /^[A-Z]\d{4}$/;
+
+  // Category I sections by numeric code, in order; E/M sits inside Medicine
+  const SECTIONS = [
+    { first: 0,     last: 1999,  label: 'Anesthesia' },
+    { first: 10000, last: 69999, label: 'Surgery' },
+    { first: 70000, last: 79999, label: 'Radiology' },
+    { first: 80000, last: 89999, label: 'Path/Lab' },
+    { first: 90000, last: 99199, label: 'Medicine' },
+    { first: 99200, last: 99499, label: 'E/M' },
+    { first: 99500, last: 99999, label: 'Medicine' }
+  ];
+
+  /**
+   * A row's procedure code, uppercased; a modifier ("99213-25") is dropped.
+   */
+  function codeOf(row) {
+    const col = CODE_COLUMNS.find(c => row[c] && row[c] !== 'NULL');
+    const m = col ? String(row[col]).trim().toUpperCase().match(/^([0-9A-Z]{5})(?![0-9A-Z])/) : null;
+    return m ? m[1] : '';
+  }
+
+  /**
+   * CPT section of a code (see the header), '' when it is neither CPT nor HCPCS.
+   */
+  function sectionOf(code) {
+    const c = String(code || '').trim().toUpperCase();
+    if (CPT.test(c)) {
+      const n = Number(c);
+      const section = SECTIONS.find(s => n >= s.first && n <= s.last);
+      return section ? section.label : '';
+    }
+    if (CPT_CATEGORY_II.test(c)) return 'Category II';
+    if (CPT_CATEGORY_III.test(c)) return 'Category III';
+    if (CPT_LAB.test(c)) return 'Path/Lab';
+    if (HCPCS.test(c)) return 'HCPCS';
+    return '';
+  }
+
+  /**
+   * CPT4 or HCPCS for a row: from its code, else from how its vocabulary_id
+   * is spelled; any other vocabulary is kept as it is.
+   */
+  function vocabularyOf(row) {
+    const section = sectionOf(codeOf(row));
+    if (section) return section === 'HCPCS' ? 'HCPCS' : 'CPT4';
+    const id = String(row.vocabulary_id || '').trim();
+    if (/^cpt[\s-]*4?$/i.test(id)) return 'CPT4';
+    if (/^hcpcs/i.test(id)) return 'HCPCS';
+    return id === 'NULL' ? '' : id;
+  }
+
+  /**
+   * Set cpt_section and the harmonized vocabulary_id on a loaded row.
+   */
+  function annotate(row) {
+    row.vocabulary_id = vocabularyOf(row);
+    row.cpt_section = sectionOf(codeOf(row));
+    return row;
+  }
+
+  return {
+    codeOf,
+    sectionOf,
+    vocabularyOf,
+    annotate
+  };
+})();
@@ -0,0 +1,336 @@
+// ============================================================================
+// query-parser.js
+// Boolean query language for keyword chips
+// Tokenizer → AST → evaluator for queries like:
+//   (neoplasm OR carcinoma) AND (breast OR nipple) NOT "in situ"
+//
+// Syntax (operators must be UPPERCASE so ordinary words like "and" still search):
+//   word        - row contains the word (* wildcards and the chip's match mode apply, as in plain chips)
+//   "a phrase"  - one cell contains the exact phrase
+//   A AND B     - both (AND is implied between adjacent terms: A B)
+//   A OR B      - either
+//   NOT A       - row does not contain A  ("A NOT B" reads as A AND NOT B)
+//   ( ... )     - grouping
+//   field:word, field:"a phrase" - only search that field (see SearchEngine)
+//   field:=word, field:="a phrase" - a cell of that field is exactly this
+//               (case and spacing aside), e.g. class:="Antihyperglycemics"
+//               finds no "Antihyperglycemics, Combinations"
+// Precedence, tightest first: NOT, AND, OR.
+// ============================================================================
+
+const QueryParser = (function () {
+
+  const OPERATORS = { AND: true, OR: true, NOT: true };
+  const FIELD_PREFIX = /^([A-Za-z_]+):(.*)$/;
+
+  /**
+   * Does this chip opt into the query language?
+   * A chip is a query when it uses parentheses, a double quote, a
+   * standalone uppercase AND / OR / NOT, or an exact field:=value.
+   */
+  function isQuery(text) {
+    const str = String(text || '');
+    return /[()"]/.test(str) || /(^|\s)(AND|OR|NOT)(?=\s|$)/.test(str) || /(^|[\s(])-?[A-Za-z_]+:=/.test(str);
+  }
+
+  /**
+   * Build an Error carrying the 0-based character position it refers to.
+   */
+  function parseError(message, position) {
+    const err = new Error(message);
+    err.position = position;
+    return err;
+  }
+
+  /**
+   * Split query text into tokens: LPAREN, RPAREN, PHRASE, WORD, AND, OR, NOT.
+   * WORD and PHRASE tokens written as field:value carry the lowercased field;
+   * field:=value is a PHRASE token marked exact.
+   * @returns {Array<{type: string, value: string, pos: number, field?: string, exact?: boolean}>}
+   */
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text.charAt(i);
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(') {
+        tokens.push({ type: 'LPAREN', value: ch, pos: i });
+        i++;
+      } else if (ch === ')') {
+        tokens.push({ type: 'RPAREN', value: ch, pos: i });
+        i++;
+      } else if (ch === '"') {
+        i = readPhrase(i, null, i);
+      } else {
+        const start = i;
+        while (i < text.length && !/[\s()"]/.test(text.charAt(i))) i++;
+        const word = text.slice(start, i);
+        const scoped = word.match(FIELD_PREFIX);
+
+        if (scoped && (!scoped[2] || scoped[2] === '=') && text.charAt(i) === '"') {
+          // field:"a phrase", field:="a phrase"
+          i = readPhrase(i, scoped[1].toLowerCase(), start, scoped[2] === '=');
+        } else if (scoped && scoped[2].charAt(0) === '=' && scoped[2].length > 1) {
+          // field:=word
+          tokens.push({ type: 'PHRASE', value: scoped[2].slice(1), field: scoped[1].toLowerCase(), exact: true, pos: start });
+        } else if (scoped && scoped[2]) {
+          tokens.push({ type: 'WORD', value: scoped[2], field: scoped[1].toLowerCase(), pos: start });
+        } else {
+          tokens.push({ type: OPERATORS[word] ? word : 'WORD', value: word, pos: start });
+        }
+      }
+    }
+
+    return tokens;
+
+    // Read a quoted phrase whose opening quote is at quotePos; returns the index after it
+    function readPhrase(quotePos, field, tokenPos, exact) {
+      const close = text.indexOf('"', quotePos + 1);
+      if (close === -1) {
+        throw parseError('Missing closing quote for the phrase starting at character ' + (quotePos + 1) + '.', quotePos);
+      }
+      const phrase = text.slice(quotePos + 1, close).trim().replace(/\s+/g, ' ');
+      if (!phrase) {
+        throw parseError('Empty quotes at character ' + (quotePos + 1) + ' — put a phrase between them.', quotePos);
+      }
+      const tok = { type: 'PHRASE', value: phrase, pos: tokenPos };
+      if (field) tok.field = field;
+      if (exact) tok.exact = true;
+      tokens.push(tok);
+      return close + 1;
+    }
+  }
+
+  /**
+   * Parse query text into an AST.
+   * Node shapes:
+   *   { type: 'or',  children: [node, ...] }
+   *   { type: 'and', children: [node, ...] }
+   *   { type: 'not', child: node }
+   *   { type: 'term',   value: 'neoplasm', raw: 'neoplasm*', field?: 'name' }
+   *   { type: 'phrase', value: 'in situ',  field?: 'name', exact?: true }
+   * Throws an Error with a friendly message and .position on invalid input.
+   */
+  function parse(text) {
+    const source = String(text || '');
+    const tokens = tokenize(source);
+    let idx = 0;
+
+    if (tokens.length === 0) {
+      throw parseError('The query is empty.', 0);
+    }
+
+    function peek() { return tokens[idx]; }
+    function next() { return tokens[idx++]; }
+    function endPos() { return source.length; }
+
+    function describe(tok) {
+      return tok ? '"' + tok.value + '" at character ' + (tok.pos + 1) : 'the end of the query';
+    }
+
+    function parseOr() {
+      const children = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        const op = next();
+        if (!startsOperand(peek())) {
+          throw parseError('Expected a search term after OR (character ' + (op.pos + 1) + '), found ' + describe(peek()) + '.',
+            peek() ? peek().pos : endPos());
+        }
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children: children };
+    }
+
+    function parseAnd() {
+      const children = [parseNot()];
+      for (;;) {
+        const tok = peek();
+        if (tok && tok.type === 'AND') {
+          next();
+          if (!startsOperand(peek())) {
+            throw parseError('Expected a search term after AND (character ' + (tok.pos + 1) + '), found ' + describe(peek()) + '.',
+              peek() ? peek().pos : endPos());
+          }
+          children.push(parseNot());
+        } else if (startsOperand(tok)) {
+          // Implicit AND between adjacent terms; also covers "A NOT B"
+          children.push(parseNot());
+        } else {
+          break;
+        }
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children: children };
+    }
+
+    function parseNot() {
+      const tok = peek();
+      if (tok && tok.type === 'NOT') {
+        next();
+        if (!startsOperand(peek())) {
+          throw parseError('Expected a search term after NOT (character ' + (tok.pos + 1) + '), found ' + describe(peek()) + '.',
+            peek() ? peek().pos : endPos());
+        }
+        return { type: 'not', child: parseNot() };
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const tok = next();
+      if (!tok) {
+        throw parseError('The query ends where a search term was expected.', endPos());
+      }
+      if (tok.type === 'LPAREN') {
+        if (peek() && peek().type === 'RPAREN') {
+          throw parseError('Empty parentheses at character ' + (tok.pos + 1) + '.', tok.pos);
+        }
+        const inner = parseOr();
+        const close = next();
+        if (!close || close.type !== 'RPAREN') {
+          throw parseError('Missing closing ")" for the "(" at character ' + (tok.pos + 1) + '.', tok.pos);
+        }
+        return inner;
+      }
+      if (tok.type === 'PHRASE') {
+        const phrase = withField({ type: 'phrase', value: tok.value.toLowerCase() }, tok);
+        if (tok.exact) phrase.exact = true;
+        return phrase;
+      }
+      if (tok.type === 'WORD') {
+        const core = tok.value.toLowerCase().replace(/^\*+|\*+$/g, '');
+        if (!core) {
+          throw parseError('A wildcard at character ' + (tok.pos + 1) + ' needs some text with it (e.g. ovar*).', tok.pos);
+        }
+        return withField({ type: 'term', value: core, raw: tok.value.toLowerCase() }, tok);
+      }
+      if (tok.type === 'RPAREN') {
+        throw parseError('Unexpected ")" at character ' + (tok.pos + 1) + ' — it has no matching "(".', tok.pos);
+      }
+      throw parseError(tok.value + ' at character ' + (tok.pos + 1) + ' needs a search term before it.', tok.pos);
+    }
+
+    function withField(node, tok) {
+      if (tok.field) node.field = tok.field;
+      return node;
+    }
+
+    function startsOperand(tok) {
+      return !!tok && (tok.type === 'WORD' || tok.type === 'PHRASE' || tok.type === 'LPAREN' || tok.type === 'NOT');
+    }
+
+    const ast = parseOr();
+    if (idx < tokens.length) {
+      const extra = tokens[idx];
+      if (extra.type === 'RPAREN') {
+        throw parseError('Unexpected ")" at character ' + (extra.pos + 1) + ' — it has no matching "(".', extra.pos);
+      }
+      throw parseError('Unexpected ' + describe(extra) + '.', extra.pos);
+    }
+    return ast;
+  }
+
+  /**
+   * Evaluate an AST against a row's lowercased cell values.
+   * Terms match when any cell contains them; phrases must appear
+   * contiguously (whitespace-normalized) inside a single cell, and exact
+   * phrases must be the whole cell.
+   * Field-scoped nodes look only at fieldValues(field, row); without a
+   * fieldValues callback they never match. Nodes prepared by compile() carry
+   * their own .test (e.g. a whole-word test); others use substring matching.
+   */
+  function evaluate(node, rowValues, row, fieldValues) {
+    switch (node.type) {
+      case 'or':
+        return node.children.some(function (c) { return evaluate(c, rowValues, row, fieldValues); });
+      case 'and':
+        return node.children.every(function (c) { return evaluate(c, rowValues, row, fieldValues); });
+      case 'not':
+        return !evaluate(node.child, rowValues, row, fieldValues);
+      case 'phrase':
+      case 'term':
+        return valuesFor(node, rowValues, row, fieldValues).some(node.test || substringTest(node));
+      default:
+        return false;
+    }
+  }
+
+  function substringTest(node) {
+    if (node.exact) return exactTest(node);
+    if (node.type === 'phrase') {
+      return function (val) { return val.replace(/\s+/g, ' ').includes(node.value); };
+    }
+    return function (val) { return val.includes(node.value); };
+  }
+
+  function exactTest(node) {
+    return function (val) { return val.trim().replace(/\s+/g, ' ') === node.value; };
+  }
+
+  /**
+   * Attach a cell test to every term and phrase node. Exact phrases keep
+   * their own test whatever the chip's match mode.
+   */
+  function prepare(node, textTest) {
+    if (node.children) node.children.forEach(function (c) { prepare(c, textTest); });
+    if (node.child) prepare(node.child, textTest);
+    if (node.type === 'term' || node.type === 'phrase') node.test = node.exact ? exactTest(node) : textTest(node);
+  }
+
+  function valuesFor(node, rowValues, row, fieldValues) {
+    if (!node.field) return rowValues;
+    return fieldValues ? fieldValues(node.field, row) : [];
+  }
+
+  /**
+   * Every field name used by field:value terms in an AST.
+   */
+  function fields(node) {
+    if (node.children) {
+      return node.children.reduce(function (acc, c) { return acc.concat(fields(c)); }, []);
+    }
+    if (node.child) return fields(node.child);
+    return node.field ? [node.field] : [];
+  }
+
+  /**
+   * Parse once and return a matcher with the same signature as plain chip
+   * matchers: (rowValues: string[], row: Object) => boolean.
+   * @param {string}   text
+   * @param {Object}   [options]
+   * @param {Function} [options.fieldValues] - (field, row) => lowercased values of that field
+   * @param {Function} [options.textTest]    - (node) => (value) => boolean, per term/phrase
+   */
+  function compile(text, options) {
+    const opts = options || {};
+    const ast = parse(text);
+    prepare(ast, opts.textTest || substringTest);
+    return function (rowValues, row) { return evaluate(ast, rowValues, row, opts.fieldValues); };
+  }
+
+  /**
+   * Validate query text without throwing.
+   * @returns {string|null} Friendly error message, or null when the query is valid
+   */
+  function validate(text) {
+    try {
+      parse(text);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  return {
+    isQuery,
+    tokenize,
+    parse,
+    evaluate,
+    fields,
+    compile,
+    validate
+  };
+})();
@@ -0,0 +1,189 @@
+// ============================================================================
+// search-index.js
+// Main-thread side of the background search worker (search-worker.js)
+// Large dictionaries are indexed in the worker once they load; keyword
+// searches are posted to it and matches come back in blocks, so typing stays
+// responsive on 200K-row tables. When workers are unavailable (e.g. the page
+// was opened from file://) isReady() stays false and DictApp searches on the
+// main thread as before.
+// ============================================================================
+
+const SearchIndex = (function () {
+
+  const WORKER_URL = 'js/search-worker.js';
+
+  let worker = null;
+  let failed = false;
+  let nextId = 1;
+  const builds = {};    // type → generation of the newest index request
+  const ready = {};     // type → true once the newest index is built
+  const searches = {};  // type → { id, onResults, onError } of the running search
+  const suggests = {};  // type → { id, onResults, onError } of the newest suggest request
+
+  function getWorker() {
+    if (worker || failed) return worker;
+    if (typeof Worker === 'undefined') {
+      failed = true;
+      return null;
+    }
+    try {
+      worker = new Worker(WORKER_URL);
+    } catch (err) {
+      console.warn('[SearchIndex] Background search unavailable, searching on the main thread:', err.message);
+      failed = true;
+      return null;
+    }
+    worker.onmessage = handleMessage;
+    worker.onerror = function (e) {
+      console.warn('[SearchIndex] Background search failed, searching on the main thread:', e.message);
+      e.preventDefault();
+      failed = true;
+      worker.terminate();
+      worker = null;
+      Object.keys(ready).forEach(function (type) { ready[type] = false; });
+      // Hand running searches back to their callers so they can redo them
+      [searches, suggests].forEach(function (pending) {
+        Object.keys(pending).forEach(function (type) {
+          var request = pending[type];
+          delete pending[type];
+          if (request.onError) request.onError(e.message);
+        });
+      });
+    };
+    return worker;
+  }
+
+  function handleMessage(e) {
+    var msg = e.data;
+    if (msg.cmd === 'indexed') {
+      if (builds[msg.type] === msg.gen) {
+        ready[msg.type] = true;
+        console.log('[SearchIndex] Indexed ' + msg.type + ' (' + msg.tokens.toLocaleString() + ' distinct words' +
+          (msg.cached ? ', from the dictionary cache' : '') + ')');
+      }
+      return;
+    }
+
+    var suggest = suggests[msg.type];
+    if (suggest && suggest.id === msg.id) {
+      delete suggests[msg.type];
+      if (msg.cmd === 'suggestions') suggest.onResults(msg.results);
+      else if (suggest.onError) suggest.onError(msg.message);
+      return;
+    }
+
+    // Results and errors of a search that has since been replaced are dropped
+    var search = searches[msg.type];
+    if (!search || search.id !== msg.id) return;
+
+    if (msg.cmd === 'error') {
+      delete searches[msg.type];
+      if (search.onError) search.onError(msg.message);
+    } else if (msg.cmd === 'results') {
+      if (msg.done) delete searches[msg.type];
+      search.onResults(msg);
+    }
+  }
+
+  /**
+   * Index a dictionary's rows in the worker. Until the worker answers,
+   * isReady(type) is false and searches should run on the main thread.
+   * @param {string}   type - Dictionary type
+   * @param {Object[]} rows - state.data[type]; result row numbers index into it
+   */
+  function build(type, rows) {
+    ready[type] = false;
+    cancel(type);
+    delete suggests[type];
+    var w = getWorker();
+    if (!w) return;
+    builds[type] = (builds[type] || 0) + 1;
+    w.postMessage({ cmd: 'index', type: type, gen: builds[type], rows: rows });
+  }
+
+  /**
+   * Is the newest index for this type built and the worker healthy?
+   */
+  function isReady(type) {
+    return !failed && !!ready[type];
+  }
+
+  /**
+   * Start a search, replacing any search still running for the same type.
+   * onResults receives blocks of { rows, chips, unchecked, done }:
+   *   rows      - matched row numbers (ascending within the search)
+   *   chips     - for each matched row, the indices of every term that hit it
+   *   unchecked - rows hit by a committed exclusion term
+   * onError(message) is called instead if the search can't be completed.
+   *
+   * @param {string} type
+   * @param {Object} request - { terms: [{ text, exclude, mode, committed }], allColumns, dataColumns, fuzzyThreshold }
+   * @param {Function} onResults
+   * @param {Function} [onError]
+   */
+  function search(type, request, onResults, onError) {
+    var w = getWorker();
+    if (!w || !ready[type]) {
+      if (onError) onError('The ' + type + ' dictionary is not indexed.');
+      return;
+    }
+    var id = nextId++;
+    searches[type] = { id: id, onResults: onResults, onError: onError };
+    w.postMessage({
+      cmd: 'search',
+      type: type,
+      id: id,
+      terms: request.terms,
+      allColumns: !!request.allColumns,
+      dataColumns: request.dataColumns || [],
+      fuzzyThreshold: request.fuzzyThreshold
+    });
+  }
+
+  /**
+   * Count in the worker how many rows each chip matches and respell the
+   * zero-hit ones (see runSuggest in search-worker.js), replacing any
+   * request still unanswered for the same type.
+   * onResults receives, per chip, { rows, respellings: [{ text, rows }] }.
+   *
+   * @param {string} type
+   * @param {Object} request - { chips: [{ text, mode, respell }], allColumns, dataColumns, fuzzyThreshold }
+   * @param {Function} onResults
+   * @param {Function} [onError]
+   */
+  function suggest(type, request, onResults, onError) {
+    var w = getWorker();
+    if (!w || !ready[type]) {
+      if (onError) onError('The ' + type + ' dictionary is not indexed.');
+      return;
+    }
+    var id = nextId++;
+    suggests[type] = { id: id, onResults: onResults, onError: onError };
+    w.postMessage({
+      cmd: 'suggest',
+      type: type,
+      id: id,
+      chips: request.chips,
+      allColumns: !!request.allColumns,
+      dataColumns: request.dataColumns || [],
+      fuzzyThreshold: request.fuzzyThreshold
+    });
+  }
+
+  /**
+   * Stop the running search for a type, if any; its remaining results are dropped.
+   */
+  function cancel(type) {
+    if (!searches[type]) return;
+    delete searches[type];
+    if (worker) worker.postMessage({ cmd: 'cancel', type: type });
+  }
+
+  return {
+    build,
+    isReady,
+    search,
+    suggest,
+    cancel
+  };
+})();
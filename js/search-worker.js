@@ -0,0 +1,349 @@
+// ============================================================================
+// search-worker.js
+// Background search for the large dictionaries — runs as a Web Worker
+// (started by SearchIndex in search-index.js, never loaded with <script>).
+//
+// On load each large dictionary is posted here once. Its cell values are
+// lowercased up front and every letter/digit run ("token") is put in an
+// inverted index: token → rows containing it. A search narrows each chip to
+// the rows holding all of its tokens, confirms those rows with the same
+// SearchEngine matcher the main thread uses, and streams the matches back in
+// blocks so the page can show the first ones while the rest are checked.
+// The inverted index is kept in DictionaryCache and reused on the next load
+// when the cell values it was built from hash the same.
+//
+// Messages in:
+//   { cmd: 'index',  type, gen, rows }
+//   { cmd: 'search', type, id, terms: [{ text, exclude, mode, committed }],
+//                    allColumns, dataColumns, fuzzyThreshold }
+//   { cmd: 'cancel', type }
+//   { cmd: 'suggest', type, id, chips: [{ text, mode, respell }],
+//                    allColumns, dataColumns, fuzzyThreshold }
+// Messages out:
+//   { cmd: 'indexed', type, gen, tokens, cached }
+//   { cmd: 'results', type, id, rows, chips, unchecked, done }
+//   { cmd: 'suggestions', type, id, results: [{ rows, respellings: [{ text, rows }] }] }
+//   { cmd: 'error',   type, id, message }
+// ============================================================================
+
+importScripts('query-parser.js', 'code-range.js', 'normalize.js', 'search.js', 'dictionary-cache.js');
+
+// Rows checked between yields; a newer search for the same type stops an older one
+const BLOCK_SIZE = 10000;
+// Cached token lookups per dictionary before the cache is reset
+const MAX_LOOKUPS = 500;
+
+const indexes = {};       // type → built index (see buildIndex)
+const latestIndex = {};   // type → generation of the newest rows posted
+const latestSearch = {};  // type → id of the newest search
+
+self.onmessage = function (e) {
+  const msg = e.data;
+  if (msg.cmd === 'index') {
+    latestIndex[msg.type] = msg.gen;
+    buildIndex(msg.type, msg.rows).then(index => {
+      // Rows posted while this one was being built replace it
+      if (latestIndex[msg.type] !== msg.gen) return;
+      latestSearch[msg.type] = null;
+      indexes[msg.type] = index;
+      self.postMessage({ cmd: 'indexed', type: msg.type, gen: msg.gen, tokens: index.tokens.length, cached: index.cached });
+    });
+  } else if (msg.cmd === 'search') {
+    runSearch(msg);
+  } else if (msg.cmd === 'suggest') {
+    runSuggest(msg);
+  } else if (msg.cmd === 'cancel') {
+    latestSearch[msg.type] = null;
+  }
+};
+
+/**
+ * Split a lowercased value into letter/digit runs, the same boundaries
+ * SearchEngine uses for whole-word matching.
+ */
+function tokenize(value) {
+  return value.split(/[^a-z0-9]+/).filter(t => t);
+}
+
+/**
+ * Lowercase every row's values once and build the token → rows index, or
+ * take it from DictionaryCache when the values are the ones it was built from.
+ * Every column is indexed, so the index can narrow key-column, all-column
+ * and field:value searches alike.
+ * @returns {Promise<Object>} The index; cached tells whether it was reused
+ */
+function buildIndex(type, rows) {
+  const keyValues = new Array(rows.length);
+  const allValues = new Array(rows.length);
+  const hasher = DictionaryCache.createHasher();
+
+  rows.forEach((row, idx) => {
+    keyValues[idx] = SearchEngine.getSearchValues(type, row);
+    allValues[idx] = SearchEngine.getRowValues(row);
+    allValues[idx].forEach(value => hasher.update(value).update('\u0000'));
+    hasher.update('\u0001');
+  });
+  const fingerprint = hasher.digest();
+
+  return DictionaryCache.getIndex(type).then(saved => {
+    const cached = !!saved && saved.fingerprint === fingerprint;
+    const postings = cached ? unpackPostings(saved) : indexValues(allValues);
+    if (!cached) DictionaryCache.putIndex(packPostings(type, fingerprint, postings));
+    return {
+      rows: rows,
+      keyValues: keyValues,
+      allValues: allValues,
+      postings: postings,
+      tokens: Array.from(postings.keys()),
+      lookups: new Map(),
+      cached: cached
+    };
+  });
+}
+
+/**
+ * token → ascending rows holding it.
+ */
+function indexValues(allValues) {
+  const postings = new Map();
+  allValues.forEach((values, idx) => {
+    values.forEach(value => {
+      tokenize(value).forEach(token => {
+        let list = postings.get(token);
+        if (!list) {
+          list = [];
+          postings.set(token, list);
+        }
+        if (list[list.length - 1] !== idx) list.push(idx);
+      });
+    });
+  });
+  return postings;
+}
+
+/**
+ * Postings flattened for DictionaryCache: the tokens, and every token's rows
+ * one after another, token i's from offsets[i] up to offsets[i + 1].
+ */
+function packPostings(type, fingerprint, postings) {
+  const tokens = Array.from(postings.keys());
+  const offsets = new Uint32Array(tokens.length + 1);
+  tokens.forEach((token, i) => { offsets[i + 1] = offsets[i] + postings.get(token).length; });
+  const flat = new Uint32Array(offsets[tokens.length]);
+  tokens.forEach((token, i) => flat.set(postings.get(token), offsets[i]));
+  return { type: type, fingerprint: fingerprint, tokens: tokens, offsets: offsets, postings: flat };
+}
+
+function unpackPostings(saved) {
+  const postings = new Map();
+  saved.tokens.forEach((token, i) => {
+    postings.set(token, saved.postings.subarray(saved.offsets[i], saved.offsets[i + 1]));
+  });
+  return postings;
+}
+
+/**
+ * Rows holding a token that matches a search token: the same token
+ * ('exact'), one starting with it ('prefix'), or one containing it ('within').
+ * @returns {number[]} Ascending row indices
+ */
+function lookup(index, token, how) {
+  const key = how + ':' + token;
+  if (index.lookups.has(key)) return index.lookups.get(key);
+
+  let rows;
+  if (how === 'exact') {
+    rows = index.postings.get(token) || [];
+  } else {
+    const mark = new Uint8Array(index.rows.length);
+    index.tokens.forEach(tok => {
+      if (how === 'prefix' ? tok.startsWith(token) : tok.includes(token)) {
+        index.postings.get(tok).forEach(r => { mark[r] = 1; });
+      }
+    });
+    rows = [];
+    for (let r = 0; r < mark.length; r++) {
+      if (mark[r]) rows.push(r);
+    }
+  }
+
+  if (index.lookups.size >= MAX_LOOKUPS) index.lookups.clear();
+  index.lookups.set(key, rows);
+  return rows;
+}
+
+/**
+ * Rows a chip could possibly match, as a 0/1 mask — or null when the chip
+ * can't be narrowed (fuzzy chips, queries, code chips, text without letters
+ * or digits) and every row has to be checked.
+ */
+function candidateMask(index, type, text, mode) {
+  if (mode === 'fuzzy' || QueryParser.isQuery(text) || CodeRange.parse(type, text)) return null;
+  const scoped = SearchEngine.parseScopedTerm(text);
+  const value = scoped ? scoped.value : text;
+  if (scoped && (QueryParser.isQuery(value) || CodeRange.parse(type, value))) return null;
+
+  const lower = value.toLowerCase();
+  const tokens = tokenize(lower);
+  if (tokens.length === 0) return null;
+
+  // Whole-word chips without wildcards need the exact token; word-start
+  // chips a token starting with it; anything else a token containing it.
+  const wild = lower.indexOf('*') !== -1;
+  const how = mode === 'word' && !wild ? 'exact' : (mode === 'prefix' && !wild ? 'prefix' : 'within');
+  const mask = tokensMask(index, tokens, how);
+
+  // The chip also matches in its normalized spelling (see Normalizer), so
+  // rows holding either spelling's tokens are candidates
+  const normalized = wild ? lower : Normalizer.normalize(type, lower);
+  if (normalized !== lower.trim()) {
+    tokensMask(index, tokenize(normalized), how).forEach((hit, r) => { if (hit) mask[r] = 1; });
+  }
+  return mask;
+}
+
+/**
+ * Rows holding every one of these tokens, as a 0/1 mask.
+ */
+function tokensMask(index, tokens, how) {
+  let mask = null;
+  tokens.forEach(token => {
+    const next = new Uint8Array(index.rows.length);
+    lookup(index, token, how).forEach(r => {
+      if (!mask || mask[r]) next[r] = 1;
+    });
+    mask = next;
+  });
+  return mask || new Uint8Array(index.rows.length);
+}
+
+/**
+ * Run one search and post its matches block by block.
+ * Each matched row is reported with the indices of every positive term that
+ * hit it. Rows hit by a committed exclusion are reported in `unchecked` so
+ * the page can clear their Desired box.
+ */
+function runSearch(msg) {
+  const type = msg.type;
+  const id = msg.id;
+  const index = indexes[type];
+  if (!index) {
+    self.postMessage({ cmd: 'error', type: type, id: id, message: 'The ' + type + ' dictionary has not been indexed yet.' });
+    return;
+  }
+  latestSearch[type] = id;
+
+  const n = index.rows.length;
+  const includes = [];
+  const excludes = [];
+  const visit = new Uint8Array(n);
+  let scanAll = false;
+
+  try {
+    msg.terms.forEach((term, i) => {
+      const entry = {
+        index: i,
+        committed: term.committed,
+        matcher: SearchEngine.compileKeyword(type, term.text, msg.dataColumns, term.mode, { fuzzyThreshold: msg.fuzzyThreshold }),
+        mask: candidateMask(index, type, term.text, term.mode)
+      };
+      if (!entry.mask) {
+        scanAll = true;
+      } else {
+        for (let r = 0; r < n; r++) {
+          if (entry.mask[r]) visit[r] = 1;
+        }
+      }
+      (term.exclude ? excludes : includes).push(entry);
+    });
+  } catch (err) {
+    self.postMessage({ cmd: 'error', type: type, id: id, message: err.message });
+    return;
+  }
+
+  // Committed exclusions first, so a row one of them hits is always reported
+  excludes.sort((a, b) => (b.committed ? 1 : 0) - (a.committed ? 1 : 0));
+
+  const values = msg.allColumns ? index.allValues : index.keyValues;
+  const hits = (t, r) => (!t.mask || t.mask[r]) && t.matcher(values[r], index.rows[r]);
+  let start = 0;
+
+  function step() {
+    if (latestSearch[type] !== id) return;
+
+    const end = Math.min(start + BLOCK_SIZE, n);
+    const rows = [];
+    const chips = [];
+    const unchecked = [];
+
+    for (let r = start; r < end; r++) {
+      if (!scanAll && !visit[r]) continue;
+      const excluded = excludes.find(t => hits(t, r));
+      if (excluded) {
+        if (excluded.committed) unchecked.push(r);
+        continue;
+      }
+      const included = includes.filter(t => hits(t, r));
+      if (included.length > 0) {
+        rows.push(r);
+        chips.push(included.map(t => t.index));
+      }
+    }
+
+    start = end;
+    const done = start >= n;
+    self.postMessage({ cmd: 'results', type: type, id: id, rows: rows, chips: chips, unchecked: unchecked, done: done });
+    if (!done) setTimeout(step, 0);
+  }
+
+  step();
+}
+
+/**
+ * Rows each chip matches on its own (SearchEngine.computeYield over the
+ * whole dictionary, narrowed by the token index).
+ * @returns {number[]}
+ */
+function countRows(index, type, chips, msg) {
+  const values = msg.allColumns ? index.allValues : index.keyValues;
+  const includes = chips.map(chip => {
+    const matcher = SearchEngine.compileKeyword(type, chip.text, msg.dataColumns, chip.mode, { fuzzyThreshold: msg.fuzzyThreshold });
+    const mask = candidateMask(index, type, chip.text, chip.mode);
+    return { keyword: chip.text, matcher: (rowValues, r) => (!mask || mask[r]) && matcher(rowValues, index.rows[r]) };
+  });
+  const rowNumbers = index.rows.map((row, r) => r);
+  return SearchEngine.computeYield({ includes: includes, excludes: [] }, rowNumbers, r => values[r])
+    .includes.map(y => y.matches);
+}
+
+/**
+ * "Did you mean" for the page: how many rows each chip matches, and for a
+ * zero-hit chip marked respell, its respellings (see SearchEngine.respell)
+ * that do match rows, with their counts.
+ */
+function runSuggest(msg) {
+  const type = msg.type;
+  const index = indexes[type];
+  if (!index) {
+    self.postMessage({ cmd: 'error', type: type, id: msg.id, message: 'The ' + type + ' dictionary has not been indexed yet.' });
+    return;
+  }
+  try {
+    const counts = countRows(index, type, msg.chips, msg);
+    const results = msg.chips.map((chip, i) => {
+      const result = { rows: counts[i], respellings: [] };
+      if (counts[i] > 0 || !chip.respell) return result;
+      if (!index.vocabulary) index.vocabulary = SearchEngine.buildVocabulary(index.keyValues, values => values);
+      const scoped = SearchEngine.parseScopedTerm(chip.text);
+      const texts = SearchEngine.respell((scoped ? scoped.value : chip.text).toLowerCase(), index.vocabulary, 3)
+        .map(value => (scoped ? scoped.field + ':' : '') + value)
+        .filter(text => !SearchEngine.validateKeyword(type, text, msg.dataColumns));
+      const found = countRows(index, type, texts.map(text => ({ text: text, mode: chip.mode })), msg);
+      result.respellings = texts.map((text, t) => ({ text: text, rows: found[t] })).filter(r => r.rows > 0);
+      return result;
+    });
+    self.postMessage({ cmd: 'suggestions', type: type, id: msg.id, results: results });
+  } catch (err) {
+    self.postMessage({ cmd: 'error', type: type, id: msg.id, message: err.message });
+  }
+}
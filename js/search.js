@@ -6,6 +6,87 @@
 
 const SearchEngine = (function () {
 
+  // Key columns searched by unscoped chips, per type or type-source.
+  // Harmonized (unified-file) names such as lab_name / loinc_code are listed
+  // next to the per-system export names so either CSV layout works.
+  const SEARCH_COLUMNS = {
+    dx: ['icd_code', 'icd_description'],
+    'medication-epic': ['name', 'medication_name', 'generic_name', 'pharmaceutical_class', 'pharmaceutical_subclass', 'therapeutic_class'],
+    'medication-meditech': ['medication_name', 'generic', 'medication_mnemonic'],
+    'medication-centricity': ['description', 'medication_name', 'genericmed'],
+    lab: ['name', 'lab_name', 'common_name', 'base_name', 'mnemonic', 'abbreviation', 'loinc', 'loinc_code'],
+    'lab-epic': ['name', 'lab_name', 'common_name', 'loinc_code', 'loinc_name'],
+    'lab-meditech': ['lab_desc', 'lab_name', 'lab_mnemonic', 'abbreviation', 'loinc', 'loinc_code'],
+    'location-epic': ['department_name', 'department_external_name', 'department_specialty', 'location_name', 'department_type', 'location_link'],
+    'location-gecb': ['sched_location', 'clinic_name', 'billing_loc_name', 'location_link'],
+    'location-meditech': ['location_description', 'facility_name', 'location_type', 'location_subtype', 'location_link'],
+    procedure: ['procedure_name', 'short_name', 'cpt_code', 'billing_code'],
+    'procedure-epic': ['procedure_name', 'short_name', 'cpt_code'],
+    'procedure-gecb': ['procedure_name', 'cpt_code', 'billing_code']
+  };
+
+  // Friendly field names for scoped chips (field:value), per dictionary type.
+  // Each alias lists every column it can mean across Epic / Meditech /
+  // Centricity / GECB; only the columns a row actually has are searched.
+  const FIELD_ALIASES = {
+    dx: {
+      code:        ['icd_code'],
+      icd:         ['icd_code'],
+      name:        ['icd_description'],
+      description: ['icd_description'],
+      vocabulary:  ['vocabulary_id']
+    },
+    medication: {
+      name:        ['name', 'medication_name', 'description'],
+      generic:     ['generic_name', 'generic', 'genericmed'],
+      class:       ['pharmaceutical_class'],
+      subclass:    ['pharmaceutical_subclass'],
+      therapeutic: ['therapeutic_class'],
+      mnemonic:    ['medication_mnemonic'],
+      ndc:         ['ndc', 'ndc_11'],
+      gpi:         ['gpi']
+    },
+    lab: {
+      name:        ['name', 'lab_name', 'lab_desc', 'common_name'],
+      loinc:       ['loinc_code', 'loinc'],
+      mnemonic:    ['lab_mnemonic', 'mnemonic'],
+      abbr:        ['abbreviation'],
+      unit:        ['default_unit'],
+      type:        ['type']
+    },
+    location: {
+      name:        ['department_name', 'department_external_name', 'sched_location', 'clinic_name', 'location_description'],
+      department:  ['department_name', 'department_external_name'],
+      specialty:   ['department_specialty', 'clinic_name', 'location_subtype'],
+      facility:    ['location_name', 'billing_loc_name', 'facility_name', 'campus_name'],
+      type:        ['department_type', 'location_type'],
+      mnemonic:    ['location_mnemonic'],
+      link:        ['location_link']
+    },
+    procedure: {
+      name:        ['procedure_name', 'short_name'],
+      cpt:         ['cpt_code', 'billing_code'],
+      vocabulary:  ['vocabulary_id'],
+      section:     ['cpt_section']
+    }
+  };
+
+  const SCOPED_TERM = /^([A-Za-z_]+):(\S.*)$/;
+
+  // How a chip's text has to line up with a cell (see makeTextTest)
+  const MATCH_MODES = ['substring', 'word', 'prefix', 'fuzzy'];
+  const MATCH_MODE_LABELS = { substring: 'contains', word: 'whole word', prefix: 'word start', fuzzy: 'fuzzy' };
+
+  // Fuzzy mode: how similar (0–1, see similarity) a word must be to count
+  const DEFAULT_FUZZY_THRESHOLD = 0.8;
+  // "Did you mean" offers dictionary words at least this similar
+  const SUGGEST_MIN_SIMILARITY = 0.6;
+  // Per-word cache of token similarities before it is reset
+  const MAX_CACHED_TOKENS = 50000;
+
+  // Joins the keywords recorded in keyword_matched
+  const MATCHED_KEYWORD_SEPARATOR = '; ';
+
   /**
    * Run keyword LIKE matching against data rows
    * @param {Object[]} data - Array of row objects
@@ -26,11 +107,13 @@ const SearchEngine = (function () {
   }
 
   /**
-   * Run multiple keywords and mark which keyword matched each row
+   * Run multiple keywords and record every keyword that matched each row
    * @param {Object[]} data - Array of row objects
    * @param {string[]} searchColumns - Column names to search in
    * @param {Array<{keyword: string, category: string}>} keywords - Keywords with categories
-   * @returns {Map<number, {keyword: string, category: string}>} Map of row index to match info
+   * @returns {Map<number, {keyword: string, category: string, keywords: string[]}>}
+   *   Map of row index to match info; keyword / category come from the first
+   *   keyword that matched, keywords lists all of them in keyword order
    */
   function multiKeywordMatch(data, searchColumns, keywords) {
     const matches = new Map();
@@ -40,13 +123,16 @@ const SearchEngine = (function () {
       if (!kw) return;
 
       data.forEach((row, idx) => {
-        if (matches.has(idx)) return; // first keyword wins
         const hit = searchColumns.some(col => {
           const val = (row[col] || '').toString().toLowerCase();
           return val.includes(kw);
         });
-        if (hit) {
-          matches.set(idx, { keyword, category: category || '' });
+        if (!hit) return;
+        const match = matches.get(idx);
+        if (match) {
+          match.keywords.push(keyword);
+        } else {
+          matches.set(idx, { keyword, category: category || '', keywords: [keyword] });
         }
       });
     });
@@ -54,25 +140,609 @@ const SearchEngine = (function () {
     return matches;
   }
 
+  /**
+   * Yield of each chip over a dictionary, counted with the table's own matchers.
+   *   matches - rows the chip matches that no exclusion removes; for an
+   *             exclusion chip, the otherwise-matched rows it removes
+   *   unique  - rows no other positive chip matches (always 0 for exclusions)
+   *   desired - how many of the chip's rows are still checked
+   * overlap[i][j] counts rows both positive chips i and j match (indices into
+   * `includes`; the diagonal equals matches).
+   *
+   * @param {{includes: Object[], excludes: Object[]}} terms - { keyword, matcher } lists
+   * @param {Object[]} rows
+   * @param {Function} valuesFor - row => lowercased values unscoped text is searched in
+   * @returns {{includes: Object[], excludes: Object[], overlap: number[][]}}
+   */
+  function computeYield(terms, rows, valuesFor) {
+    const count = t => ({ keyword: t.keyword, matches: 0, unique: 0, desired: 0 });
+    const includes = terms.includes.map(count);
+    const excludes = terms.excludes.map(count);
+    const overlap = includes.map(() => includes.map(() => 0));
+
+    rows.forEach(row => {
+      const values = valuesFor(row);
+      const hits = [];
+      terms.includes.forEach((t, i) => {
+        if (t.matcher(values, row)) hits.push(i);
+      });
+      if (hits.length === 0) return;
+
+      let excluded = false;
+      terms.excludes.forEach((t, i) => {
+        if (!t.matcher(values, row)) return;
+        excludes[i].matches++;
+        excluded = true;
+      });
+      if (excluded) return;
+
+      hits.forEach(i => {
+        includes[i].matches++;
+        if (row.desired) includes[i].desired++;
+        hits.forEach(j => { overlap[i][j]++; });
+      });
+      if (hits.length === 1) includes[hits[0]].unique++;
+    });
+
+    return { includes: includes, excludes: excludes, overlap: overlap };
+  }
+
+  /**
+   * keyword_matched holds every keyword that matched a row, joined with "; ".
+   */
+  function joinMatchedKeywords(keywords) {
+    return keywords.join(MATCHED_KEYWORD_SEPARATOR);
+  }
+
+  function splitMatchedKeywords(value) {
+    return value ? String(value).split(MATCHED_KEYWORD_SEPARATOR).filter(k => k) : [];
+  }
+
   /**
    * Get searchable columns for a dictionary type
    */
   function getSearchColumns(type, source) {
-    const columns = {
-      dx: ['icd_code', 'icd_description'],
-      'medication-epic': ['name', 'generic_name', 'pharmaceutical_class', 'pharmaceutical_subclass', 'therapeutic_class'],
-      'medication-meditech': ['medication_name', 'generic', 'medication_mnemonic'],
-      'medication-centricity': ['description', 'genericmed'],
-      lab: ['name', 'common_name', 'base_name', 'mnemonic', 'abbreviation', 'loinc'],
-      'lab-epic': ['name', 'common_name', 'loinc_code', 'loinc_name'],
-      'lab-meditech': ['lab_desc', 'lab_mnemonic', 'abbreviation', 'loinc'],
-      'location-epic': ['department_name', 'department_external_name', 'department_specialty', 'location_name', 'department_type'],
-      'location-gecb': ['sched_location', 'clinic_name', 'billing_loc_name'],
-      'location-meditech': ['location_description', 'facility_name', 'location_type', 'location_subtype']
+    const key = source ? `${type}-${source}` : type;
+    return SEARCH_COLUMNS[key] || SEARCH_COLUMNS[type] || [];
+  }
+
+  /**
+   * Lowercased values of the key search columns for a row's source system.
+   * Falls back to every searchable value when the row has none of the listed
+   * columns (e.g. a type with no configured columns).
+   */
+  function getSearchValues(type, row) {
+    const cols = getSearchColumns(type, row._source).filter(col => col in row);
+    if (cols.length === 0) return getRowValues(row);
+    return cols.concat(Normalizer.getNormalizedColumns(cols, row))
+      .map(col => (row[col] || '').toString().toLowerCase());
+  }
+
+  /**
+   * Split a chip into its search text and polarity.
+   * A leading "-" marks an exclusion chip: "-family history" removes every row
+   * containing "family history" from the matched set, whatever else matched it.
+   * @returns {{raw: string, text: string, exclude: boolean}}
+   */
+  function parseKeyword(keyword) {
+    const kw = String(keyword).trim();
+    const exclude = kw.length > 1 && kw.charAt(0) === '-';
+    return { raw: kw, text: exclude ? kw.slice(1).trim() : kw, exclude: exclude };
+  }
+
+  /**
+   * Split a "field:value" chip. Returns null for unscoped text.
+   * @returns {{field: string, value: string}|null}
+   */
+  function parseScopedTerm(text) {
+    const m = String(text || '').trim().match(SCOPED_TERM);
+    return m ? { field: m[1].toLowerCase(), value: m[2].trim() } : null;
+  }
+
+  /**
+   * Resolve a field name to the columns it covers: a friendly alias for the
+   * type, or a literal column name present in the data.
+   * @param {string}   type
+   * @param {string}   field
+   * @param {string[]} dataColumns - columns present in the loaded data
+   * @returns {string[]} Empty when the field is unknown
+   */
+  function resolveField(type, field, dataColumns) {
+    const aliases = FIELD_ALIASES[type] || {};
+    const name = field.toLowerCase();
+    if (aliases[name]) return aliases[name];
+    return (dataColumns || []).indexOf(name) !== -1 ? [name] : [];
+  }
+
+  /**
+   * Friendly alias names available for a type, for help and error messages.
+   */
+  function getFieldAliases(type) {
+    return Object.keys(FIELD_ALIASES[type] || {});
+  }
+
+  /**
+   * Lowercased values of the columns a field covers on one row.
+   */
+  function getFieldValues(columns, row) {
+    const values = [];
+    columns.concat(Normalizer.getNormalizedColumns(columns, row)).forEach(col => {
+      if (row[col] !== undefined && row[col] !== null && row[col] !== '') {
+        values.push(row[col].toString().toLowerCase());
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Similarity of two tokens from 0 to 1: one minus their edit (Levenshtein)
+   * distance over the longer length. "hemoglobn" vs "hemoglobin" is 0.9.
+   */
+  function similarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    let prev = new Array(b.length + 1);
+    let curr = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      curr[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1));
+      }
+      const swap = prev;
+      prev = curr;
+      curr = swap;
+    }
+    return 1 - prev[b.length] / longest;
+  }
+
+  /**
+   * Fuzzy scorer for one search word. score(value) is how well the word
+   * appears in a lowercased cell: every token of the word is compared with
+   * the cell's tokens and the weakest best match counts. A cell token that
+   * contains the word token scores 1, so fuzzy never misses a "contains" hit.
+   * tokenScore(token) scores a single cell token (used for highlighting).
+   */
+  function makeFuzzyScorer(text, threshold) {
+    const wordTokens = text.toLowerCase().replace(/\*/g, '').split(/[^a-z0-9]+/).filter(t => t);
+    const cache = new Map();
+
+    function tokenScore(token) {
+      let cached = cache.get(token);
+      if (cached !== undefined) return cached;
+      cached = wordTokens.map(w => {
+        if (token.includes(w)) return 1;
+        // Too different in length to reach the threshold: skip the edit distance
+        if (Math.abs(token.length - w.length) > (1 - threshold) * Math.max(token.length, w.length)) return 0;
+        return similarity(w, token);
+      });
+      if (cache.size >= MAX_CACHED_TOKENS) cache.clear();
+      cache.set(token, cached);
+      return cached;
+    }
+
+    function score(value) {
+      if (wordTokens.length === 0) return 0;
+      const best = wordTokens.map(() => 0);
+      value.split(/[^a-z0-9]+/).forEach(token => {
+        if (!token) return;
+        tokenScore(token).forEach((s, i) => { if (s > best[i]) best[i] = s; });
+      });
+      return Math.min.apply(null, best);
+    }
+
+    return {
+      score: score,
+      tokenScore: token => Math.max.apply(null, tokenScore(token).concat(0))
     };
+  }
 
-    const key = source ? `${type}-${source}` : type;
-    return columns[key] || columns[type] || Object.keys({});
+  /**
+   * Build a test of one search word (or phrase) against one lowercased cell.
+   *   substring - the cell contains the text anywhere ("cat" hits "catheter")
+   *   word      - the text is whole token(s): "cat" hits "cat scan", not "catheter"
+   *   prefix    - the text starts a token: "ace" hits "ace inhibitor", not "replacement"
+   *   fuzzy     - every token of the text is in the cell or close to a token
+   *               in it ("acetaminophn" hits "ACETAMINOPHEN"); see makeFuzzyScorer
+   * Tokens are runs of letters and digits, so punctuation, slashes and hyphens
+   * are boundaries: "na/k" matches "NA/K" and "NA K", "hba1c" matches "HBA1C-POC".
+   * In the word modes a leading or trailing * opens that side of the token.
+   */
+  function makeTextTest(text, mode, isPhrase, fuzzyThreshold) {
+    const lower = text.toLowerCase().trim();
+    const core = lower.replace(/^\*+|\*+$/g, '');
+
+    if (mode === 'fuzzy') {
+      const threshold = fuzzyThreshold || DEFAULT_FUZZY_THRESHOLD;
+      const scorer = makeFuzzyScorer(core, threshold);
+      return val => scorer.score(val) >= threshold;
+    }
+
+    if (mode === 'word' || mode === 'prefix') {
+      const tokens = core.split(/[^a-z0-9]+/).filter(t => t);
+      if (tokens.length > 0) {
+        const openStart = lower.charAt(0) === '*';
+        const openEnd = mode === 'prefix' || lower.charAt(lower.length - 1) === '*';
+        const re = new RegExp(
+          (openStart ? '' : '(?:^|[^a-z0-9])') +
+          tokens.join('[^a-z0-9]+') +
+          (openEnd ? '' : '(?:$|[^a-z0-9])')
+        );
+        return val => re.test(val);
+      }
+    }
+
+    if (isPhrase) {
+      const phrase = core.replace(/\s+/g, ' ');
+      return val => val.replace(/\s+/g, ' ').includes(phrase);
+    }
+    return val => val.includes(core);
+  }
+
+  /**
+   * Convert a chip's text to a matcher: (rowValues, row) => boolean.
+   * rowValues are the lowercased values unscoped text is searched in;
+   * field:value terms read their own columns from the row instead.
+   * - "breast"  → contains "breast"  (LIKE '%breast%')
+   * - "ovar*"   → starts with "ovar" (LIKE 'ovar%')
+   * - "*itis"   → ends with "itis"   (LIKE '%itis')
+   * - "*card*"  → contains "card"    (same as no wildcard)
+   * - "loinc:2345-7" → only the LOINC column(s) contain "2345-7"
+   * - "E10-E13", "C50.*" → ICD / CPT code ranges and prefixes (see CodeRange);
+   *   a lone undotted code such as "b12" matches the code or the words
+   * Chips using AND / OR / NOT, parentheses, quotes or an exact field:=value
+   * are handed to QueryParser.
+   * Every word is compared using the chip's match mode (see makeTextTest).
+   *
+   * @param {string}   type        - Dictionary type
+   * @param {string}   keyword     - Chip text (without the exclusion "-")
+   * @param {string[]} dataColumns - Columns present in the loaded data
+   * @param {string}   [mode]      - 'substring' (default), 'word', 'prefix' or 'fuzzy'
+   * @param {Object}   [options]
+   * @param {number}   [options.fuzzyThreshold] - 0–1, for fuzzy mode (default 0.8)
+   */
+  function compileKeyword(type, keyword, dataColumns, mode, options) {
+    const threshold = (options && options.fuzzyThreshold) || DEFAULT_FUZZY_THRESHOLD;
+    const fieldColumns = {};
+    function fieldValues(field, row) {
+      if (!fieldColumns[field]) fieldColumns[field] = resolveField(type, field, dataColumns);
+      return getFieldValues(fieldColumns[field], row);
+    }
+
+    if (QueryParser.isQuery(keyword)) {
+      // Invalid queries never become chips; a half-typed one simply matches nothing
+      try {
+        return QueryParser.compile(keyword, {
+          fieldValues: fieldValues,
+          textTest: node => makeTextTest(node.raw || node.value, mode, node.type === 'phrase', threshold)
+        });
+      } catch (err) {
+        return () => false;
+      }
+    }
+
+    // ICD / CPT codes, prefixes and ranges compare against the code columns
+    // only; a loose code ("b12") also matches as text outside them
+    const range = CodeRange.parse(type, keyword);
+    if (range && range.loose) {
+      const code = CodeRange.compile(type, range);
+      const text = compileWords(keyword.toLowerCase().trim(), mode, threshold);
+      const codeColumns = CodeRange.getCodeColumns(type);
+      return function (rowValues, row) {
+        if (code(rowValues, row)) return true;
+        const codes = codeColumns.map(col => String(row[col] || '').toLowerCase());
+        return text(rowValues.filter(val => codes.indexOf(val) === -1));
+      };
+    }
+    if (range) return CodeRange.compile(type, range);
+
+    const scoped = parseScopedTerm(keyword);
+    if (scoped) {
+      const inner = compileKeyword(type, scoped.value, dataColumns, mode, options);
+      return function (rowValues, row) {
+        return inner(fieldValues(scoped.field, row), row);
+      };
+    }
+
+    const kw = keyword.toLowerCase().trim();
+    const core = kw.replace(/^\*+|\*+$/g, '');
+
+    if (!core) return () => false;
+
+    // Medication / lab chips also match in their normalized spelling
+    // ("metformin 500mg tab" → "metformin 500 mg tablet"), see Normalizer
+    const normalized = kw.includes('*') ? kw : Normalizer.normalize(type, kw);
+    if (normalized && normalized !== kw) {
+      const raw = compileWords(kw, mode, threshold);
+      const norm = compileWords(normalized, mode, threshold);
+      return function (rowValues) {
+        return raw(rowValues) || norm(rowValues);
+      };
+    }
+    return compileWords(kw, mode, threshold);
+  }
+
+  /**
+   * Matcher for plain lowercased chip text.
+   * Multi-word phrase: split on whitespace and require ALL words to appear
+   * somewhere in the row (AND logic across words, OR logic across cells).
+   * e.g. "neoplasm breast" matches any row containing both words.
+   * Single word: any cell in the row contains it.
+   */
+  function compileWords(kw, mode, threshold) {
+    const words = kw.split(/\s+/).filter(w => w.replace(/\*/g, ''));
+    if (words.length > 1) {
+      const tests = words.map(word => makeTextTest(word, mode, false, threshold));
+      return function (rowValues) {
+        return tests.every(function (test) {
+          return rowValues.some(test);
+        });
+      };
+    }
+
+    const test = makeTextTest(kw, mode, false, threshold);
+    return function (rowValues) {
+      return rowValues.some(test);
+    };
+  }
+
+  /**
+   * Pattern finding the spans one search word (or phrase) covers in a
+   * lowercased cell, following the same match mode rules as makeTextTest.
+   * Wildcard and word-start ends stretch to the rest of the word, so "ovar*"
+   * highlights all of "ovarian".
+   */
+  function highlightPattern(text, mode, isPhrase) {
+    const lower = text.toLowerCase().trim();
+    const core = lower.replace(/^\*+|\*+$/g, '');
+    const wordy = mode === 'word' || mode === 'prefix';
+    const tokens = core.split(/[^a-z0-9]+/).filter(t => t);
+
+    let body;
+    if (wordy && tokens.length > 0) {
+      body = tokens.join('[^a-z0-9]+');
+    } else {
+      body = core.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (isPhrase) body = body.replace(/\s+/g, '\\s+');
+    }
+    const openStart = lower.charAt(0) === '*';
+    const openEnd = lower.charAt(lower.length - 1) === '*' || mode === 'prefix';
+    return new RegExp(
+      (openStart ? '[a-z0-9]*' : (wordy ? '(?<![a-z0-9])' : '')) +
+      body +
+      (openEnd ? '[a-z0-9]*' : (wordy ? '(?![a-z0-9])' : '')),
+      'g'
+    );
+  }
+
+  /**
+   * Build a highlighter for a chip: (column, value, row, unscopedColumns) =>
+   * [[start, end], ...] character spans the chip matched in that cell.
+   * unscopedColumns are the columns unscoped words search for this row;
+   * field:value terms only mark their own columns, code chips mark whole
+   * code cells inside the range (a loose code marks its words elsewhere),
+   * and terms under NOT are never marked.
+   *
+   * @param {string}   type        - Dictionary type
+   * @param {string}   keyword     - Chip text (without the exclusion "-")
+   * @param {string[]} dataColumns - Columns present in the loaded data
+   * @param {string}   [mode]      - 'substring' (default), 'word', 'prefix' or 'fuzzy'
+   * @param {Object}   [options]   - { fuzzyThreshold }, as for compileKeyword
+   */
+  function compileHighlighter(type, keyword, dataColumns, mode, options) {
+    const range = CodeRange.parse(type, keyword);
+    const codeColumns = range ? CodeRange.getCodeColumns(type) : [];
+    const codeSpans = (column, value) => (codeColumns.indexOf(column) !== -1 && CodeRange.contains(range, value) ? [[0, value.length]] : []);
+    if (range && !range.loose) return codeSpans;
+
+    // Each mark: columns it may appear in (null = the unscoped columns) + its pattern
+    // Fuzzy marks carry a scorer instead and mark every close-enough token
+    const marks = [];
+    const threshold = (options && options.fuzzyThreshold) || DEFAULT_FUZZY_THRESHOLD;
+    collectMarks(type, keyword, null, dataColumns, mode, marks, threshold);
+
+    return function (column, value, row, unscopedColumns) {
+      if (codeColumns.indexOf(column) !== -1) return codeSpans(column, value);
+      const lower = value.toLowerCase();
+      const spans = [];
+      marks.forEach(mark => {
+        const allowed = mark.columns || unscopedColumns;
+        if (allowed.indexOf(column) === -1) return;
+        const pattern = mark.scorer ? /[a-z0-9]+/g : mark.pattern;
+        pattern.lastIndex = 0;
+        let m;
+        while ((m = pattern.exec(lower)) !== null) {
+          if (m[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+          }
+          if (mark.scorer && mark.scorer.tokenScore(m[0]) < threshold) continue;
+          spans.push([m.index, m.index + m[0].length]);
+        }
+      });
+      return spans;
+    };
+  }
+
+  function collectMarks(type, keyword, columns, dataColumns, mode, marks, threshold) {
+    const mark = (cols, text, isPhrase) => (mode === 'fuzzy'
+      ? { columns: cols, scorer: makeFuzzyScorer(text, threshold) }
+      : { columns: cols, pattern: highlightPattern(text, mode, isPhrase) });
+
+    if (QueryParser.isQuery(keyword)) {
+      let ast;
+      try {
+        ast = QueryParser.parse(keyword);
+      } catch (err) {
+        return;
+      }
+      (function walk(node, negated) {
+        if (node.children) node.children.forEach(c => walk(c, negated));
+        else if (node.child) walk(node.child, !negated);
+        else if (!negated) {
+          marks.push(mark(node.field ? resolveField(type, node.field, dataColumns) : columns, node.raw || node.value, node.type === 'phrase'));
+        }
+      })(ast, false);
+      return;
+    }
+
+    const scoped = parseScopedTerm(keyword);
+    if (scoped) {
+      collectMarks(type, scoped.value, resolveField(type, scoped.field, dataColumns), dataColumns, mode, marks, threshold);
+      return;
+    }
+
+    keyword.toLowerCase().split(/\s+/).filter(w => w.replace(/\*/g, '')).forEach(word => {
+      marks.push(mark(columns, word, false));
+    });
+  }
+
+  /**
+   * Build a scorer for a fuzzy chip: (rowValues, row) => 0–1, how closely the
+   * row matches. It is the weakest of the chip's words (or, for a query, of
+   * the terms that matched), so a row with every word spelled right scores 1.
+   * Code chips always score 1.
+   *
+   * @param {string}   type        - Dictionary type
+   * @param {string}   keyword     - Chip text (without the exclusion "-")
+   * @param {string[]} dataColumns - Columns present in the loaded data
+   * @param {Object}   [options]   - { fuzzyThreshold }, as for compileKeyword
+   */
+  function compileFuzzyScorer(type, keyword, dataColumns, options) {
+    if (CodeRange.parse(type, keyword)) return () => 1;
+    const threshold = (options && options.fuzzyThreshold) || DEFAULT_FUZZY_THRESHOLD;
+    const marks = [];
+    collectMarks(type, keyword, null, dataColumns, 'fuzzy', marks, threshold);
+
+    return function (rowValues, row) {
+      let score = 1;
+      let matched = false;
+      marks.forEach(mark => {
+        const values = mark.columns ? getFieldValues(mark.columns, row) : rowValues;
+        const best = values.reduce((top, val) => Math.max(top, mark.scorer.score(val)), 0);
+        if (best >= threshold) {
+          matched = true;
+          score = Math.min(score, best);
+        }
+      });
+      return matched ? score : 0;
+    };
+  }
+
+  /**
+   * Dictionary words similar to a misspelled word, best first ("did you mean").
+   * @param {string} word - Lowercased search token
+   * @param {Map<string, number>} vocabulary - token → number of rows containing it
+   * @param {number} [limit] - Most suggestions to return (default 5)
+   * @returns {Array<{term: string, rows: number, score: number}>}
+   */
+  function suggestSimilar(word, vocabulary, limit) {
+    const found = [];
+    vocabulary.forEach((rows, token) => {
+      if (token === word) return;
+      if (Math.abs(token.length - word.length) > (1 - SUGGEST_MIN_SIMILARITY) * Math.max(token.length, word.length)) return;
+      const score = similarity(word, token);
+      if (score >= SUGGEST_MIN_SIMILARITY) found.push({ term: token, rows: rows, score: score });
+    });
+    found.sort((a, b) => b.score - a.score || b.rows - a.rows);
+    return found.slice(0, limit || 5);
+  }
+
+  /**
+   * Every token of the rows' values with the number of rows holding it, the
+   * vocabulary suggestSimilar and respell pick from.
+   * @param {Array} rows
+   * @param {Function} valuesFor - row => lowercased values
+   * @returns {Map<string, number>}
+   */
+  function buildVocabulary(rows, valuesFor) {
+    const vocabulary = new Map();
+    rows.forEach(row => {
+      const seen = new Set();
+      valuesFor(row).forEach(value => {
+        value.split(/[^a-z0-9]+/).forEach(token => {
+          if (!token || seen.has(token)) return;
+          seen.add(token);
+          vocabulary.set(token, (vocabulary.get(token) || 0) + 1);
+        });
+      });
+    });
+    return vocabulary;
+  }
+
+  /**
+   * Respellings of chip text with words the dictionary doesn't contain: each
+   * such word is swapped for its first, second, ... closest dictionary word.
+   * None when every word is known or one unknown word has no close match.
+   * @param {string} value - Lowercased chip text (without its field:)
+   * @param {Map<string, number>} vocabulary - see buildVocabulary
+   * @param {number} limit - Most respellings to return
+   * @returns {string[]}
+   */
+  function respell(value, vocabulary, limit) {
+    const unknown = value.split(/[^a-z0-9]+/).filter(token => token && !vocabulary.has(token));
+    const options = unknown.map(token => suggestSimilar(token, vocabulary, limit));
+    if (unknown.length === 0 || options.some(o => o.length === 0)) return [];
+
+    const found = [];
+    for (let i = 0; i < limit; i++) {
+      let respelled = value;
+      unknown.forEach((token, t) => {
+        const pick = options[t][Math.min(i, options[t].length - 1)].term;
+        respelled = respelled.replace(new RegExp('(^|[^a-z0-9])' + token + '(?![a-z0-9])'), '$1' + pick);
+      });
+      if (found.indexOf(respelled) === -1) found.push(respelled);
+    }
+    return found;
+  }
+
+  /**
+   * Short label for a match mode, shown on chips and in the manifest help.
+   */
+  function getMatchModeLabel(mode) {
+    return MATCH_MODE_LABELS[mode] || MATCH_MODE_LABELS.substring;
+  }
+
+  /**
+   * Check a chip's text before it is added.
+   * @returns {string|null} Friendly error (query syntax, unknown field), or null
+   */
+  function validateKeyword(type, keyword, dataColumns) {
+    const range = CodeRange.parse(type, keyword);
+    if (range) return CodeRange.validate(range);
+
+    let fields = [];
+    if (QueryParser.isQuery(keyword)) {
+      const error = QueryParser.validate(keyword);
+      if (error) return error;
+      fields = QueryParser.fields(QueryParser.parse(keyword));
+    } else {
+      const scoped = parseScopedTerm(keyword);
+      if (scoped) fields = [scoped.field];
+    }
+
+    const unknown = fields.filter(f => resolveField(type, f, dataColumns).length === 0);
+    if (unknown.length > 0) {
+      const aliases = getFieldAliases(type);
+      return 'Unknown field "' + unknown[0] + ':". Use one of ' +
+        (aliases.length ? aliases.join(', ') + ', or ' : '') +
+        'a column name from the table (e.g. ' + (dataColumns[0] || 'name') + ':value).';
+    }
+    return null;
+  }
+
+  /**
+   * Lowercased searchable cell values of an app row.
+   * Internal fields (_*) and the per-row state columns (desired, category,
+   * keyword_matched, mapped_from) are left out so a chip can never match its own label;
+   * the normalized name fields (_norm_*, see Normalizer) are kept.
+   */
+  function getRowValues(row) {
+    return Object.keys(row)
+      .filter(k => (!k.startsWith('_') || Normalizer.isNormalizedColumn(k)) &&
+        k !== 'desired' && k !== 'category' && k !== 'keyword_matched' && k !== 'mapped_from')
+      .map(k => (row[k] || '').toString().toLowerCase());
   }
 
   /**
@@ -93,7 +763,29 @@ const SearchEngine = (function () {
   return {
     likeMatch,
     multiKeywordMatch,
+    computeYield,
+    joinMatchedKeywords,
+    splitMatchedKeywords,
+    compileKeyword,
+    validateKeyword,
+    makeTextTest,
+    compileHighlighter,
+    compileFuzzyScorer,
+    similarity,
+    suggestSimilar,
+    buildVocabulary,
+    respell,
+    DEFAULT_FUZZY_THRESHOLD,
+    getMatchModeLabel,
+    MATCH_MODES,
     getSearchColumns,
+    getSearchValues,
+    parseKeyword,
+    parseScopedTerm,
+    resolveField,
+    getFieldAliases,
+    getFieldValues,
+    getRowValues,
     simpleSearch
   };
 })();
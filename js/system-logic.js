@@ -1,97 +1,126 @@
 // ============================================================================
 // system-logic.js
 // Determines which source systems to show based on date range and visit context
-// Epic go-live date: 2023-06-03
+// The system timeline comes from data/system-timeline.csv, one coverage period
+// per row:
+//   dictionary_type - dx, medication, lab, location or procedure
+//   system          - epic, meditech, centricity, gecb, icd9, icd10
+//   facility        - facility the period covers, or "all"
+//   start_date      - first covered day (YYYY-MM-DD), blank = since records began
+//   end_date        - last covered day, blank = still current
+//   inpatient       - TRUE if the period covers inpatient encounters
+//   outpatient      - TRUE if it covers outpatient encounters
+//   coverage        - full, or partial where the data is known to be incomplete
+//   note            - shown on the timeline
+// A system is active when any of its periods overlaps the study window in a
+// ticked visit context (periods covering both contexts ignore the ticks).
+// Facilities that went live on different dates get one row each.
 // ============================================================================
 
 const SystemLogic = (function () {
-  const EPIC_GOLIVE = new Date('2023-06-03');
-  const ICD10_START = new Date('2015-10-01');
+  const TYPES = ['dx', 'medication', 'lab', 'location', 'procedure'];
+
+  // type → [period, ...] in file order
+  let timeline = {};
 
   /**
-   * Determine active systems for a given dictionary type
-   * @param {string} type - 'dx', 'medication', 'lab', or 'location'
-   * @param {Date} dateStart
-   * @param {Date} dateEnd
-   * @param {boolean} outpatient
-   * @param {boolean} inpatient
-   * @returns {string[]} Array of system names to include
+   * Parse a YYYY-MM-DD cell; blank is null (open-ended), anything else invalid.
    */
-  function getActiveSystems(type, dateStart, dateEnd, outpatient, inpatient) {
-    const beforeEpic = dateStart < EPIC_GOLIVE;
-    const afterEpic  = dateEnd >= EPIC_GOLIVE;
-
-    if (type === 'dx') {
-      return getDxSystems(dateStart, dateEnd);
-    }
-    if (type === 'medication') {
-      return getMedicationSystems(beforeEpic, afterEpic, outpatient, inpatient);
-    }
-    if (type === 'lab') {
-      return getLabSystems(beforeEpic, afterEpic);
-    }
-    if (type === 'location') {
-      return getLocationSystems(beforeEpic, afterEpic, outpatient, inpatient);
-    }
-    if (type === 'procedure') {
-      return getProcedureSystems(beforeEpic, afterEpic);
-    }
-    return [];
+  function parseDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return undefined;
+    const date = new Date(text);
+    return isNaN(date) ? undefined : date;
   }
 
-  function getDxSystems(dateStart, dateEnd) {
-    const systems = [];
-    if (dateEnd >= ICD10_START) systems.push('icd10');
-    if (dateStart < ICD10_START) systems.push('icd9');
-    // If no dates result in anything, default to ICD-10
-    if (systems.length === 0) systems.push('icd10');
-    return systems;
+  function isTrue(value) {
+    return /^(true|t|yes|y|1)$/i.test(String(value || '').trim());
   }
 
-  function getMedicationSystems(beforeEpic, afterEpic, outpatient, inpatient) {
-    const systems = [];
-    if (afterEpic) {
-      systems.push('epic');
-    }
-    if (beforeEpic && inpatient) {
-      systems.push('meditech');
-    }
-    if (beforeEpic && outpatient) {
-      systems.push('centricity');
-    }
-    // If nothing selected, default to Epic
-    if (systems.length === 0) systems.push('epic');
-    return systems;
+  /**
+   * Replace the timeline with parsed rows of data/system-timeline.csv.
+   * Rows with an unknown type, no system, a bad date or no visit context are
+   * skipped with a warning.
+   * @param {Object[]} rows
+   * @returns {number} Periods loaded
+   */
+  function loadTimeline(rows) {
+    timeline = {};
+    TYPES.forEach(function (type) { timeline[type] = []; });
+    let loaded = 0;
+    (rows || []).forEach(function (row, i) {
+      const type = String(row.dictionary_type || '').trim().toLowerCase();
+      const system = String(row.system || '').trim().toLowerCase();
+      const start = parseDate(row.start_date);
+      const end = parseDate(row.end_date);
+      const period = {
+        type: type,
+        system: system,
+        facility: String(row.facility || '').trim() || 'all',
+        start: start,
+        end: end,
+        inpatient: isTrue(row.inpatient),
+        outpatient: isTrue(row.outpatient),
+        partial: String(row.coverage || '').trim().toLowerCase() === 'partial',
+        note: String(row.note || '').trim()
+      };
+      if (!timeline[type] || !system || start === undefined || end === undefined ||
+          (start && end && end < start) || !(period.inpatient || period.outpatient)) {
+        console.warn('[SystemLogic] Skipping system-timeline.csv row ' + (i + 2));
+        return;
+      }
+      timeline[type].push(period);
+      loaded++;
+    });
+    return loaded;
   }
 
-  function getLabSystems(beforeEpic, afterEpic) {
-    const systems = [];
-    if (afterEpic) systems.push('epic');
-    if (beforeEpic) systems.push('meditech');
-    if (systems.length === 0) systems.push('epic');
-    return systems;
+  /**
+   * Coverage periods of a dictionary type, in file order.
+   */
+  function getTimeline(type) {
+    return (timeline[type] || []).slice();
   }
 
-  function getProcedureSystems(beforeEpic, afterEpic) {
-    const systems = [];
-    if (afterEpic)  systems.push('epic');
-    if (beforeEpic) systems.push('gecb');
-    if (systems.length === 0) systems.push('epic');
-    return systems;
+  /**
+   * How a coverage period relates to the study:
+   *   'active'          - overlaps the window in a ticked visit context
+   *   'outside-window'  - no overlap with the study dates
+   *   'outside-context' - overlaps, but covers only an unticked visit context
+   * A period covering both contexts doesn't depend on the ticks at all.
+   */
+  function evaluatePeriod(period, dateStart, dateEnd, outpatient, inpatient) {
+    const overlaps = (!period.start || period.start <= dateEnd) && (!period.end || period.end >= dateStart);
+    if (!overlaps) return 'outside-window';
+    if (period.inpatient && period.outpatient) return 'active';
+    if ((inpatient && period.inpatient) || (outpatient && period.outpatient)) return 'active';
+    return 'outside-context';
   }
 
-  function getLocationSystems(beforeEpic, afterEpic, outpatient, inpatient) {
+  /**
+   * Determine active systems for a given dictionary type
+   * @param {string} type - 'dx', 'medication', 'lab', 'location' or 'procedure'
+   * @param {Date} dateStart
+   * @param {Date} dateEnd
+   * @param {boolean} outpatient
+   * @param {boolean} inpatient
+   * @returns {string[]} Array of system names to include
+   */
+  function getActiveSystems(type, dateStart, dateEnd, outpatient, inpatient) {
+    const periods = timeline[type] || [];
     const systems = [];
-    if (afterEpic) {
-      systems.push('epic');
-    }
-    if (beforeEpic && outpatient) {
-      systems.push('gecb');
-    }
-    if (beforeEpic && inpatient) {
-      systems.push('meditech');
+    periods.forEach(function (period) {
+      if (systems.indexOf(period.system) !== -1) return;
+      if (evaluatePeriod(period, dateStart, dateEnd, outpatient, inpatient) === 'active') {
+        systems.push(period.system);
+      }
+    });
+    // If nothing is covered, default to the current system (the first with no end date)
+    if (systems.length === 0) {
+      const current = periods.find(function (period) { return !period.end; });
+      if (current) systems.push(current.system);
     }
-    if (systems.length === 0) systems.push('epic');
     return systems;
   }
 
@@ -147,11 +176,15 @@ const SystemLogic = (function () {
     return Array.from(files);
   }
 
+  loadTimeline([]);
+
   return {
+    TYPES,
+    loadTimeline,
+    getTimeline,
+    evaluatePeriod,
     getActiveSystems,
     getSystemLabel,
-    getSystemCsvFiles,
-    EPIC_GOLIVE,
-    ICD10_START
+    getSystemCsvFiles
   };
 })();
@@ -0,0 +1,165 @@
+// ============================================================================
+// thesaurus.js
+// Offline synonym / abbreviation expansion from data/thesaurus.csv
+// A deterministic alternative to AI Expand: the same chip always expands to
+// the same synonyms, and the list is version-controlled with the app.
+//
+// data/thesaurus.csv columns:
+//   dictionary_type - dx, medication, lab, location, procedure, or "all"
+//   terms           - equivalent terms separated by |  (e.g. hgb|hemoglobin)
+//   note            - optional, for reviewers
+// Every term in a group expands to all the others, for that type only.
+//
+// Contributing: suggestions are pushed as a CSV with the same columns to
+// projects/thesaurus-contributions/ (the worker only writes under projects/)
+// and folded into data/thesaurus.csv when reviewed.
+// ============================================================================
+
+const Thesaurus = (function () {
+
+  const TYPES = ['dx', 'medication', 'lab', 'location', 'procedure'];
+  const CONTRIBUTION_DIR = 'projects/thesaurus-contributions';
+
+  // type → { normalized term → [synonym, ...] }
+  let entries = {};
+  let groupCount = 0;
+
+  /**
+   * Lowercase and collapse whitespace so "Heart  Failure" finds "heart failure".
+   */
+  function normalize(term) {
+    return String(term || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Split a terms cell into its distinct, normalized terms.
+   */
+  function splitTerms(cell) {
+    const seen = {};
+    return String(cell || '').split('|').map(normalize).filter(function (t) {
+      if (!t || seen[t]) return false;
+      seen[t] = true;
+      return true;
+    });
+  }
+
+  /**
+   * Replace the thesaurus with parsed rows of data/thesaurus.csv.
+   * Rows with an unknown dictionary_type or fewer than two terms are skipped.
+   * @param {Object[]} rows - [{ dictionary_type, terms, note }]
+   */
+  function load(rows) {
+    entries = {};
+    groupCount = 0;
+    TYPES.forEach(function (type) { entries[type] = {}; });
+    (rows || []).forEach(addRow);
+  }
+
+  function addRow(row) {
+    const type = normalize(row.dictionary_type);
+    const types = type === 'all' ? TYPES : (TYPES.indexOf(type) !== -1 ? [type] : []);
+    const terms = splitTerms(row.terms);
+    if (types.length === 0 || terms.length < 2) return false;
+
+    types.forEach(function (t) {
+      terms.forEach(function (term) {
+        const list = entries[t][term] || (entries[t][term] = []);
+        terms.forEach(function (other) {
+          if (other !== term && list.indexOf(other) === -1) list.push(other);
+        });
+      });
+    });
+    groupCount++;
+    return true;
+  }
+
+  /**
+   * Add groups for this session only (e.g. just-submitted suggestions).
+   * @param {string}     type
+   * @param {string[][]} groups - each an array of equivalent terms
+   * @returns {number} Groups added
+   */
+  function addGroups(type, groups) {
+    if (TYPES.indexOf(type) === -1) return 0;
+    if (!entries[type]) load([]);
+    return groups.filter(function (terms) {
+      return addRow({ dictionary_type: type, terms: terms.join('|') });
+    }).length;
+  }
+
+  /**
+   * Synonyms of a term for a dictionary type, in thesaurus order.
+   * @returns {string[]} Empty when the term isn't in the thesaurus
+   */
+  function lookup(type, term) {
+    const forType = entries[type];
+    if (!forType) return [];
+    return (forType[normalize(term)] || []).slice();
+  }
+
+  /**
+   * Number of groups loaded (for status messages).
+   */
+  function size() {
+    return groupCount;
+  }
+
+  /**
+   * Parse suggestion text: one group per line, terms separated by | or ,
+   * ("cabg | coronary artery bypass"). Lines with fewer than two terms are
+   * returned in `invalid` with their 1-based line number.
+   * @returns {{groups: string[][], invalid: number[]}}
+   */
+  function parseSuggestions(text) {
+    const groups = [];
+    const invalid = [];
+    String(text || '').split(/\r?\n/).forEach(function (line, i) {
+      if (!line.trim()) return;
+      const terms = splitTerms(line.replace(/,/g, '|'));
+      if (terms.length < 2) {
+        invalid.push(i + 1);
+      } else {
+        groups.push(terms);
+      }
+    });
+    return { groups: groups, invalid: invalid };
+  }
+
+  /**
+   * Build a contribution CSV in the data/thesaurus.csv layout.
+   * @param {string}     type
+   * @param {string[][]} groups
+   * @param {string}     [note] - e.g. who suggested it
+   */
+  function buildContributionContent(type, groups, note) {
+    function csvQuote(val) {
+      const s = String(val == null ? '' : val);
+      return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    }
+    const lines = groups.map(function (terms) {
+      return [type, terms.join('|'), note || ''].map(csvQuote).join(',');
+    });
+    return ['dictionary_type,terms,note'].concat(lines).join('\n') + '\n';
+  }
+
+  /**
+   * Repo path for a contribution file, unique per type and minute.
+   */
+  function getContributionPath(type, date) {
+    const stamp = (date || new Date()).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return CONTRIBUTION_DIR + '/thesaurus-' + type + '-' + stamp + '.csv';
+  }
+
+  load([]);
+
+  return {
+    load,
+    addGroups,
+    lookup,
+    size,
+    normalize,
+    parseSuggestions,
+    buildContributionContent,
+    getContributionPath
+  };
+})();